@@ -0,0 +1,300 @@
+/**
+ * Authentication utilities for Google Slides
+ * Pluggable credential providers that SlidesClient accepts in place of a raw token
+ *
+ * Every provider exposes the same interface:
+ *   getAccessToken() -> Promise<string>
+ *   invalidate()     -> drop the cached token (called by SlidesClient on 401)
+ */
+
+const DEFAULT_SCOPES = [
+  'https://www.googleapis.com/auth/presentations',
+  'https://www.googleapis.com/auth/drive'
+];
+
+// Refresh this long before the reported expiry to absorb clock skew
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+/**
+ * Base class handling token caching and concurrent refreshes
+ */
+class CredentialProvider {
+  constructor(type) {
+    this.type = type;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+  }
+
+  /**
+   * Get a valid access token, refreshing it if needed
+   * @returns {Promise<string>} Bearer token
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.expiresAt - EXPIRY_SKEW_MS) {
+      return this.token;
+    }
+
+    // Share one refresh between concurrent callers
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.fetchToken()
+        .then(({ accessToken, expiresAt }) => {
+          this.token = accessToken;
+          this.expiresAt = expiresAt || Date.now() + 3600 * 1000;
+          return accessToken;
+        })
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Obtain a fresh token from the backing source
+   * @returns {Promise<{accessToken: string, expiresAt: number}>}
+   */
+  async fetchToken() {
+    throw new Error(`${this.constructor.name} must implement fetchToken()`);
+  }
+
+  /**
+   * Public description of the provider (no secrets)
+   * @returns {Object} Provider summary
+   */
+  describe() {
+    return { type: this.type };
+  }
+}
+
+/**
+ * A fixed bearer token, e.g. the one n8n hands to a Function node
+ */
+class StaticTokenProvider extends CredentialProvider {
+  constructor(accessToken) {
+    super('static');
+    if (!accessToken) {
+      throw new Error('accessToken is required for static token credentials');
+    }
+    this.accessToken = accessToken;
+  }
+
+  async getAccessToken() {
+    return this.accessToken;
+  }
+
+  invalidate() {
+    // A static token cannot be renewed
+  }
+}
+
+/**
+ * OAuth2 refresh token, exchanged for access tokens as they expire
+ */
+class RefreshTokenProvider extends CredentialProvider {
+  /**
+   * @param {Object} config - OAuth2 client settings
+   * @param {string} config.clientId - OAuth2 client ID
+   * @param {string} config.clientSecret - OAuth2 client secret
+   * @param {string} config.refreshToken - Long-lived refresh token
+   * @param {string} config.tokenUrl - Token endpoint override
+   */
+  constructor({ clientId, clientSecret, refreshToken, tokenUrl } = {}) {
+    super('refresh_token');
+    if (!clientId || !clientSecret || !refreshToken) {
+      throw new Error('clientId, clientSecret and refreshToken are required for refresh token credentials');
+    }
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.refreshToken = refreshToken;
+    this.tokenUrl = tokenUrl || 'https://oauth2.googleapis.com/token';
+  }
+
+  async fetchToken() {
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: this.refreshToken,
+        grant_type: 'refresh_token'
+      }).toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(
+        `Token refresh failed (${response.status}): ${data.error_description || data.error || response.statusText}`
+      );
+    }
+
+    return {
+      accessToken: data.access_token,
+      expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+    };
+  }
+
+  describe() {
+    return { type: this.type, clientId: this.clientId };
+  }
+}
+
+/**
+ * Service account JWT, optionally impersonating a Workspace user
+ * through domain-wide delegation
+ */
+class ServiceAccountProvider extends CredentialProvider {
+  /**
+   * @param {Object} config - Service account settings
+   * @param {Object} config.credentials - Parsed service account key file
+   * @param {Array} config.scopes - OAuth2 scopes to request
+   * @param {string} config.subject - User to impersonate (domain-wide delegation)
+   * @param {number} config.maxDelegates - Impersonating providers kept (least recently used dropped first)
+   * @param {Function} JWT - JWT client class, e.g. `google.auth.JWT` from googleapis
+   */
+  constructor({ credentials, scopes = DEFAULT_SCOPES, subject = null, maxDelegates = 100 } = {}, JWT) {
+    super('service_account');
+    if (!credentials?.client_email || !credentials?.private_key) {
+      throw new Error('A service account key with client_email and private_key is required');
+    }
+    if (typeof JWT !== 'function') {
+      throw new Error('A JWT client implementation (google.auth.JWT) is required for service account credentials');
+    }
+    this.credentials = credentials;
+    this.scopes = scopes;
+    this.subject = subject;
+    this.JWT = JWT;
+    this.jwtClient = new JWT({
+      email: credentials.client_email,
+      key: credentials.private_key,
+      scopes,
+      subject: subject || undefined
+    });
+    this.maxDelegates = maxDelegates;
+    this.delegates = new Map();
+  }
+
+  async fetchToken() {
+    const tokens = await this.jwtClient.authorize();
+    return {
+      accessToken: tokens.access_token,
+      expiresAt: tokens.expiry_date
+    };
+  }
+
+  /**
+   * Get a provider impersonating another user with the same key
+   * @param {string} subject - Email of the user to impersonate
+   * @returns {ServiceAccountProvider} Cached provider for that subject
+   */
+  forSubject(subject) {
+    if (!subject || subject === this.subject) {
+      return this;
+    }
+    // Re-inserting keeps the Map in least-recently-used order
+    const delegate = this.delegates.get(subject) || new ServiceAccountProvider({
+      credentials: this.credentials,
+      scopes: this.scopes,
+      subject,
+      maxDelegates: 0
+    }, this.JWT);
+    this.delegates.delete(subject);
+    this.delegates.set(subject, delegate);
+    while (this.delegates.size > this.maxDelegates) {
+      this.delegates.delete(this.delegates.keys().next().value);
+    }
+    return delegate;
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      clientEmail: this.credentials.client_email,
+      subject: this.subject
+    };
+  }
+}
+
+class AuthHandler {
+  /**
+   * Build a credential provider from a config object
+   * @param {Object} config - `{ type: 'static' | 'refresh_token' | 'service_account', ... }`
+   * @param {Object} deps - Optional dependencies (`google` from googleapis for service accounts)
+   * @returns {CredentialProvider} Credential provider
+   */
+  static createProvider(config, deps = {}) {
+    switch (config.type) {
+      case 'static':
+        return new StaticTokenProvider(config.accessToken);
+      case 'refresh_token':
+        return new RefreshTokenProvider(config);
+      case 'service_account':
+        return new ServiceAccountProvider(config, config.JWT || deps.google?.auth?.JWT);
+      default:
+        throw new Error(`Unknown credential type: ${config.type}`);
+    }
+  }
+
+  /**
+   * Build the default credential provider from environment variables
+   *
+   * Service account: GOOGLE_SERVICE_ACCOUNT_KEY (JSON) or
+   *   GOOGLE_SERVICE_ACCOUNT_KEY_FILE / GOOGLE_APPLICATION_CREDENTIALS (path),
+   *   plus optional GOOGLE_IMPERSONATE_SUBJECT.
+   * Refresh token: GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET,
+   *   GOOGLE_OAUTH_REFRESH_TOKEN.
+   * GOOGLE_API_SCOPES (comma-separated) overrides the default scopes.
+   *
+   * @param {Object} env - Environment variables
+   * @param {Object} deps - `{ google, readFile }`
+   * @returns {CredentialProvider|null} Provider, or null when nothing is configured
+   */
+  static fromEnv(env, deps = {}) {
+    const scopes = env.GOOGLE_API_SCOPES
+      ? env.GOOGLE_API_SCOPES.split(',').map(scope => scope.trim()).filter(Boolean)
+      : DEFAULT_SCOPES;
+
+    const keyFile = env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE || env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (env.GOOGLE_SERVICE_ACCOUNT_KEY || keyFile) {
+      const rawKey = env.GOOGLE_SERVICE_ACCOUNT_KEY || deps.readFile(keyFile);
+      return this.createProvider({
+        type: 'service_account',
+        credentials: JSON.parse(rawKey),
+        scopes,
+        subject: env.GOOGLE_IMPERSONATE_SUBJECT || null
+      }, deps);
+    }
+
+    if (env.GOOGLE_OAUTH_REFRESH_TOKEN) {
+      return this.createProvider({
+        type: 'refresh_token',
+        clientId: env.GOOGLE_OAUTH_CLIENT_ID,
+        clientSecret: env.GOOGLE_OAUTH_CLIENT_SECRET,
+        refreshToken: env.GOOGLE_OAUTH_REFRESH_TOKEN
+      }, deps);
+    }
+
+    return null;
+  }
+}
+
+AuthHandler.DEFAULT_SCOPES = DEFAULT_SCOPES;
+AuthHandler.CredentialProvider = CredentialProvider;
+AuthHandler.StaticTokenProvider = StaticTokenProvider;
+AuthHandler.RefreshTokenProvider = RefreshTokenProvider;
+AuthHandler.ServiceAccountProvider = ServiceAccountProvider;
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuthHandler;
+} else {
+  // For n8n Function node
+  this.AuthHandler = AuthHandler;
+}
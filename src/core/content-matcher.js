@@ -3,35 +3,143 @@
  * Intelligently matches content with appropriate slide layouts
  */
 
+class ScoringProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScoringProfileError';
+    this.code = 'INVALID_SCORING_PROFILE';
+    this.status = 400;
+  }
+}
+
+class LayoutSelectorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LayoutSelectorError';
+    this.code = 'INVALID_LAYOUT_SELECTOR';
+    this.status = 400;
+  }
+}
+
 class ContentMatcher {
   /**
    * Find the best layout for given content
    * @param {Object} content - Content object with title, body, images, etc.
+   *   `content.layout` forces a layout (see selectLayouts)
    * @param {Array} layouts - Available layouts from LayoutAnalyzer
-   * @returns {Object} Best matching layout with score
+   * @param {Object} options - `scoringProfile`: weights from createScoringProfile;
+   *   `preferences`: layout feedback recorded for this template (see PreferenceStore);
+   *   `layout`: forces a layout when the content does not
+   * @returns {Object} Best matching layout with score, and `selection` saying
+   *   whether it was 'forced' by a layout selector or 'scored'
    */
-  static findBestLayout(content, layouts) {
+  static findBestLayout(content, layouts, options = {}) {
     if (!layouts || layouts.length === 0) {
       throw new Error('No layouts available');
     }
 
     const contentAnalysis = this.analyzeContent(content);
-    const scoredLayouts = layouts.map(layout => ({
-      ...layout,
-      score: this.calculateLayoutScore(contentAnalysis, layout)
-    }));
-
-    // Sort by score (highest first)
-    scoredLayouts.sort((a, b) => b.score - a.score);
+    const scoredLayouts = this.scoreLayouts(content, layouts, options, contentAnalysis);
+    const selection = this.selectLayouts(content.layout ?? options.layout, scoredLayouts);
+    const bestLayout = selection.layouts[0] || scoredLayouts[0];
+    const reasoning = this.generateReasoning(contentAnalysis, bestLayout);
+    delete selection.layouts;
     
     return {
-      bestLayout: scoredLayouts[0],
-      alternatives: scoredLayouts.slice(1, 3), // Top 2 alternatives
+      bestLayout,
+      alternatives: scoredLayouts.filter(layout => layout !== bestLayout).slice(0, 2), // Top 2 alternatives
+      ranking: scoredLayouts.map(({ objectId, displayName, score }) => ({ objectId, displayName, score })),
       contentAnalysis,
-      reasoning: this.generateReasoning(contentAnalysis, scoredLayouts[0])
+      fit: bestLayout.fit,
+      selection,
+      reasoning: selection.mode === 'forced' ? `Forced by layout selector "${selection.selector}"; ${reasoning}` : reasoning
     };
   }
 
+  /**
+   * Layouts a selector forces. A selector is a layout objectId, an exact
+   * display name, a regular expression on the display name (a RegExp or a
+   * '/pattern/flags' string) or 'category:<name>' (see getLayoutCategory);
+   * an array is a fallback chain tried in order.
+   * @param {string|RegExp|Array} selector - Selector or fallback chain, if any
+   * @param {Array} layouts - Layouts to select from, in order of preference
+   * @returns {Object} `{ mode, selector, fallbackIndex, requested, layouts }`: mode 'forced'
+   *   with the first selector that matched and its layouts, or 'scored' with no layouts
+   * @throws {LayoutSelectorError} When a selector is malformed
+   */
+  static selectLayouts(selector, layouts) {
+    const chain = selector === undefined || selector === null ? [] : [].concat(selector);
+    const matchers = chain.map(entry => this.parseLayoutSelector(entry));
+    const requested = chain.length > 0 ? chain.map(entry => String(entry)) : null;
+
+    for (let index = 0; index < matchers.length; index++) {
+      const matching = layouts.filter(matchers[index]);
+      if (matching.length > 0) {
+        return { mode: 'forced', selector: requested[index], fallbackIndex: index, requested, layouts: matching };
+      }
+    }
+
+    return { mode: 'scored', selector: null, fallbackIndex: null, requested, layouts: [] };
+  }
+
+  /**
+   * Turn one selector into a layout predicate
+   * @throws {LayoutSelectorError} When the selector is malformed
+   */
+  static parseLayoutSelector(selector) {
+    if (selector instanceof RegExp) {
+      // Without g/y, test() keeps no state between layouts
+      const regex = new RegExp(selector.source, selector.flags.replace(/[gy]/g, ''));
+      return layout => regex.test(layout.displayName || '');
+    }
+    if (typeof selector !== 'string' || selector.length === 0) {
+      throw new LayoutSelectorError(`Layout selector must be a non-empty string or RegExp, got ${JSON.stringify(selector)}`);
+    }
+
+    if (selector.startsWith('category:')) {
+      const category = selector.slice('category:'.length);
+      return layout => this.getLayoutCategory(layout) === category;
+    }
+
+    const pattern = selector.match(/^\/(.+)\/([a-z]*)$/);
+    if (pattern) {
+      let regex;
+      try {
+        regex = new RegExp(pattern[1], pattern[2].replace(/[gy]/g, ''));
+      } catch (error) {
+        throw new LayoutSelectorError(`Invalid layout selector ${selector}: ${error.message}`);
+      }
+      return layout => regex.test(layout.displayName || '');
+    }
+
+    return layout => layout.objectId === selector || layout.displayName === selector;
+  }
+
+  /**
+   * Score every layout for the content, best first
+   * @param {Object} content - Content object
+   * @param {Array} layouts - Available layouts from LayoutAnalyzer
+   * @param {Object} options - As for findBestLayout
+   * @param {Object} contentAnalysis - Analysis from analyzeContent, if already computed
+   * @returns {Array} Layouts with `score`, `scoreBreakdown` and `fit`
+   */
+  static scoreLayouts(content, layouts, options = {}, contentAnalysis = this.analyzeContent(content)) {
+    const profile = options.scoringProfile || ContentMatcher.DEFAULT_SCORING_PROFILE;
+    const scoredLayouts = layouts.map(layout => {
+      const fit = this.assessFit(content, layout);
+      const scoreBreakdown = this.calculateLayoutScore(contentAnalysis, layout, fit, profile, options.preferences);
+      return {
+        ...layout,
+        score: scoreBreakdown.total,
+        scoreBreakdown,
+        fit
+      };
+    });
+
+    // Sort by score (highest first)
+    return scoredLayouts.sort((a, b) => b.score - a.score);
+  }
+
   /**
    * Analyze content to determine its characteristics
    * @param {Object} content - Content object
@@ -44,8 +152,11 @@ class ContentMatcher {
       hasImage: Boolean(content.imageUrl || content.images?.length),
       hasBullets: Boolean(content.bullets?.length || content.bulletPoints?.length),
       hasMultipleColumns: Boolean(content.columns?.length > 1),
+      slotKeys: this.getSlotKeys(content),
+      tokenKeys: Object.keys(this.getTokenValues(content)),
       contentLength: 'short',
       contentType: 'general',
+      locale: this.resolveLocale(content),
       imageCount: 0,
       bulletCount: 0
     };
@@ -59,11 +170,10 @@ class ContentMatcher {
     }
 
     // Count images
-    if (content.imageUrl) analysis.imageCount = 1;
-    if (content.images) analysis.imageCount = content.images.length;
+    analysis.imageCount = this.getImages(content).length;
 
     // Count bullets
-    if (content.bullets) analysis.bulletCount = content.bullets.length;
+    if (content.bullets) analysis.bulletCount = this.getBulletItems(content.bullets).length;
     if (content.bulletPoints) analysis.bulletCount = content.bulletPoints.length;
 
     // Determine content type
@@ -72,6 +182,78 @@ class ContentMatcher {
     return analysis;
   }
 
+  /**
+   * Keys of `content.slots` that carry a value
+   * @param {Object} content - Content object
+   * @returns {Array} Slot keys
+   */
+  static getSlotKeys(content) {
+    return Object.keys(content.slots || {}).filter(key =>
+      content.slots[key] !== null && content.slots[key] !== undefined && content.slots[key] !== ''
+    );
+  }
+
+  /**
+   * Flatten `content.bullets` into list paragraphs. Items are strings, where
+   * leading tabs set the nesting level, or `{ text, children }`.
+   * @param {Array} bullets - Bullet items
+   * @returns {Array} `{ text, level }` in reading order
+   */
+  static getBulletItems(bullets = [], level = 0) {
+    return (bullets || []).flatMap(item => {
+      if (item && typeof item === 'object') {
+        return [
+          { text: String(item.text ?? ''), level },
+          ...this.getBulletItems(item.children, level + 1)
+        ];
+      }
+      const text = String(item ?? '');
+      const tabs = text.match(/^\t*/)[0].length;
+      return [{ text: text.slice(tabs), level: level + tabs }];
+    });
+  }
+
+  /**
+   * Values for `{{token}}` replacement on template slides: the content's
+   * fields by name, `column1`..`columnN`, and its slot values
+   * @param {Object} content - Content object
+   * @returns {Object} Token name -> text
+   */
+  static getTokenValues(content) {
+    const values = {};
+    ['title', 'subtitle', 'body'].forEach(field => {
+      if (content[field]) {
+        values[field] = String(content[field]);
+      }
+    });
+    if (content.bullets?.length) {
+      values.bullets = this.getBulletItems(content.bullets)
+        .map(({ text, level }) => `${'  '.repeat(level)}• ${text}`)
+        .join('\n');
+      values.body = values.body || values.bullets;
+    }
+    (content.columns || []).forEach((column, index) => {
+      values[`column${index + 1}`] = String(column);
+    });
+    this.getSlotKeys(content).forEach(key => {
+      values[key] = String(content.slots[key]);
+    });
+    return values;
+  }
+
+  /**
+   * The content's images as `{ url, caption }`: `content.images` entries are
+   * URLs or `{ url, caption }`, and `content.imageUrl` is a single image
+   * @param {Object} content - Content object
+   * @returns {Array} Images in content order
+   */
+  static getImages(content) {
+    const images = content.images?.length ? content.images : (content.imageUrl ? [content.imageUrl] : []);
+    return images
+      .map(image => (typeof image === 'string' ? { url: image, caption: null } : { url: image?.url, caption: image?.caption || null }))
+      .filter(image => image.url);
+  }
+
   /**
    * Determine the type of content
    * @param {Object} content - Original content
@@ -81,109 +263,347 @@ class ContentMatcher {
   static determineContentType(content, analysis) {
     const title = (content.title || '').toLowerCase();
     const body = (content.body || '').toLowerCase();
+    const locales = [...new Set([analysis.locale || ContentMatcher.DEFAULT_LOCALE, ContentMatcher.DEFAULT_LOCALE])];
+    const has = (text, type) => locales.some(locale =>
+      this.findKeywords(text, ContentMatcher.LOCALES[locale]?.keywords?.[type]).length > 0
+    );
+    const quoteMarks = ContentMatcher.LOCALES[analysis.locale]?.quoteMarks ?? ContentMatcher.LOCALES.en.quoteMarks;
     
     // Check for specific content types
-    if (title.includes('agenda') || body.includes('agenda')) return 'agenda';
-    if (title.includes('quote') || body.match(/["'']/)) return 'quote';
-    if (title.includes('section') || title.includes('chapter')) return 'section';
+    if (has(title, 'agenda') || has(body, 'agenda')) return 'agenda';
+    if (has(title, 'quote') || [...quoteMarks].some(mark => body.includes(mark))) return 'quote';
+    if (has(title, 'section')) return 'section';
     if (analysis.hasImage && !analysis.hasBody) return 'image-focused';
     if (analysis.hasBullets && analysis.bulletCount > 5) return 'list-heavy';
-    if (content.comparison || title.includes('vs') || title.includes('versus')) return 'comparison';
-    if (title.includes('thank') || title.includes('conclusion')) return 'closing';
+    if (content.comparison || has(title, 'comparison')) return 'comparison';
+    if (has(title, 'closing')) return 'closing';
     
     return 'general';
   }
 
   /**
-   * Calculate layout score based on content analysis
+   * The locale whose keywords apply: a known `content.locale` ('fr',
+   * 'de-CH', ...), else the one the text looks most like
+   * @param {Object} content - Content object
+   * @returns {string} Locale key in LOCALES
+   */
+  static resolveLocale(content) {
+    const hint = String(content.locale || '').toLowerCase().split(/[-_]/)[0];
+    if (hint && ContentMatcher.LOCALES[hint]) {
+      return hint;
+    }
+
+    const text = [content.title, content.subtitle, content.body, ...this.getBulletItems(content.bullets).map(item => item.text)]
+      .filter(value => typeof value === 'string')
+      .join(' ');
+    return this.detectLocale(text);
+  }
+
+  /**
+   * Guess a text's locale from its stopwords, keywords and letters
+   * @param {string} text - Any text
+   * @returns {string} Best-matching locale, DEFAULT_LOCALE when nothing matches
+   */
+  static detectLocale(text) {
+    const lower = String(text || '').toLowerCase();
+    const words = lower.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    let best = { locale: ContentMatcher.DEFAULT_LOCALE, hits: 0 };
+
+    Object.entries(ContentMatcher.LOCALES).forEach(([locale, dictionary]) => {
+      const hits = words.filter(word => (dictionary.stopwords || []).includes(word)).length +
+        Object.values(dictionary.keywords || {}).reduce((sum, keywords) => sum + this.findKeywords(lower, keywords).length, 0) +
+        [...(dictionary.letters || '')].filter(letter => lower.includes(letter)).length;
+      if (hits > best.hits) {
+        best = { locale, hits };
+      }
+    });
+
+    return best.locale;
+  }
+
+  /**
+   * Keywords that start a word in the text ("thank" matches "Thanks",
+   * "vs" matches "vs." but not "canvas")
+   */
+  static findKeywords(text, keywords = []) {
+    return keywords.filter(keyword => {
+      const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}`, 'u').test(text);
+    });
+  }
+
+  /**
+   * Add keywords, stopwords, letters, quote marks or layout names (kept in
+   * LayoutNames) to a locale, creating it if needed. Lists are merged,
+   * strings replaced.
+   * @param {string} locale - Locale key, e.g. 'es'
+   * @param {Object} dictionary - Partial `{ stopwords, letters, quoteMarks, keywords, layoutNames }`
+   */
+  static extendLocale(locale, dictionary = {}) {
+    const merge = (target = {}, source = {}) => {
+      Object.entries(source).forEach(([key, values]) => {
+        target[key] = [...new Set([...(target[key] || []), ...values])];
+      });
+      return target;
+    };
+    const current = ContentMatcher.LOCALES[locale] || {};
+
+    ContentMatcher.LOCALES[locale] = {
+      ...current,
+      ...(dictionary.letters !== undefined ? { letters: dictionary.letters } : {}),
+      ...(dictionary.quoteMarks !== undefined ? { quoteMarks: dictionary.quoteMarks } : {}),
+      stopwords: [...new Set([...(current.stopwords || []), ...(dictionary.stopwords || [])])],
+      keywords: merge({ ...current.keywords }, dictionary.keywords)
+    };
+    ContentMatcher.LayoutNames.extend(locale, dictionary.layoutNames);
+  }
+
+  /**
+   * Calculate layout score based on content analysis. Every rule that fires
+   * is recorded with its contribution, named after the profile weight it
+   * applies; the total is their sum clamped to 0-100.
    * @param {Object} contentAnalysis - Analysis of the content
    * @param {Object} layout - Layout object
-   * @returns {number} Score (0-100)
+   * @param {Object} fit - Capacity estimate from assessFit, if available
+   * @param {Object} profile - Scoring weights (see DEFAULT_SCORING_PROFILE)
+   * @param {Array} preferences - Layout feedback for this template, if any
+   * @returns {Object} `{ total, unclamped, rules: [{ rule, points, reason }] }`
    */
-  static calculateLayoutScore(contentAnalysis, layout) {
-    let score = 0;
+  static calculateLayoutScore(contentAnalysis, layout, fit = null, profile = ContentMatcher.DEFAULT_SCORING_PROFILE, preferences = []) {
+    const { bonuses, penalties } = profile;
+    const rules = [];
+    const apply = (rule, points, reason) => rules.push({ rule, points, reason });
     const placeholderTypes = layout.placeholders.map(p => p.type);
     const category = this.getLayoutCategory(layout);
 
     // Base scoring by layout category and content type
-    const categoryScores = this.getCategoryScores(contentAnalysis, category);
-    score += categoryScores;
+    const categoryScores = this.getCategoryScores(contentAnalysis, category, profile);
+    if (categoryScores !== 0) {
+      apply('categoryScores', categoryScores, `Content type '${contentAnalysis.contentType}' suits ${category} layout`);
+    }
 
     // Bonus points for placeholder alignment
     if (contentAnalysis.hasTitle && placeholderTypes.includes('TITLE')) {
-      score += 20;
+      apply('titlePlaceholder', bonuses.titlePlaceholder, 'Layout has title placeholder for provided title');
     }
     if (contentAnalysis.hasBody && placeholderTypes.includes('BODY')) {
-      score += 15;
+      apply('bodyPlaceholder', bonuses.bodyPlaceholder, 'Layout has body placeholder for provided content');
     }
     if (contentAnalysis.hasImage && placeholderTypes.includes('PICTURE')) {
-      score += 10;
+      apply('picturePlaceholder', bonuses.picturePlaceholder, 'Layout has picture placeholder for provided image');
+    }
+    // One picture placeholder per image; images beyond them go in a grid
+    const pictureCount = placeholderTypes.filter(type => type === 'PICTURE').length;
+    const imageCount = contentAnalysis.imageCount || 0;
+    const gridImages = imageCount - Math.max(pictureCount, 1);
+    if (imageCount > 1 && pictureCount === imageCount) {
+      apply('pictureCount', bonuses.pictureCount, `Layout has a picture placeholder for each of the ${imageCount} images`);
+    }
+    if (gridImages > 0) {
+      apply('gridImage', -Math.min(penalties.maxGridImages, penalties.gridImage * gridImages),
+        `${gridImages} image(s) without a picture placeholder go in a grid`);
+    }
+    if (pictureCount > imageCount) {
+      apply('unusedPicturePlaceholder', -penalties.unusedPicturePlaceholder * (pictureCount - imageCount),
+        `${pictureCount - imageCount} picture placeholder(s) left empty`);
+    }
+    // Named slots the content addresses (missing ones count as unplaced text below)
+    const coveredSlots = this.getCoveredSlots(contentAnalysis, layout);
+    if (coveredSlots.length > 0) {
+      apply('slot', Math.min(bonuses.maxSlots, bonuses.slot * coveredSlots.length),
+        `Layout has slots for: ${coveredSlots.join(', ')}`);
+    }
+
+    // Template slides: `{{tokens}}` the content fills, and those it leaves empty
+    const tokens = layout.tokens || [];
+    const filledTokens = tokens.filter(token => (contentAnalysis.tokenKeys || []).includes(token));
+    const emptyTokens = tokens.filter(token => !filledTokens.includes(token));
+    if (filledTokens.length > 0) {
+      apply('filledToken', Math.min(bonuses.maxFilledTokens, bonuses.filledToken * filledTokens.length),
+        `Template fills ${filledTokens.length} of ${tokens.length} tokens`);
+    }
+    if (emptyTokens.length > 0) {
+      apply('emptyToken', -penalties.emptyToken * emptyTokens.length, `Tokens left empty: ${emptyTokens.join(', ')}`);
     }
 
     // Penalties for mismatches
     if (!contentAnalysis.hasTitle && placeholderTypes.includes('TITLE')) {
-      score -= 5;
+      apply('unusedTitlePlaceholder', -penalties.unusedTitlePlaceholder, 'Title placeholder left empty');
     }
     if (!contentAnalysis.hasBody && placeholderTypes.includes('BODY')) {
-      score -= 5;
+      apply('unusedBodyPlaceholder', -penalties.unusedBodyPlaceholder, 'Body placeholder left empty');
     }
 
     // Content length considerations
     if (contentAnalysis.contentLength === 'long' && category === 'titleOnly') {
-      score -= 15;
+      apply('longContentTitleOnly', -penalties.longContentTitleOnly, 'Long content on a title-only layout');
     }
     if (contentAnalysis.contentLength === 'short' && category === 'titleAndTwoColumns') {
-      score -= 10;
+      apply('shortContentTwoColumns', -penalties.shortContentTwoColumns, 'Short content on a two-column layout');
+    }
+
+    // Text with nowhere to go, or that will not fit where it goes
+    // (dropping text always costs more than overflowing)
+    if (fit) {
+      if (fit.unplaced.length > 0) {
+        apply('unplacedText', -penalties.unplacedText * fit.unplaced.length, `No placeholder for: ${fit.unplaced.join(', ')}`);
+      }
+      if (fit.overflowRisk === 'high' && fit.suggestSplit) {
+        apply('overflow',
+          -Math.min(penalties.maxOverflow, penalties.overflow + Math.round((fit.fillRatio - 1) * penalties.overflowPerExtraFill)),
+          `Text overflows; split across ${fit.estimatedSlides} slides`);
+      } else if (fit.overflowRisk === 'high') {
+        apply('overflowFixedByFont', -penalties.overflowFixedByFont,
+          `Text overflows; reduce font size to ${fit.suggestedFontSize}pt`);
+      } else if (fit.overflowRisk === 'low') {
+        apply('nearlyFull', -penalties.nearlyFull, 'Text nearly fills its placeholders');
+      }
+    }
+
+    // What editors of this template used for similar content
+    const votes = this.getPreferenceVotes(contentAnalysis, layout, preferences);
+    if (votes !== 0) {
+      const points = Math.round(Math.max(-bonuses.maxPreference, Math.min(bonuses.maxPreference, bonuses.preference * votes)));
+      apply('preference', points, votes > 0
+        ? 'Editors chose this layout for similar content'
+        : 'Editors replaced this layout for similar content');
     }
 
-    return Math.max(0, Math.min(100, score));
+    const unclamped = rules.reduce((sum, { points }) => sum + points, 0);
+    return {
+      total: Math.max(0, Math.min(100, unclamped)),
+      unclamped,
+      rules
+    };
+  }
+
+  /**
+   * The content features layout feedback is recorded and compared by
+   * @param {Object} contentAnalysis - Analysis from analyzeContent
+   * @returns {Object} Feature values, keyed by PREFERENCE_FEATURES
+   */
+  static getPreferenceFeatures(contentAnalysis) {
+    return Object.fromEntries(ContentMatcher.PREFERENCE_FEATURES.map(feature => [feature, contentAnalysis[feature]]));
+  }
+
+  /**
+   * Net editor votes for a layout: each feedback record for similar content
+   * counts for the layout chosen and against the one it overrode, weighted
+   * by the share of features the content has in common with it
+   * @param {Object} contentAnalysis - Analysis from analyzeContent
+   * @param {Object} layout - Layout object
+   * @param {Array} preferences - Feedback records from PreferenceStore
+   * @returns {number} Positive when editors favour the layout
+   */
+  static getPreferenceVotes(contentAnalysis, layout, preferences = []) {
+    const features = ContentMatcher.PREFERENCE_FEATURES;
+    const isLayout = ref => Boolean(ref) && (
+      (ref.objectId && ref.objectId === layout.objectId) ||
+      (ref.displayName && ref.displayName === layout.displayName)
+    );
+
+    return (preferences || []).reduce((votes, record) => {
+      const shared = features.filter(feature => record.features?.[feature] === contentAnalysis[feature]).length;
+      const similarity = shared / features.length;
+      if (similarity < ContentMatcher.MIN_PREFERENCE_SIMILARITY) {
+        return votes;
+      }
+
+      if (isLayout(record.chosenLayout)) {
+        return votes + similarity;
+      }
+      return isLayout(record.overriddenLayout) ? votes - similarity : votes;
+    }, 0);
+  }
+
+  /**
+   * Rules that contribute differently to two scored layouts, largest gap first
+   * @param {Object} layout - Scored layout (with scoreBreakdown)
+   * @param {Object} other - Scored layout to compare against
+   * @returns {Array} `{ rule, reason, difference }`; positive differences favour `layout`
+   */
+  static compareScores(layout, other) {
+    const points = breakdown => new Map(breakdown.rules.map(({ rule, points: value }) => [rule, value]));
+    const ours = points(layout.scoreBreakdown);
+    const theirs = points(other.scoreBreakdown);
+    const reasons = new Map(
+      [...other.scoreBreakdown.rules, ...layout.scoreBreakdown.rules].map(({ rule, reason }) => [rule, reason])
+    );
+
+    return [...reasons.keys()]
+      .map(rule => ({ rule, reason: reasons.get(rule), difference: (ours.get(rule) || 0) - (theirs.get(rule) || 0) }))
+      .filter(({ difference }) => difference !== 0)
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
   }
 
   /**
    * Get base scores for layout categories
    * @param {Object} contentAnalysis - Content analysis
    * @param {string} category - Layout category
+   * @param {Object} profile - Scoring weights (see DEFAULT_SCORING_PROFILE)
    * @returns {number} Base score
    */
-  static getCategoryScores(contentAnalysis, category) {
-    const { contentType, hasTitle, hasBody, hasImage, hasBullets } = contentAnalysis;
-
-    const scoreMatrix = {
-      'section': {
-        'sectionHeader': 40,
-        'titleOnly': 30,
-        'titleAndBody': 20
-      },
-      'quote': {
-        'sectionHeader': 35,
-        'titleOnly': 30,
-        'titleAndBody': 25
-      },
-      'image-focused': {
-        'blank': 40,
-        'titleOnly': 35,
-        'titleAndBody': 20
-      },
-      'comparison': {
-        'titleAndTwoColumns': 40,
-        'titleAndBody': 25,
-        'blank': 20
-      },
-      'list-heavy': {
-        'titleAndBody': 35,
-        'titleAndTwoColumns': 30,
-        'blank': 20
-      },
-      'general': {
-        'titleAndBody': 35,
-        'titleOnly': 25,
-        'sectionHeader': 20,
-        'titleAndTwoColumns': 15,
-        'blank': 10
+  static getCategoryScores(contentAnalysis, category, profile = ContentMatcher.DEFAULT_SCORING_PROFILE) {
+    const scoreMatrix = profile.categoryScores;
+
+    return scoreMatrix[contentAnalysis.contentType]?.[category] ?? scoreMatrix['general']?.[category] ?? 0;
+  }
+
+  /**
+   * Build a scoring profile by overlaying partial weights on a base profile.
+   * Bonuses and penalties must name known weights; category scores may add
+   * content types and layout categories.
+   * @param {Object} overrides - `{ categoryScores, bonuses, penalties }`, each partial
+   * @param {Object} base - Profile to start from (defaults to DEFAULT_SCORING_PROFILE)
+   * @returns {Object} A new, complete profile
+   * @throws {ScoringProfileError} On unknown sections or weights, or non-numeric values
+   */
+  static createScoringProfile(overrides = {}, base = ContentMatcher.DEFAULT_SCORING_PROFILE) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkWeight = (path, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ScoringProfileError(`Scoring weight ${path} must be a number`);
       }
     };
 
-    return scoreMatrix[contentType]?.[category] || scoreMatrix['general'][category] || 0;
+    if (!isObject(overrides)) {
+      throw new ScoringProfileError('A scoring profile must be an object');
+    }
+    const profile = {
+      categoryScores: Object.fromEntries(
+        Object.entries(base.categoryScores).map(([contentType, scores]) => [contentType, { ...scores }])
+      ),
+      bonuses: { ...base.bonuses },
+      penalties: { ...base.penalties }
+    };
+
+    Object.entries(overrides).forEach(([section, values]) => {
+      if (!(section in profile)) {
+        throw new ScoringProfileError(`Unknown scoring section: ${section}`);
+      }
+      if (!isObject(values)) {
+        throw new ScoringProfileError(`Scoring section ${section} must be an object`);
+      }
+
+      Object.entries(values).forEach(([key, value]) => {
+        if (section !== 'categoryScores') {
+          if (!(key in profile[section])) {
+            throw new ScoringProfileError(`Unknown scoring weight: ${section}.${key}`);
+          }
+          checkWeight(`${section}.${key}`, value);
+          profile[section][key] = value;
+          return;
+        }
+
+        if (!isObject(value)) {
+          throw new ScoringProfileError(`categoryScores.${key} must map layout categories to scores`);
+        }
+        Object.entries(value).forEach(([category, score]) => checkWeight(`categoryScores.${key}.${category}`, score));
+        profile.categoryScores[key] = { ...profile.categoryScores[key], ...value };
+      });
+    });
+
+    return profile;
   }
 
   /**
@@ -193,12 +613,10 @@ class ContentMatcher {
    */
   static getLayoutCategory(layout) {
     const placeholderTypes = layout.placeholders.map(p => p.type);
-    const displayName = layout.displayName?.toUpperCase() || '';
     
-    if (displayName.includes('TITLE_ONLY') || displayName.includes('TITLE ONLY')) return 'titleOnly';
-    if (displayName.includes('SECTION_HEADER')) return 'sectionHeader';
-    if (displayName.includes('TWO_COLUMNS')) return 'titleAndTwoColumns';
-    if (displayName.includes('BLANK')) return 'blank';
+    // Layout names in any known language (decks and content may differ)
+    const named = ContentMatcher.LayoutNames.categoryOf(layout.displayName);
+    if (named) return named;
 
     const hasTitle = placeholderTypes.includes('TITLE');
     const hasBody = placeholderTypes.includes('BODY');
@@ -220,31 +638,533 @@ class ContentMatcher {
    * @returns {string} Human-readable reasoning
    */
   static generateReasoning(contentAnalysis, selectedLayout) {
-    const reasons = [];
-    const category = this.getLayoutCategory(selectedLayout);
+    const breakdown = selectedLayout.scoreBreakdown
+      || this.calculateLayoutScore(contentAnalysis, selectedLayout, selectedLayout.fit || null);
+    const reasons = breakdown.rules.map(({ reason }) => reason);
+
+    reasons.push(breakdown.unclamped === breakdown.total
+      ? `Score: ${breakdown.total}/100`
+      : `Score: ${breakdown.total}/100 (${breakdown.unclamped} before clamping)`);
     
-    if (contentAnalysis.contentType !== 'general') {
-      reasons.push(`Content type '${contentAnalysis.contentType}' best matches ${category} layout`);
+    return reasons.join('; ');
+  }
+
+  /**
+   * Slot keys of the content that the layout provides
+   */
+  static getCoveredSlots(contentAnalysis, layout) {
+    return (contentAnalysis.slotKeys || []).filter(key => (layout.slots || []).some(slot => slot.key === key));
+  }
+
+  /**
+   * Estimate whether the content's text fits the placeholders it would be
+   * written into. Uses placeholder bounds and font size from LayoutAnalyzer;
+   * placeholders without bounds are not measured.
+   * @param {Object} content - Content object
+   * @param {Object} layout - Layout object
+   * @returns {Object} `{ fits, overflowRisk, fillRatio, placeholders, unplaced, suggestedFontSize, suggestSplit, estimatedSlides }`
+   */
+  static assessFit(content, layout) {
+    const placeholders = [];
+    const unplaced = [];
+
+    this.getTextTargets(content, layout).forEach(({ role, placeholder, paragraphs }) => {
+      if (!placeholder) {
+        unplaced.push(role);
+        return;
+      }
+      if (!paragraphs) {
+        return;
+      }
+
+      const capacity = this.estimateCapacity(placeholder);
+      if (!capacity) {
+        return;
+      }
+
+      const linesNeeded = this.countLines(paragraphs, capacity.charsPerLine);
+      const entry = {
+        role,
+        objectId: placeholder.objectId,
+        type: placeholder.type || placeholder.placeholderType || null,
+        fontSize: capacity.fontSize,
+        charsPerLine: capacity.charsPerLine,
+        linesAvailable: capacity.lines,
+        linesNeeded,
+        fillRatio: Math.round(linesNeeded / capacity.lines * 100) / 100,
+        suggestedFontSize: null,
+        slidesNeeded: 1
+      };
+
+      if (linesNeeded > capacity.lines) {
+        entry.suggestedFontSize = this.findFittingFontSize(paragraphs, placeholder, capacity.fontSize);
+        if (!entry.suggestedFontSize) {
+          entry.slidesNeeded = Math.ceil(linesNeeded / capacity.lines);
+        }
+      }
+      placeholders.push(entry);
+    });
+
+    if (placeholders.length === 0) {
+      return {
+        fits: null,
+        overflowRisk: 'unknown',
+        fillRatio: null,
+        placeholders,
+        unplaced,
+        suggestedFontSize: null,
+        suggestSplit: false,
+        estimatedSlides: 1
+      };
     }
-    
-    if (contentAnalysis.hasTitle && selectedLayout.placeholders.some(p => p.type === 'TITLE')) {
-      reasons.push('Layout has title placeholder for provided title');
+
+    const fillRatio = Math.max(...placeholders.map(entry => entry.fillRatio));
+    const overflowing = placeholders.filter(entry => entry.linesNeeded > entry.linesAvailable);
+    const fontSizes = overflowing.map(entry => entry.suggestedFontSize).filter(Boolean);
+    const splitBody = overflowing.find(entry => entry.role === 'body' && !entry.suggestedFontSize);
+    // A single line filling its box is not at risk; wrapped text near the bottom is
+    const nearlyFull = placeholders.some(entry =>
+      entry.linesNeeded > 1 && entry.fillRatio > ContentMatcher.NEARLY_FULL_RATIO
+    );
+
+    return {
+      fits: overflowing.length === 0,
+      overflowRisk: overflowing.length > 0 ? 'high' : nearlyFull ? 'low' : 'none',
+      fillRatio,
+      placeholders,
+      unplaced,
+      suggestedFontSize: fontSizes.length > 0 ? Math.min(...fontSizes) : null,
+      suggestSplit: Boolean(splitBody),
+      estimatedSlides: splitBody ? splitBody.slidesNeeded : 1
+    };
+  }
+
+  /**
+   * Text blocks and the placeholders they are written into, following the
+   * same placement rules as slide creation
+   * @param {Object} content - Content object
+   * @param {Object} layout - Layout object
+   * @returns {Array} `{ role, placeholder, paragraphs }` per block; `placeholder`
+   *   is null when the layout has nowhere to put the block, `paragraphs` is
+   *   null for image slots
+   */
+  static getTextTargets(content, layout) {
+    const byType = {};
+    layout.placeholders.forEach(placeholder => {
+      (byType[placeholder.type] = byType[placeholder.type] || []).push(placeholder);
+    });
+
+    const targets = [];
+    const first = placeholders => (placeholders ? placeholders[0] : null);
+    // On template slides a `{{token}}` is a place for the text too (of unknown size)
+    const token = (...names) => {
+      const name = names.find(candidate => (layout.tokens || []).includes(candidate));
+      return name ? { token: name } : null;
+    };
+
+    if (content.title) {
+      const title = first(byType.TITLE || byType.CENTERED_TITLE) || token('title');
+      targets.push({ role: 'title', placeholder: title, paragraphs: String(content.title).split('\n') });
     }
-    
-    if (contentAnalysis.hasBody && selectedLayout.placeholders.some(p => p.type === 'BODY')) {
-      reasons.push('Layout has body placeholder for provided content');
+    if (content.subtitle) {
+      const subtitle = first(byType.SUBTITLE) || token('subtitle');
+      targets.push({ role: 'subtitle', placeholder: subtitle, paragraphs: String(content.subtitle).split('\n') });
     }
-    
-    if (contentAnalysis.hasImage) {
-      reasons.push('Layout can accommodate image content');
+
+    // Body text and bullets share the body placeholder, bullets last
+    const hasBullets = Boolean(content.bullets?.length);
+    if (content.body || hasBullets) {
+      const paragraphs = [
+        ...(content.body ? String(content.body).split('\n') : []),
+        ...this.getBulletLines(content.bullets)
+      ];
+      const body = first(byType.BODY) || (hasBullets ? token('bullets', 'body') : token('body'));
+      targets.push({ role: 'body', placeholder: body, paragraphs });
     }
-    
-    reasons.push(`Score: ${selectedLayout.score}/100`);
-    
-    return reasons.join('; ');
+
+    const columnPlaceholders = byType.CONTENT ||
+      (!content.body && !hasBullets && byType.BODY?.length > 1 ? byType.BODY : []);
+    (content.columns || []).forEach((column, index) => {
+      targets.push({
+        role: `column${index + 1}`,
+        placeholder: columnPlaceholders[index] || token(`column${index + 1}`),
+        paragraphs: String(column).split('\n')
+      });
+    });
+
+    this.getSlotKeys(content).forEach(key => {
+      const slot = (layout.slots || []).find(candidate => candidate.key === key) || null;
+      targets.push({
+        role: `slot:${key}`,
+        placeholder: slot || token(key),
+        paragraphs: slot?.kind === 'image' ? null : String(content.slots[key]).split('\n')
+      });
+    });
+
+    return targets;
+  }
+
+  /**
+   * Rough text capacity of a placeholder: characters per line and lines,
+   * from its bounds (minus the default text inset) and font size
+   * @param {Object} placeholder - Placeholder with `bounds` in EMU
+   * @param {number} fontSize - Font size in pt (defaults to the placeholder's own)
+   * @returns {Object|null} `{ widthPt, heightPt, fontSize, charsPerLine, lines }`, or null without bounds
+   */
+  static estimateCapacity(placeholder, fontSize = this.getFontSize(placeholder)) {
+    const { bounds } = placeholder;
+    if (!bounds || !bounds.width || !bounds.height) {
+      return null;
+    }
+
+    const widthPt = bounds.width / ContentMatcher.EMU_PER_POINT - 2 * ContentMatcher.TEXT_INSET_PT;
+    const heightPt = bounds.height / ContentMatcher.EMU_PER_POINT - 2 * ContentMatcher.TEXT_INSET_PT;
+
+    return {
+      widthPt: Math.round(widthPt),
+      heightPt: Math.round(heightPt),
+      fontSize,
+      charsPerLine: Math.max(1, Math.floor(widthPt / (fontSize * ContentMatcher.CHAR_WIDTH_RATIO))),
+      lines: Math.max(1, Math.floor(heightPt / (fontSize * ContentMatcher.LINE_HEIGHT_RATIO)))
+    };
+  }
+
+  /**
+   * Effective font size of a placeholder (or slot) in pt, with any autofit scale applied
+   */
+  static getFontSize(placeholder) {
+    const fontSize = placeholder.textStyle?.fontSize ||
+      ContentMatcher.DEFAULT_FONT_SIZES[placeholder.type || placeholder.placeholderType] ||
+      ContentMatcher.DEFAULT_FONT_SIZES.BODY;
+    return fontSize * (placeholder.autofit?.fontScale || 1);
+  }
+
+  /**
+   * Lines needed to wrap paragraphs at a given line length (greedy word wrap)
+   * @param {Array} paragraphs - Paragraph strings
+   * @param {number} charsPerLine - Characters per line
+   * @returns {number} Line count
+   */
+  static countLines(paragraphs, charsPerLine) {
+    return paragraphs.reduce((total, paragraph) => {
+      let lines = 1;
+      let length = 0;
+
+      paragraph.replace(/\t/g, '    ').split(/\s+/).filter(Boolean).forEach(word => {
+        if (length > 0 && length + 1 + word.length <= charsPerLine) {
+          length += 1 + word.length;
+          return;
+        }
+        if (length > 0) {
+          lines++;
+        }
+        // Words longer than a line break across lines
+        lines += Math.floor((word.length - 1) / charsPerLine);
+        length = (word.length - 1) % charsPerLine + 1;
+      });
+
+      return total + lines;
+    }, 0);
+  }
+
+  /**
+   * Largest whole font size, below the current one, at which the text fits
+   * @returns {number|null} Font size in pt, or null if it does not fit at MIN_FONT_SIZE
+   */
+  static findFittingFontSize(paragraphs, placeholder, fontSize) {
+    for (let size = Math.ceil(fontSize) - 1; size >= ContentMatcher.MIN_FONT_SIZE; size--) {
+      const capacity = this.estimateCapacity(placeholder, size);
+      if (this.countLines(paragraphs, capacity.charsPerLine) <= capacity.lines) {
+        return size;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split content so the first part fits the layout's body placeholder
+   * @param {Object} content - Content object with `body` or `bullets`
+   * @param {Object} layout - Layout the first part will be written into
+   * @param {Object} options - Split options
+   * @param {string} options.continuationTitle - Title for the continuation
+   * @returns {Object} `{ head, rest }`; `rest` is null when everything fits
+   */
+  static splitToFit(content, layout, { continuationTitle } = {}) {
+    const target = this.getTextTargets(content, layout).find(block => block.role === 'body');
+    const capacity = target?.placeholder ? this.estimateCapacity(target.placeholder) : null;
+    if (!capacity) {
+      return { head: content, rest: null };
+    }
+
+    const fits = text => this.countLines(text.split('\n'), capacity.charsPerLine) <= capacity.lines;
+    const continuation = {};
+    if (continuationTitle) {
+      continuation.title = continuationTitle;
+    }
+
+    // Top-level bullets move with their children; body text stays on the first slide
+    if (content.bullets?.length) {
+      const bodyLines = content.body ? String(content.body).split('\n') : [];
+      const count = this.countFitting(content.bullets.length, n =>
+        fits([...bodyLines, ...this.getBulletLines(content.bullets.slice(0, n))].join('\n'))
+      );
+      if (count === content.bullets.length) {
+        return { head: content, rest: null };
+      }
+      return {
+        head: { ...content, bullets: content.bullets.slice(0, count) },
+        rest: { ...continuation, bullets: content.bullets.slice(count) }
+      };
+    }
+
+    const units = this.getBodyUnits(String(content.body), fits);
+    const count = this.countFitting(units.length, n => fits(this.joinUnits(units.slice(0, n))));
+    if (count === units.length) {
+      return { head: content, rest: null };
+    }
+    return {
+      head: { ...content, body: this.joinUnits(units.slice(0, count)) },
+      rest: { ...continuation, body: this.joinUnits(units.slice(count)).replace(/^\n+/, '') }
+    };
+  }
+
+  /**
+   * Split content into the slides it needs, each matched to its own layout.
+   * Only the first slide keeps the subtitle, image and columns; the others
+   * repeat the title with a "(cont.)" suffix.
+   * @param {Object} content - Content object
+   * @param {Array} layouts - Available layouts from LayoutAnalyzer
+   * @param {Object} options - Passed on to findBestLayout
+   * @returns {Array} `{ content, matchResult }` per slide
+   */
+  static planSlides(content, layouts, options = {}) {
+    const continuationTitle = content.title ? `${content.title} ${ContentMatcher.CONTINUATION_SUFFIX}` : null;
+    const slides = [];
+    let remaining = content;
+
+    while (remaining) {
+      const matchResult = this.findBestLayout(remaining, layouts, options);
+      const { head, rest } = this.splitToFit(remaining, matchResult.bestLayout, { continuationTitle });
+
+      if (rest) {
+        // Report how the part actually written fits, not the whole remainder
+        matchResult.fit = this.assessFit(head, matchResult.bestLayout);
+        matchResult.bestLayout = { ...matchResult.bestLayout, fit: matchResult.fit };
+      }
+      slides.push({ content: head, matchResult });
+      remaining = rest;
+    }
+
+    return slides;
+  }
+
+  /**
+   * Body text as paragraphs, breaking any paragraph that cannot fit on its
+   * own into sentences, and any such sentence into words
+   * @returns {Array} `{ text, newParagraph }` units
+   */
+  static getBodyUnits(body, fits) {
+    const units = [];
+
+    body.split('\n').forEach(paragraph => {
+      if (fits(paragraph)) {
+        units.push({ text: paragraph, newParagraph: true });
+        return;
+      }
+
+      // Leading punctuation stays with the first sentence; a paragraph of
+      // punctuation alone has no sentence to split at
+      const sentences = (paragraph.match(/[.!?]*[^.!?]+(?:[.!?]+|$)/g) || [paragraph])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+      sentences.forEach((sentence, sentenceIndex) => {
+        const pieces = fits(sentence) ? [sentence] : sentence.split(/\s+/).filter(Boolean);
+        pieces.forEach((text, pieceIndex) => {
+          units.push({ text, newParagraph: sentenceIndex === 0 && pieceIndex === 0 });
+        });
+      });
+    });
+
+    return units;
+  }
+
+  static joinUnits(units) {
+    return units.map((unit, index) => (index > 0 ? (unit.newParagraph ? '\n' : ' ') : '') + unit.text).join('');
+  }
+
+  // Bullets as text lines for size estimates: indent plus bullet glyph
+  static getBulletLines(bullets) {
+    return this.getBulletItems(bullets).map(({ text, level }) => `${'    '.repeat(level)}• ${text}`);
+  }
+
+  /**
+   * Largest n (at least 1, so splitting always makes progress) for which
+   * `fitsFirst(n)` holds
+   */
+  static countFitting(total, fitsFirst) {
+    let count = 1;
+    while (count < total && fitsFirst(count + 1)) {
+      count++;
+    }
+    return count;
   }
 }
 
+ContentMatcher.EMU_PER_POINT = 12700;
+
+// Default inset between a shape's edge and its text (0.1in)
+ContentMatcher.TEXT_INSET_PT = 7.2;
+
+// Average glyph width and line height as multiples of the font size
+ContentMatcher.CHAR_WIDTH_RATIO = 0.5;
+ContentMatcher.LINE_HEIGHT_RATIO = 1.2;
+
+// Used when a placeholder's text style could not be resolved
+ContentMatcher.DEFAULT_FONT_SIZES = {
+  TITLE: 28,
+  CENTERED_TITLE: 36,
+  SUBTITLE: 18,
+  BODY: 18
+};
+
+// Smallest font size suggested before splitting is recommended instead
+ContentMatcher.MIN_FONT_SIZE = 12;
+
+// Fill ratio above which text is flagged as at risk of overflowing
+ContentMatcher.NEARLY_FULL_RATIO = 0.85;
+
+// Appended to the title of slides that continue split content
+ContentMatcher.CONTINUATION_SUFFIX = '(cont.)';
+
+// Every weight calculateLayoutScore applies. categoryScores is the base score
+// per content type and layout category; types without an entry for a
+// category fall back to 'general'. Overflow on a splittable body costs
+// overflow + overflowPerExtraFill per 100% over capacity, up to maxOverflow.
+// preference is applied per net editor vote, up to maxPreference either way.
+ContentMatcher.DEFAULT_SCORING_PROFILE = {
+  categoryScores: {
+    'section': {
+      'sectionHeader': 40,
+      'titleOnly': 30,
+      'titleAndBody': 20
+    },
+    'quote': {
+      'sectionHeader': 35,
+      'titleOnly': 30,
+      'titleAndBody': 25
+    },
+    'image-focused': {
+      'blank': 40,
+      'titleOnly': 35,
+      'titleAndBody': 20
+    },
+    'comparison': {
+      'titleAndTwoColumns': 40,
+      'titleAndBody': 25,
+      'blank': 20
+    },
+    'list-heavy': {
+      'titleAndBody': 35,
+      'titleAndTwoColumns': 30,
+      'blank': 20
+    },
+    'general': {
+      'titleAndBody': 35,
+      'titleOnly': 25,
+      'sectionHeader': 20,
+      'titleAndTwoColumns': 15,
+      'blank': 10
+    }
+  },
+  bonuses: {
+    titlePlaceholder: 20,
+    bodyPlaceholder: 15,
+    picturePlaceholder: 10,
+    pictureCount: 10,
+    slot: 10,
+    maxSlots: 30,
+    filledToken: 10,
+    maxFilledTokens: 30,
+    preference: 10,
+    maxPreference: 30
+  },
+  penalties: {
+    unusedTitlePlaceholder: 5,
+    unusedBodyPlaceholder: 5,
+    unusedPicturePlaceholder: 5,
+    gridImage: 5,
+    maxGridImages: 15,
+    longContentTitleOnly: 15,
+    shortContentTwoColumns: 10,
+    emptyToken: 5,
+    unplacedText: 25,
+    overflow: 10,
+    overflowPerExtraFill: 10,
+    maxOverflow: 20,
+    overflowFixedByFont: 5,
+    nearlyFull: 2
+  }
+};
+
+// Content features compared when applying layout feedback, and how many of
+// them a past record must share to count
+ContentMatcher.PREFERENCE_FEATURES = ['contentType', 'contentLength', 'hasTitle', 'hasBody', 'hasImage', 'hasBullets'];
+ContentMatcher.MIN_PREFERENCE_SIMILARITY = 0.5;
+
+// Keyword dictionaries per locale, extendable with extendLocale. Content
+// keywords match at the start of a word in the title (agenda: title or
+// body); quote marks anywhere in the body. stopwords and letters only serve
+// to detect the locale of content without a `locale` hint. Layout names
+// live in LayoutNames.
+ContentMatcher.DEFAULT_LOCALE = 'en';
+ContentMatcher.LOCALES = {
+  en: {
+    stopwords: ['the', 'and', 'of', 'to', 'is', 'for', 'with', 'our', 'we', 'this', 'are'],
+    letters: '',
+    quoteMarks: '"\'',
+    keywords: {
+      agenda: ['agenda'],
+      quote: ['quote'],
+      section: ['section', 'chapter'],
+      comparison: ['vs', 'versus'],
+      closing: ['thank', 'conclusion']
+    }
+  },
+  fr: {
+    stopwords: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'du', 'pour', 'nous', 'dans', 'avec', 'sur', 'au', 'aux'],
+    letters: 'éèêàçùœ',
+    quoteMarks: '«»"“”',
+    keywords: {
+      agenda: ['ordre du jour', 'sommaire', 'programme', 'agenda'],
+      quote: ['citation'],
+      section: ['partie', 'chapitre', 'section'],
+      comparison: ['vs', 'versus', 'contre', 'comparaison', 'comparatif'],
+      closing: ['merci', 'conclusion']
+    }
+  },
+  de: {
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'wir', 'ein', 'eine', 'den', 'auf', 'von', 'im'],
+    letters: 'äöüß',
+    quoteMarks: '„“”"»«',
+    keywords: {
+      agenda: ['tagesordnung', 'agenda', 'inhaltsverzeichnis', 'übersicht'],
+      quote: ['zitat'],
+      section: ['abschnitt', 'kapitel'],
+      comparison: ['vs', 'versus', 'gegenüber', 'vergleich'],
+      closing: ['danke', 'vielen dank', 'fazit', 'zusammenfassung']
+    }
+  }
+};
+
+ContentMatcher.ScoringProfileError = ScoringProfileError;
+ContentMatcher.LayoutSelectorError = LayoutSelectorError;
+
+// Layout display names per locale, shared with LayoutAnalyzer; in an n8n
+// Function node, paste layout-names.js before this file
+ContentMatcher.LayoutNames = typeof module !== 'undefined' && module.exports
+  ? require('./layout-names')
+  : LayoutNames;
+
 // Export for n8n usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ContentMatcher;
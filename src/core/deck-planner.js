@@ -0,0 +1,199 @@
+/**
+ * Deck Planner for Google Slides
+ * Chooses layouts for a whole sequence of slides at once, trading each
+ * slide's own layout score against variety and deck structure rules
+ *
+ * The planner works on layouts already scored per slide (see
+ * ContentMatcher.scoreLayouts), so it needs no Slides API access.
+ */
+
+class DeckPlanner {
+  /**
+   * Plan layouts for a sequence of slides.
+   *
+   * Finds the assignment with the highest total of per-slide scores plus
+   * rule adjustments (dynamic programming over the previous slide's layout
+   * and how long it has been repeated).
+   *
+   * @param {Array} slides - `{ candidates, analysis, role }` per slide: scored layouts
+   *   (best first), the ContentMatcher content analysis, and an optional explicit role
+   * @param {Object} rules - Overrides for DEFAULT_RULES
+   * @returns {Object} `{ slides, totalScore, independentScore, changedSlides, rules }`
+   */
+  static plan(slides, rules = {}) {
+    const settings = { ...DeckPlanner.DEFAULT_RULES, ...rules };
+    if (!Array.isArray(slides) || slides.length === 0) {
+      return { slides: [], totalScore: 0, independentScore: 0, changedSlides: 0, rules: settings };
+    }
+    slides.forEach((slide, index) => {
+      if (!slide.candidates || slide.candidates.length === 0) {
+        throw new Error(`No layouts available for slide ${index + 1}`);
+      }
+    });
+
+    const roles = slides.map((slide, index) => this.getSlideRole(slide, index, slides.length));
+    const available = new Set(slides.flatMap(slide => slide.candidates.map(layout => this.getLayoutRole(layout))));
+    const maxRun = Math.max(1, settings.maxTrackedRun);
+
+    // best[i] maps "layoutIndex:run" to { total, previous, adjustments }
+    const best = [];
+    slides.forEach((slide, i) => {
+      const states = new Map();
+
+      slide.candidates.forEach((layout, layoutIndex) => {
+        const adjustments = this.getAdjustments(layout, roles[i], i, slides.length, available, settings);
+        const own = layout.score + adjustments.reduce((sum, { points }) => sum + points, 0);
+        const consider = (key, total, previous, extra) => {
+          if (!states.has(key) || states.get(key).total < total) {
+            states.set(key, { total, previous, adjustments: extra ? [...adjustments, extra] : adjustments });
+          }
+        };
+
+        if (i === 0) {
+          consider(`${layoutIndex}:1`, own, null, null);
+          return;
+        }
+
+        best[i - 1].forEach((state, previousKey) => {
+          const [previousIndex, previousRun] = previousKey.split(':').map(Number);
+          const repeated = slides[i - 1].candidates[previousIndex].objectId === layout.objectId;
+          const run = repeated ? Math.min(previousRun + 1, maxRun) : 1;
+          const penalty = repeated ? settings.repeatPenalty * (run - 1) : 0;
+          const extra = penalty > 0
+            ? { rule: 'repeatPenalty', points: -penalty, reason: `Same layout as the previous ${run - 1} slide(s)` }
+            : null;
+
+          consider(`${layoutIndex}:${run}`, state.total + own - penalty, previousKey, extra);
+        });
+      });
+
+      best.push(states);
+    });
+
+    // Walk back from the best final state
+    let [key, state] = [...best[slides.length - 1].entries()].reduce((a, b) => (b[1].total > a[1].total ? b : a));
+    const chosen = [];
+    for (let i = slides.length - 1; i >= 0; i--) {
+      chosen[i] = { layoutIndex: Number(key.split(':')[0]), adjustments: state.adjustments };
+      key = state.previous;
+      state = i > 0 ? best[i - 1].get(key) : null;
+    }
+
+    const planned = slides.map((slide, i) => {
+      const layout = slide.candidates[chosen[i].layoutIndex];
+      const adjustments = chosen[i].adjustments;
+      return {
+        slideIndex: i + 1,
+        role: roles[i],
+        layout,
+        independentLayout: slide.candidates[0],
+        changed: layout.objectId !== slide.candidates[0].objectId,
+        adjustments,
+        plannedScore: layout.score + adjustments.reduce((sum, { points }) => sum + points, 0)
+      };
+    });
+
+    return {
+      slides: planned,
+      totalScore: planned.reduce((sum, slide) => sum + slide.plannedScore, 0),
+      independentScore: slides.reduce((sum, slide) => sum + slide.candidates[0].score, 0),
+      changedSlides: planned.filter(slide => slide.changed).length,
+      rules: settings
+    };
+  }
+
+  /**
+   * Structure rules for one layout in one position. Rules that cannot be
+   * met (e.g. no section header layout in the deck) are skipped.
+   * @returns {Array} `{ rule, points, reason }`
+   */
+  static getAdjustments(layout, slideRole, index, count, available, settings) {
+    const adjustments = [];
+    const layoutRole = this.getLayoutRole(layout);
+
+    if (settings.sectionHeaders && slideRole === 'section' && available.has('section')) {
+      if (layoutRole !== 'section') {
+        adjustments.push({ rule: 'sectionHeaders', points: -settings.forcedPenalty, reason: 'Section boundary needs a section header layout' });
+      }
+    }
+
+    if (settings.reserveTitleLayouts) {
+      if (layoutRole === 'title' && index > 0) {
+        adjustments.push({ rule: 'reserveTitleLayouts', points: -settings.forcedPenalty, reason: 'Title layouts are kept for the first slide' });
+      }
+      if (layoutRole === 'closing' && index < count - 1) {
+        adjustments.push({ rule: 'reserveTitleLayouts', points: -settings.forcedPenalty, reason: 'Closing layouts are kept for the last slide' });
+      }
+    }
+
+    if (slideRole === 'title' && layoutRole === 'title') {
+      adjustments.push({ rule: 'titleBonus', points: settings.titleBonus, reason: 'Title layout opens the deck' });
+    }
+    if (slideRole === 'closing' && layoutRole === 'closing') {
+      adjustments.push({ rule: 'closingBonus', points: settings.closingBonus, reason: 'Closing layout ends the deck' });
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Where a slide sits in the deck structure: 'title' (first), 'closing'
+   * (last), 'section' (a section boundary) or 'content'
+   * @param {Object} slide - `{ analysis, role }`; an explicit role wins
+   */
+  static getSlideRole(slide, index, count) {
+    if (slide.role) {
+      return slide.role;
+    }
+    if (slide.analysis?.contentType === 'section') {
+      return 'section';
+    }
+    if (index === 0 && count > 1) {
+      return 'title';
+    }
+    if (index === count - 1 && count > 1) {
+      return 'closing';
+    }
+    return 'content';
+  }
+
+  /**
+   * What part of a deck a layout is made for: 'title', 'section',
+   * 'closing' or 'content', from its predefined type, name and placeholders
+   */
+  static getLayoutRole(layout) {
+    const predefined = layout.layoutProperties?.name || '';
+    const displayName = layout.displayName || '';
+    const types = (layout.placeholders || []).map(placeholder => placeholder.type);
+
+    if (DeckPlanner.CLOSING_PATTERN.test(displayName)) return 'closing';
+    if (predefined === 'TITLE' || /\btitle slide\b/i.test(displayName) || types.includes('CENTERED_TITLE')) return 'title';
+    if (predefined === 'SECTION_HEADER' || /\bsection\b/i.test(displayName)) return 'section';
+    return 'content';
+  }
+}
+
+// Rule weights. repeatPenalty grows with the run: the 2nd slide in a row on
+// one layout costs it once, the 3rd twice, up to maxTrackedRun - 1 times.
+// Rules that must hold cost forcedPenalty, so they give way only when a slide
+// has no other layout.
+DeckPlanner.DEFAULT_RULES = {
+  repeatPenalty: 10,
+  maxTrackedRun: 4,
+  sectionHeaders: true,
+  reserveTitleLayouts: true,
+  titleBonus: 20,
+  closingBonus: 20,
+  forcedPenalty: 1000
+};
+
+// Display names of layouts meant to end a deck
+DeckPlanner.CLOSING_PATTERN = /\b(closing|thank(s| you)|the end|conclusion|q ?& ?a|merci|danke|fazit)\b/i;
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeckPlanner;
+} else {
+  // For n8n Function node
+  this.DeckPlanner = DeckPlanner;
+}
@@ -16,12 +16,15 @@ class LayoutAnalyzer {
       return layouts;
     }
 
+    const inheritance = this.buildInheritanceIndex(presentation);
+
     presentation.layouts.forEach(layout => {
       const layoutInfo = {
         objectId: layout.objectId,
         layoutProperties: layout.layoutProperties,
         displayName: layout.layoutProperties?.displayName || 'Unnamed Layout',
-        placeholders: this.extractPlaceholders(layout),
+        placeholders: this.extractPlaceholders(layout, inheritance),
+        slots: this.extractSlots(layout, inheritance),
         score: 0 // Will be calculated during matching
       };
       
@@ -33,10 +36,16 @@ class LayoutAnalyzer {
 
   /**
    * Extract placeholders from a layout
-   * @param {Object} layout - Layout object from Google Slides API
+   *
+   * Layout placeholders often carry no geometry or styling of their own and
+   * inherit it from a master placeholder through parentObjectId. Bounds,
+   * autofit and default text style are resolved along that chain.
+   *
+   * @param {Object} layout - Layout (or slide) object from Google Slides API
+   * @param {Object} inheritance - Index from buildInheritanceIndex
    * @returns {Array} Array of placeholder objects
    */
-  static extractPlaceholders(layout) {
+  static extractPlaceholders(layout, inheritance = { elements: {}, masterPlaceholders: {} }) {
     const placeholders = [];
     
     if (!layout.pageElements) {
@@ -45,17 +54,18 @@ class LayoutAnalyzer {
 
     layout.pageElements.forEach(element => {
       if (element.shape && element.shape.placeholder) {
+        const chain = this.getInheritanceChain(element, inheritance, this.getMasterObjectId(layout));
+        const geometrySource = chain.find(link => link.size && link.transform);
+
         const placeholder = {
           objectId: element.objectId,
           type: element.shape.placeholder.type,
           index: element.shape.placeholder.index,
-          bounds: element.size && element.transform ? {
-            x: element.transform.translateX || 0,
-            y: element.transform.translateY || 0,
-            width: element.size.width?.magnitude || 0,
-            height: element.size.height?.magnitude || 0
-          } : null,
-          parentObjectId: element.shape.placeholder.parentObjectId
+          bounds: geometrySource ? this.getBounds(geometrySource) : null,
+          boundsInheritedFrom: geometrySource && geometrySource !== element ? geometrySource.objectId : null,
+          parentObjectId: element.shape.placeholder.parentObjectId,
+          autofit: this.resolveAutofit(chain),
+          textStyle: this.resolveTextStyle(chain)
         };
         
         placeholders.push(placeholder);
@@ -65,6 +75,375 @@ class LayoutAnalyzer {
     return placeholders;
   }
 
+  /**
+   * Find named-shape slots on a layout or slide: text boxes, images or
+   * placeholders tagged `slot:<key>` in their alt text title or description,
+   * or in their objectId
+   * @param {Object} page - Layout or slide object from Google Slides API
+   * @param {Object} inheritance - Index from buildInheritanceIndex
+   * @returns {Array} `{ key, objectId, kind, placeholderType, taggedBy, bounds, textStyle }` per slot
+   */
+  static extractSlots(page, inheritance = { elements: {}, masterPlaceholders: {} }) {
+    const slots = [];
+
+    this.flattenElements(page.pageElements).forEach(element => {
+      const tag = this.findSlotTag(element);
+      if (!tag || !(element.shape || element.image)) {
+        return;
+      }
+
+      const placeholder = element.shape?.placeholder || element.image?.placeholder;
+      const chain = element.shape?.placeholder
+        ? this.getInheritanceChain(element, inheritance, this.getMasterObjectId(page))
+        : [element];
+      const geometrySource = chain.find(link => link.size && link.transform);
+
+      slots.push({
+        key: tag.key,
+        objectId: element.objectId,
+        kind: element.image || placeholder?.type === 'PICTURE' ? 'image' : 'text',
+        placeholderType: placeholder?.type || null,
+        taggedBy: tag.field,
+        bounds: geometrySource ? this.getBounds(geometrySource) : null,
+        textStyle: element.shape ? this.resolveTextStyle(chain) : null
+      });
+    });
+
+    return slots;
+  }
+
+  /**
+   * Slot tag of a page element, checked in alt text title, description, then objectId
+   * @returns {Object|null} `{ key, field }`
+   */
+  static findSlotTag(element) {
+    for (const field of ['title', 'description', 'objectId']) {
+      const match = LayoutAnalyzer.SLOT_PATTERN.exec(element[field] || '');
+      if (match) {
+        return { key: match[1], field };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extract the slides designated as templates by a `template:<name>` line
+   * in their speaker notes, described like layouts (placeholders and slots)
+   * @param {Object} presentation - Presentation data with slides, layouts and masters
+   * @returns {Array} `{ objectId, name, displayName, slideIndex, skipped, layoutObjectId,
+   *   placeholders, slots, tokens, elementIds, textElementIds }`
+   */
+  static extractTemplateSlides(presentation) {
+    const inheritance = this.buildInheritanceIndex(presentation);
+    const templates = [];
+
+    (presentation.slides || []).forEach((slide, index) => {
+      const match = LayoutAnalyzer.TEMPLATE_PATTERN.exec(this.getNotesText(slide));
+      if (!match) {
+        return;
+      }
+
+      templates.push({
+        objectId: slide.objectId,
+        name: match[1],
+        displayName: match[1],
+        slideIndex: index + 1,
+        skipped: Boolean(slide.slideProperties?.isSkipped),
+        layoutObjectId: slide.slideProperties?.layoutObjectId || null,
+        placeholders: this.extractPlaceholders(slide, inheritance),
+        slots: this.extractSlots(slide, inheritance),
+        tokens: this.extractTokens(slide),
+        elementIds: this.flattenElements(slide.pageElements).map(element => element.objectId),
+        notesObjectId: slide.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId || null,
+        textElementIds: this.flattenElements(slide.pageElements)
+          .filter(element => element.shape?.text?.textElements?.some(run => run.textRun?.content?.trim()))
+          .map(element => element.objectId)
+      });
+    });
+
+    return templates;
+  }
+
+  /**
+   * Names of the `{{token}}` placeholders in a page's text, in order of appearance
+   * @param {Object} page - Slide object from Google Slides API
+   * @returns {Array} Token names
+   */
+  static extractTokens(page) {
+    const tokens = [];
+
+    this.flattenElements(page.pageElements).forEach(element => {
+      const text = (element.shape?.text?.textElements || []).map(run => run.textRun?.content || '').join('');
+      for (const match of text.matchAll(LayoutAnalyzer.TOKEN_PATTERN)) {
+        if (!tokens.includes(match[1])) {
+          tokens.push(match[1]);
+        }
+      }
+    });
+
+    return tokens;
+  }
+
+  static getNotesText(slide) {
+    const notesPage = slide.slideProperties?.notesPage;
+    const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+    const shape = (notesPage?.pageElements || []).find(element => element.objectId === notesId)?.shape;
+    return (shape?.text?.textElements || []).map(element => element.textRun?.content || '').join('');
+  }
+
+  static getMasterObjectId(page) {
+    return page.layoutProperties?.masterObjectId || page.slideProperties?.masterObjectId;
+  }
+
+  static flattenElements(elements = []) {
+    const flat = [];
+    elements.forEach(element => {
+      if (element.elementGroup) {
+        flat.push(...this.flattenElements(element.elementGroup.children));
+      } else {
+        flat.push(element);
+      }
+    });
+    return flat;
+  }
+
+  /**
+   * Index master and layout placeholders for inheritance lookups
+   * @param {Object} presentation - Presentation data with masters and layouts
+   * @returns {Object} `{ elements: id -> element, masterPlaceholders: masterId -> type -> element }`
+   */
+  static buildInheritanceIndex(presentation) {
+    const elements = {};
+    const masterPlaceholders = {};
+
+    (presentation.masters || []).forEach(master => {
+      const byType = masterPlaceholders[master.objectId] = {};
+      (master.pageElements || []).forEach(element => {
+        if (element.shape?.placeholder) {
+          elements[element.objectId] = element;
+          byType[element.shape.placeholder.type] = byType[element.shape.placeholder.type] || element;
+        }
+      });
+    });
+
+    (presentation.layouts || []).forEach(layout => {
+      (layout.pageElements || []).forEach(element => {
+        if (element.shape?.placeholder) {
+          elements[element.objectId] = element;
+        }
+      });
+    });
+
+    return { elements, masterPlaceholders };
+  }
+
+  /**
+   * Placeholder followed by the placeholders it inherits from, nearest first.
+   * A placeholder without a parent link, or whose chain has no geometry,
+   * falls back to the master placeholder of the same (or closest) type.
+   * @param {Object} element - Placeholder page element
+   * @param {Object} inheritance - Index from buildInheritanceIndex
+   * @param {string} masterObjectId - Master of the layout
+   * @returns {Array} Page elements
+   */
+  static getInheritanceChain(element, inheritance, masterObjectId) {
+    const chain = [element];
+    let current = element;
+
+    while (current.shape?.placeholder?.parentObjectId) {
+      const parent = inheritance.elements[current.shape.placeholder.parentObjectId];
+      if (!parent || chain.includes(parent)) {
+        break;
+      }
+      chain.push(parent);
+      current = parent;
+    }
+
+    const byType = inheritance.masterPlaceholders[masterObjectId];
+    if (byType && (chain.length === 1 || !chain.some(link => link.size && link.transform))) {
+      const type = element.shape.placeholder.type;
+      const fallback = byType[type] || byType[LayoutAnalyzer.FALLBACK_TYPES[type]];
+      if (fallback && !chain.includes(fallback)) {
+        chain.push(fallback);
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Effective bounds in EMU, with the transform's scale applied
+   * @param {Object} element - Page element with size and transform
+   * @returns {Object} `{ x, y, width, height }`
+   */
+  static getBounds(element) {
+    const { size, transform } = element;
+    const toEmu = unit => unit === 'PT' ? LayoutAnalyzer.EMU_PER_POINT : 1;
+
+    return {
+      x: (transform.translateX || 0) * toEmu(transform.unit),
+      y: (transform.translateY || 0) * toEmu(transform.unit),
+      width: (size.width?.magnitude || 0) * toEmu(size.width?.unit) * (transform.scaleX || 1),
+      height: (size.height?.magnitude || 0) * toEmu(size.height?.unit) * (transform.scaleY || 1)
+    };
+  }
+
+  /**
+   * Nearest explicit autofit setting along the chain
+   * @param {Array} chain - From getInheritanceChain
+   * @returns {Object|null} `{ autofitType, fontScale, lineSpacingReduction }`
+   */
+  static resolveAutofit(chain) {
+    const source = chain.find(link => link.shape?.shapeProperties?.autofit?.autofitType);
+    if (!source) {
+      return null;
+    }
+
+    const { autofitType, fontScale, lineSpacingReduction } = source.shape.shapeProperties.autofit;
+    return {
+      autofitType,
+      fontScale: fontScale !== undefined ? fontScale : 1,
+      lineSpacingReduction: lineSpacingReduction || 0
+    };
+  }
+
+  /**
+   * Default text style, merged from the master down (nearer links win).
+   * Each link contributes the style of its first text run.
+   * @param {Array} chain - From getInheritanceChain
+   * @returns {Object|null} `{ fontFamily, fontSize (pt), bold, italic, foregroundColor }`
+   */
+  static resolveTextStyle(chain) {
+    const style = {};
+
+    chain.slice().reverse().forEach(link => {
+      const run = (link.shape?.text?.textElements || []).find(element => element.textRun);
+      const runStyle = run?.textRun.style || {};
+
+      if (runStyle.fontFamily) style.fontFamily = runStyle.fontFamily;
+      if (runStyle.fontSize?.magnitude) style.fontSize = runStyle.fontSize.magnitude;
+      if (runStyle.bold !== undefined) style.bold = runStyle.bold;
+      if (runStyle.italic !== undefined) style.italic = runStyle.italic;
+      if (runStyle.foregroundColor?.opaqueColor) style.foregroundColor = runStyle.foregroundColor.opaqueColor;
+    });
+
+    return Object.keys(style).length > 0 ? style : null;
+  }
+
+  /**
+   * Extract the theme of each master: color scheme, default text style per
+   * placeholder type, and background fills (masters and the layouts using them)
+   * @param {Object} presentation - Presentation data with masters and layouts
+   * @returns {Object} `{ colorScheme, fonts, background, masters }`; the top-level
+   *   fields describe the first master
+   */
+  static extractTheme(presentation) {
+    const layouts = this.extractLayouts(presentation);
+
+    const masters = (presentation.masters || []).map(master => {
+      const colorScheme = {};
+      (master.pageProperties?.colorScheme?.colors || []).forEach(({ type, color }) => {
+        colorScheme[type] = this.toHex(color);
+      });
+
+      const fonts = {};
+      (master.pageElements || []).forEach(element => {
+        const type = element.shape?.placeholder?.type;
+        const style = type && this.resolveTextStyle([element]);
+        if (style && !fonts[type]) {
+          fonts[type] = this.describeTextStyle(style, colorScheme);
+        }
+      });
+
+      // Layout-only types (e.g. CENTERED_TITLE, SUBTITLE) as resolved through inheritance
+      layouts
+        .filter(layout => layout.layoutProperties?.masterObjectId === master.objectId)
+        .forEach(layout => layout.placeholders.forEach(placeholder => {
+          if (placeholder.textStyle && !fonts[placeholder.type]) {
+            fonts[placeholder.type] = this.describeTextStyle(placeholder.textStyle, colorScheme);
+          }
+        }));
+
+      const layoutBackgrounds = {};
+      (presentation.layouts || [])
+        .filter(layout => layout.layoutProperties?.masterObjectId === master.objectId)
+        .forEach(layout => {
+          const fill = this.describeFill(layout.pageProperties?.pageBackgroundFill, colorScheme);
+          if (fill) {
+            layoutBackgrounds[layout.objectId] = fill;
+          }
+        });
+
+      return {
+        objectId: master.objectId,
+        displayName: master.masterProperties?.displayName || null,
+        colorScheme,
+        fonts,
+        background: this.describeFill(master.pageProperties?.pageBackgroundFill, colorScheme),
+        layoutBackgrounds
+      };
+    });
+
+    const primary = masters[0] || { colorScheme: {}, fonts: {}, background: null };
+    return {
+      colorScheme: primary.colorScheme,
+      fonts: primary.fonts,
+      headingFont: primary.fonts.TITLE?.fontFamily || null,
+      bodyFont: primary.fonts.BODY?.fontFamily || null,
+      background: primary.background,
+      masters
+    };
+  }
+
+  /**
+   * Describe a page background fill; inherited fills are left to the master
+   * @param {Object} fill - pageBackgroundFill from the Slides API
+   * @param {Object} colorScheme - Theme colors by type, as hex
+   * @returns {Object|null} `{ type: 'solid', color, themeColor, alpha }` or `{ type: 'picture', contentUrl }`
+   */
+  static describeFill(fill, colorScheme = {}) {
+    if (!fill || fill.propertyState === 'INHERIT') {
+      return null;
+    }
+    if (fill.propertyState === 'NOT_RENDERED') {
+      return { type: 'none' };
+    }
+    if (fill.stretchedPictureFill) {
+      return { type: 'picture', contentUrl: fill.stretchedPictureFill.contentUrl || null };
+    }
+    if (fill.solidFill) {
+      return {
+        type: 'solid',
+        ...this.describeColor(fill.solidFill.color, colorScheme),
+        alpha: fill.solidFill.alpha !== undefined ? fill.solidFill.alpha : 1
+      };
+    }
+    return null;
+  }
+
+  static describeTextStyle(style, colorScheme) {
+    const { foregroundColor, ...rest } = style;
+    return foregroundColor ? { ...rest, ...this.describeColor(foregroundColor, colorScheme) } : rest;
+  }
+
+  /**
+   * Resolve an OpaqueColor to hex, keeping the theme color name when there is one
+   * @param {Object} color - `{ rgbColor }` or `{ themeColor }`
+   * @param {Object} colorScheme - Theme colors by type, as hex
+   * @returns {Object} `{ color, themeColor }`
+   */
+  static describeColor(color = {}, colorScheme = {}) {
+    if (color.themeColor) {
+      return { color: colorScheme[color.themeColor] || null, themeColor: color.themeColor };
+    }
+    return { color: color.rgbColor ? this.toHex(color.rgbColor) : null, themeColor: null };
+  }
+
+  static toHex(rgbColor = {}) {
+    const channel = value => Math.round((value || 0) * 255).toString(16).padStart(2, '0');
+    return `#${channel(rgbColor.red)}${channel(rgbColor.green)}${channel(rgbColor.blue)}`.toUpperCase();
+  }
+
   /**
    * Categorize layouts based on their placeholders
    * @param {Array} layouts - Array of layout objects
@@ -95,26 +474,16 @@ class LayoutAnalyzer {
   }
 
   /**
-   * Determine layout category based on placeholder types
+   * Determine layout category based on display name or placeholder types
    * @param {Array} placeholderTypes - Array of placeholder type strings
    * @param {string} displayName - Layout display name
    * @returns {string} Category name
    */
   static determineLayoutCategory(placeholderTypes, displayName = '') {
-    const nameUpper = displayName.toUpperCase();
-    
-    // Check display name first for explicit categorization
-    if (nameUpper.includes('TITLE_ONLY') || nameUpper.includes('TITLE ONLY')) {
-      return 'titleOnly';
-    }
-    if (nameUpper.includes('SECTION_HEADER') || nameUpper.includes('SECTION HEADER')) {
-      return 'sectionHeader';
-    }
-    if (nameUpper.includes('TWO_COLUMNS') || nameUpper.includes('TWO COLUMNS')) {
-      return 'titleAndTwoColumns';
-    }
-    if (nameUpper.includes('BLANK')) {
-      return 'blank';
+    // Check display name first for explicit categorization, in any language
+    const named = LayoutAnalyzer.LayoutNames.categoryOf(displayName);
+    if (named) {
+      return named;
     }
 
     // Analyze placeholder types
@@ -172,6 +541,28 @@ class LayoutAnalyzer {
   }
 }
 
+LayoutAnalyzer.EMU_PER_POINT = 12700;
+
+// Closest master placeholder for layout types the master does not define
+LayoutAnalyzer.FALLBACK_TYPES = {
+  CENTERED_TITLE: 'TITLE',
+  SUBTITLE: 'BODY'
+};
+
+// Tags marking slot shapes and template slides
+LayoutAnalyzer.SLOT_PATTERN = /(?:^|\s)slot:([A-Za-z0-9_-]+)/;
+LayoutAnalyzer.TEMPLATE_PATTERN = /(?:^|\s)template:([A-Za-z0-9_-]+)/;
+LayoutAnalyzer.TOKEN_PATTERN = /\{\{([A-Za-z0-9_.-]+)\}\}/g;
+
+// Display names of predefined layouts per locale, shared with ContentMatcher;
+// in an n8n Function node, paste layout-names.js before this file
+LayoutAnalyzer.LayoutNames = typeof module !== 'undefined' && module.exports
+  ? require('./layout-names')
+  : LayoutNames;
+
+// Bumped when extracted layouts change shape, so cached analyses are redone
+LayoutAnalyzer.VERSION = 7;
+
 // Export for n8n usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LayoutAnalyzer;
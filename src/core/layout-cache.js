@@ -0,0 +1,205 @@
+/**
+ * Layout Cache for Google Slides
+ * Caches extracted layouts per presentation with TTL, LRU eviction and
+ * a lightweight revision check
+ *
+ * Entries live in a plain-object store so the same cache can be kept in
+ * memory by the external service or in n8n workflow static data.
+ */
+
+class LayoutCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Function} options.analyze - (presentation) => extra entry data, e.g. `{ layouts, categorized }`
+   * @param {number} options.ttlMs - How long an entry is trusted without a revision check
+   * @param {number} options.maxEntries - Maximum presentations kept (least recently used evicted)
+   * @param {Object} options.store - Plain object to keep entries in (e.g. n8n static data)
+   * @param {*} options.version - Analysis version; entries stored under another version are re-fetched
+   * @param {Function} options.needsPage - (slide) => true for slides analyze needs in full
+   *   (slides are fetched with their notes page only, see LAYOUT_FIELDS)
+   */
+  constructor({ analyze, ttlMs = 5 * 60 * 1000, maxEntries = 50, store = null, version = null, needsPage = null } = {}) {
+    if (typeof analyze !== 'function') {
+      throw new Error('LayoutCache requires an analyze(presentation) function');
+    }
+    this.analyze = analyze;
+    this.needsPage = needsPage;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.version = version;
+    this.store = store || {};
+    this.store.entries = this.store.entries || {};
+    this.stats = { hits: 0, revalidations: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Get layouts for a presentation, fetching only what is needed.
+   *
+   * Fresh entries are returned as-is. Expired entries are revalidated with a
+   * revisionId-only fetch and refreshed only if the revision changed.
+   *
+   * A cache shared by callers with different credentials should set
+   * `checkAccess`: fresh entries then also cost a revisionId-only fetch,
+   * made with the caller's credentials, so a caller who cannot read the
+   * presentation gets that fetch's error rather than another caller's entry.
+   *
+   * @param {string} presentationId - The presentation ID
+   * @param {Function} fetchPresentation - async (fields) => partial presentation
+   * @param {Object} options - Resolve options
+   * @param {boolean} options.forceRefresh - Skip the cache and re-fetch layouts
+   * @param {boolean} options.checkAccess - Confirm fresh entries with a revision fetch
+   * @param {Function} options.fetchPage - async (pageObjectId) => slide, for needsPage slides
+   * @returns {Promise<{entry: Object, source: string}>} Entry and how it was obtained
+   *   ('cache', 'revalidated' or 'fetched')
+   */
+  async resolve(presentationId, fetchPresentation, { forceRefresh = false, checkAccess = false, fetchPage = null } = {}) {
+    const entry = this.store.entries[presentationId];
+    const now = Date.now();
+
+    // Entries analyzed by older code (e.g. persisted in n8n static data) are stale
+    if (entry && !forceRefresh && (entry.version ?? null) === this.version) {
+      const fresh = now - entry.validatedAt < this.ttlMs;
+      if (fresh && !checkAccess) {
+        this.stats.hits++;
+        return { entry: this.touch(entry), source: 'cache' };
+      }
+
+      const { revisionId } = await fetchPresentation(LayoutCache.REVISION_FIELDS);
+      if (revisionId && revisionId === entry.revisionId) {
+        if (fresh) {
+          this.stats.hits++;
+          return { entry: this.touch(entry), source: 'cache' };
+        }
+        this.stats.revalidations++;
+        entry.validatedAt = now;
+        return { entry: this.touch(entry), source: 'revalidated' };
+      }
+    }
+
+    this.stats.misses++;
+    const presentation = await fetchPresentation(LayoutCache.LAYOUT_FIELDS);
+    if (this.needsPage && fetchPage && presentation.slides) {
+      presentation.slides = await Promise.all(presentation.slides.map(slide =>
+        this.needsPage(slide) ? fetchPage(slide.objectId) : slide
+      ));
+    }
+    return { entry: this.set(presentationId, presentation), source: 'fetched' };
+  }
+
+  /**
+   * Store an analyzed presentation
+   * @param {string} presentationId - The presentation ID
+   * @param {Object} presentation - Presentation data (at least LAYOUT_FIELDS)
+   * @returns {Object} Cache entry
+   */
+  set(presentationId, presentation) {
+    const now = Date.now();
+    const entry = {
+      presentationId,
+      title: presentation.title,
+      revisionId: presentation.revisionId || null,
+      pageSize: presentation.pageSize || null,
+      ...this.analyze(presentation),
+      version: this.version,
+      fetchedAt: now,
+      validatedAt: now,
+      lastAccessedAt: now,
+      hits: 0
+    };
+
+    this.store.entries[presentationId] = entry;
+    this.evict();
+    return entry;
+  }
+
+  get(presentationId) {
+    return this.store.entries[presentationId] || null;
+  }
+
+  /**
+   * Record a revision produced by our own write. Slide writes do not change
+   * layouts, so the entry stays valid and the next write can use the new revision.
+   * @param {string} presentationId - The presentation ID
+   * @param {string} revisionId - Revision returned in writeControl
+   */
+  updateRevision(presentationId, revisionId) {
+    const entry = this.store.entries[presentationId];
+    if (entry && revisionId) {
+      entry.revisionId = revisionId;
+    }
+  }
+
+  /**
+   * Drop one presentation, or everything when no ID is given
+   * @param {string} presentationId - The presentation ID
+   * @returns {number} Number of entries removed
+   */
+  invalidate(presentationId = null) {
+    if (presentationId) {
+      const existed = Boolean(this.store.entries[presentationId]);
+      delete this.store.entries[presentationId];
+      return existed ? 1 : 0;
+    }
+    const count = Object.keys(this.store.entries).length;
+    this.store.entries = {};
+    return count;
+  }
+
+  /**
+   * Summarize cache contents for debugging
+   * @returns {Object} Cache summary
+   */
+  inspect() {
+    const now = Date.now();
+    return {
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries,
+      size: Object.keys(this.store.entries).length,
+      stats: { ...this.stats },
+      entries: Object.values(this.store.entries).map(entry => ({
+        presentationId: entry.presentationId,
+        title: entry.title,
+        revisionId: entry.revisionId,
+        layoutCount: entry.layouts ? entry.layouts.length : 0,
+        ageMs: now - entry.fetchedAt,
+        expiresInMs: Math.max(0, entry.validatedAt + this.ttlMs - now),
+        hits: entry.hits
+      }))
+    };
+  }
+
+  touch(entry) {
+    entry.lastAccessedAt = Date.now();
+    entry.hits++;
+    return entry;
+  }
+
+  evict() {
+    const entries = Object.values(this.store.entries);
+    if (entries.length <= this.maxEntries) {
+      return;
+    }
+
+    entries
+      .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt)
+      .slice(0, entries.length - this.maxEntries)
+      .forEach(entry => {
+        delete this.store.entries[entry.presentationId];
+        this.stats.evictions++;
+      });
+  }
+}
+
+// Field masks: layouts and masters, plus each slide's notes page, where
+// template slides are tagged (needsPage slides are then fetched one by one);
+// and the revision alone
+LayoutCache.LAYOUT_FIELDS = 'presentationId,title,revisionId,pageSize,layouts,masters,slides(objectId,slideProperties.notesPage)';
+LayoutCache.REVISION_FIELDS = 'revisionId';
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LayoutCache;
+} else {
+  // For n8n Function node
+  this.LayoutCache = LayoutCache;
+}
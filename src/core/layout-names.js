@@ -0,0 +1,73 @@
+/**
+ * Layout Names for Google Slides
+ * Display names of the predefined layouts, per locale since Google Slides
+ * translates them. LayoutAnalyzer and ContentMatcher both categorize
+ * layouts by these names.
+ */
+
+class LayoutNames {
+  /**
+   * Find the category a layout's display name stands for, in any locale
+   * @param {string} displayName - Layout display name
+   * @returns {string|null} One of LayoutNames.CATEGORIES, or null
+   */
+  static categoryOf(displayName = '') {
+    const nameUpper = String(displayName).toUpperCase();
+    return LayoutNames.CATEGORIES.find(category =>
+      Object.values(LayoutNames.LOCALES).some(names => this.matches(nameUpper, names[category]))
+    ) || null;
+  }
+
+  // Whole-word match, so 'VIDE' (French "blank") does not match 'VIDEO'
+  static matches(nameUpper, names = []) {
+    return names.some(name => {
+      const escaped = name.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(nameUpper);
+    });
+  }
+
+  /**
+   * Add display names for a locale's layouts, e.g. Spanish 'SOLO TÍTULO'
+   * @param {string} locale - Locale key, e.g. 'es'
+   * @param {Object} names - `{ titleOnly, sectionHeader, titleAndTwoColumns, blank }` lists
+   */
+  static extend(locale, names = {}) {
+    const current = LayoutNames.LOCALES[locale] || {};
+    LayoutNames.LOCALES[locale] = { ...current };
+    Object.entries(names).forEach(([category, list]) => {
+      LayoutNames.LOCALES[locale][category] = [...new Set([...(current[category] || []), ...list])];
+    });
+  }
+}
+
+// Categories recognized by name; others come from the placeholders
+LayoutNames.CATEGORIES = ['titleOnly', 'sectionHeader', 'titleAndTwoColumns', 'blank'];
+
+LayoutNames.LOCALES = {
+  en: {
+    titleOnly: ['TITLE_ONLY', 'TITLE ONLY'],
+    sectionHeader: ['SECTION_HEADER', 'SECTION HEADER'],
+    titleAndTwoColumns: ['TWO_COLUMNS', 'TWO COLUMNS'],
+    blank: ['BLANK']
+  },
+  fr: {
+    titleOnly: ['TITRE SEUL'],
+    sectionHeader: ['TITRE DE SECTION', 'EN-TÊTE DE SECTION'],
+    titleAndTwoColumns: ['DEUX COLONNES'],
+    blank: ['VIDE']
+  },
+  de: {
+    titleOnly: ['NUR TITEL'],
+    sectionHeader: ['ABSCHNITTSÜBERSCHRIFT', 'ABSCHNITTSTITEL'],
+    titleAndTwoColumns: ['ZWEI SPALTEN'],
+    blank: ['LEER']
+  }
+};
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LayoutNames;
+} else {
+  // For n8n Function node
+  this.LayoutNames = LayoutNames;
+}
@@ -0,0 +1,210 @@
+/**
+ * Markdown Text for Google Slides
+ * Converts the Markdown subset LLM output tends to use (bold, italic,
+ * inline code, links, line breaks and lists) into plain text plus the
+ * character ranges to style and to turn into lists
+ *
+ * Indices are in UTF-16 code units, like the Slides API's. List paragraphs
+ * keep a leading tab per nesting level, which createParagraphBullets turns
+ * into list levels and removes, so style ranges are meant to be applied
+ * before the lists are created.
+ */
+
+class MarkdownText {
+  /**
+   * Convert Markdown into text, style ranges and list ranges
+   * @param {string} markdown - Markdown text
+   * @param {Object} options - Options
+   * @param {boolean} options.markdown - false to take the text literally (no styles, no lists)
+   * @returns {Object} `{ text, styles, lists }` (see build)
+   */
+  static parse(markdown, { markdown: enabled = true } = {}) {
+    const paragraphs = enabled
+      ? this.toParagraphs(markdown)
+      : this.splitLines(markdown).map(text => ({ text, level: 0, list: null }));
+    return this.build(paragraphs, { inline: enabled });
+  }
+
+  /**
+   * Split Markdown into paragraphs. List items (`-`, `*`, `+` or `1.`)
+   * nest one level per two spaces or one tab of indentation; a line ending
+   * in two spaces or a backslash continues on the next line after a line
+   * break.
+   * @param {string} markdown - Markdown text
+   * @returns {Array} `{ text, level, list }` with list null, 'bullet' or 'ordered'
+   */
+  static toParagraphs(markdown) {
+    const paragraphs = [];
+    let hardBreak = false;
+
+    this.splitLines(markdown).forEach(line => {
+      const item = line.match(MarkdownText.LIST_ITEM_PATTERN);
+      const previous = paragraphs[paragraphs.length - 1];
+
+      if (hardBreak && !item && line.trim()) {
+        previous.text += MarkdownText.LINE_BREAK + line.trim();
+      } else if (item) {
+        const indent = item[1].replace(/\t/g, '  ').length;
+        const maxLevel = previous?.list ? previous.level + 1 : 0;
+        paragraphs.push({
+          text: item[3],
+          level: Math.min(Math.floor(indent / 2), maxLevel),
+          list: /\d/.test(item[2]) ? 'ordered' : 'bullet'
+        });
+      } else {
+        paragraphs.push({ text: line, level: 0, list: null });
+      }
+
+      hardBreak = / {2,}$|\\$/.test(line);
+      if (hardBreak) {
+        const last = paragraphs[paragraphs.length - 1];
+        last.text = last.text.replace(/(\s*\\|\s+)$/, '');
+      }
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Lay out paragraphs as one text
+   * @param {Array} paragraphs - `{ text, level, list }` (see toParagraphs)
+   * @param {Object} options - Options
+   * @param {boolean} options.inline - false to keep paragraph text literally
+   * @returns {Object} `{ text, styles, lists }`: styles are
+   *   `{ startIndex, endIndex, style, fields }`, lists are
+   *   `{ startIndex, endIndex, ordered }` runs of consecutive list paragraphs
+   */
+  static build(paragraphs, { inline = true } = {}) {
+    let text = '';
+    const styles = [];
+    const lists = [];
+    let run = null;
+
+    paragraphs.forEach((paragraph, index) => {
+      if (index > 0) {
+        text += '\n';
+      }
+      const start = text.length;
+      if (paragraph.list) {
+        text += '\t'.repeat(paragraph.level || 0);
+      }
+
+      const segments = inline ? this.parseInline(paragraph.text) : [{ text: paragraph.text, style: {} }];
+      segments.forEach(segment => {
+        const segmentStart = text.length;
+        text += segment.text;
+        if (Object.keys(segment.style).length === 0) {
+          return;
+        }
+
+        const last = styles[styles.length - 1];
+        if (last && last.endIndex === segmentStart && JSON.stringify(last.style) === JSON.stringify(segment.style)) {
+          last.endIndex = text.length;
+        } else {
+          styles.push({ startIndex: segmentStart, endIndex: text.length, style: segment.style, fields: Object.keys(segment.style).join(',') });
+        }
+      });
+
+      if (!paragraph.list) {
+        run = null;
+        return;
+      }
+      // A top-level item of the other kind starts a new list
+      const ordered = paragraph.list === 'ordered';
+      if (!run || (!paragraph.level && run.ordered !== ordered)) {
+        run = { startIndex: start, endIndex: text.length, ordered };
+        lists.push(run);
+      } else {
+        run.endIndex = text.length;
+      }
+    });
+
+    return { text, styles, lists };
+  }
+
+  /**
+   * Split one paragraph's inline Markdown into styled segments. Markers
+   * without a closing partner are kept as text.
+   * @param {string} markdown - Paragraph text
+   * @param {Object} style - Style inherited from enclosing markers
+   * @returns {Array} `{ text, style }` where style may hold bold, italic, fontFamily and link
+   */
+  static parseInline(markdown, style = {}) {
+    const source = String(markdown ?? '');
+    const segments = [];
+    const push = (text, segmentStyle = style) => {
+      const last = segments[segments.length - 1];
+      if (last && last.style === segmentStyle) {
+        last.text += text;
+      } else if (text) {
+        segments.push({ text, style: segmentStyle });
+      }
+    };
+
+    let i = 0;
+    while (i < source.length) {
+      const rest = source.slice(i);
+      const wordBefore = i > 0 && /\w/.test(source[i - 1]);
+      let match;
+
+      if ((match = rest.match(/^\\([\\`*_[\]()#+\-.!<>])/))) {
+        push(match[1]);
+      } else if ((match = rest.match(/^`([^`]+)`/))) {
+        push(match[1], { ...style, fontFamily: MarkdownText.CODE_FONT });
+      } else if ((match = rest.match(/^\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/))) {
+        segments.push(...this.parseInline(match[1], { ...style, bold: true, italic: true }));
+      } else if ((match = rest.match(/^\*\*(?=\S)([\s\S]*?\S)\*\*/)) ||
+                 (!wordBefore && (match = rest.match(/^__(?=\S)([\s\S]*?\S)__(?!\w)/)))) {
+        segments.push(...this.parseInline(match[1], { ...style, bold: true }));
+      } else if ((match = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/)) ||
+                 (!wordBefore && (match = rest.match(/^_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/)))) {
+        segments.push(...this.parseInline(match[1], { ...style, italic: true }));
+      } else if ((match = rest.match(/^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)/))) {
+        segments.push(...this.parseInline(match[1], { ...style, link: { url: match[2] } }));
+      } else if ((match = rest.match(/^<br\s*\/?>/i))) {
+        push(MarkdownText.LINE_BREAK);
+      } else {
+        match = [source[i]];
+        push(source[i]);
+      }
+      i += match[0].length;
+    }
+
+    return segments.filter(segment => segment.text);
+  }
+
+  /**
+   * Markdown reduced to plain text, for places that cannot hold styles
+   * (e.g. template tokens). List items get a bullet, indented by level.
+   * @param {string} markdown - Markdown text
+   * @returns {string} Plain text
+   */
+  static toPlainText(markdown) {
+    return this.toParagraphs(markdown)
+      .map(paragraph => {
+        const text = this.parseInline(paragraph.text).map(segment => segment.text).join('');
+        return paragraph.list ? `${'  '.repeat(paragraph.level)}• ${text}` : text;
+      })
+      .join('\n');
+  }
+
+  static splitLines(text) {
+    return String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  }
+}
+
+// Indentation, marker and text of a list item line
+MarkdownText.LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+
+// Slides' line break within a paragraph (vertical tab)
+MarkdownText.LINE_BREAK = '\u000b';
+
+MarkdownText.CODE_FONT = 'Roboto Mono';
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownText;
+} else {
+  // For n8n Function node
+  this.MarkdownText = MarkdownText;
+}
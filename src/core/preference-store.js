@@ -0,0 +1,163 @@
+/**
+ * Preference Store for Google Slides
+ * Records which layout editors chose over the matcher's pick, per template,
+ * so ContentMatcher can favour those layouts for similar content
+ *
+ * Feedback lives in a plain-object store so the same data can be kept in
+ * memory, saved to a file by the external service, or kept in n8n workflow
+ * static data.
+ */
+
+class PreferenceStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.store - Plain object to keep feedback in (e.g. loaded from a file)
+   * @param {number} options.maxRecords - Feedback kept per template (oldest dropped first)
+   * @param {Function} options.onChange - (store) => void, called after every change, e.g. to persist it
+   */
+  constructor({ store = null, maxRecords = 500, onChange = null } = {}) {
+    this.maxRecords = maxRecords;
+    this.onChange = onChange;
+    this.store = store || {};
+    this.store.version = this.store.version || PreferenceStore.VERSION;
+    this.store.templates = this.store.templates || {};
+  }
+
+  /**
+   * Record that an editor used one layout where the matcher picked another
+   * (or confirmed the pick, when both are the same layout)
+   * @param {string} templateKey - Template the deck was built from (or the presentation ID)
+   * @param {Object} feedback - Feedback
+   * @param {Object} feedback.features - Content features from ContentMatcher.getPreferenceFeatures
+   * @param {Object} feedback.chosenLayout - `{ objectId, displayName }` the editor used
+   * @param {Object} feedback.overriddenLayout - `{ objectId, displayName }` the matcher picked, if known
+   * @returns {Object} The stored record
+   */
+  record(templateKey, { features, chosenLayout, overriddenLayout = null }) {
+    if (!templateKey) {
+      throw new Error('A template key is required to record layout feedback');
+    }
+
+    const now = new Date().toISOString();
+    const template = this.store.templates[templateKey] || { templateKey, createdAt: now, records: [] };
+    const record = {
+      features,
+      chosenLayout: PreferenceStore.layoutRef(chosenLayout),
+      overriddenLayout: overriddenLayout ? PreferenceStore.layoutRef(overriddenLayout) : null,
+      recordedAt: now
+    };
+
+    template.records.push(record);
+    template.records = template.records.slice(-this.maxRecords);
+    template.updatedAt = now;
+    this.store.templates[templateKey] = template;
+
+    this.changed();
+    return record;
+  }
+
+  /**
+   * Feedback recorded for a template, oldest first
+   * @param {string} templateKey - Template key
+   * @returns {Array} Records (empty when there are none)
+   */
+  getRecords(templateKey) {
+    return this.store.templates[templateKey]?.records || [];
+  }
+
+  /**
+   * Per-layout tallies for a template: how often each layout was chosen
+   * and how often it was overridden
+   * @param {string} templateKey - Template key
+   * @returns {Array} `{ objectId, displayName, chosen, overridden }`, most chosen first
+   */
+  summarize(templateKey) {
+    const tallies = new Map();
+    const tally = layout => {
+      const key = layout.displayName || layout.objectId;
+      if (!tallies.has(key)) {
+        tallies.set(key, { objectId: layout.objectId, displayName: layout.displayName, chosen: 0, overridden: 0 });
+      }
+      return tallies.get(key);
+    };
+
+    this.getRecords(templateKey).forEach(record => {
+      tally(record.chosenLayout).chosen++;
+      if (record.overriddenLayout && !PreferenceStore.sameLayout(record.overriddenLayout, record.chosenLayout)) {
+        tally(record.overriddenLayout).overridden++;
+      }
+    });
+
+    return [...tallies.values()].sort((a, b) => (b.chosen - b.overridden) - (a.chosen - a.overridden));
+  }
+
+  /**
+   * Forget one template's feedback, or everything when no key is given
+   * @param {string} templateKey - Template key
+   * @returns {number} Number of records removed
+   */
+  reset(templateKey = null) {
+    const keys = templateKey ? [templateKey] : Object.keys(this.store.templates);
+    const removed = keys.reduce((count, key) => count + this.getRecords(key).length, 0);
+
+    keys.forEach(key => delete this.store.templates[key]);
+    this.changed();
+    return removed;
+  }
+
+  /**
+   * Snapshot of one template's model, or of every template
+   * @param {string} templateKey - Template key
+   * @returns {Object} `{ version, exportedAt, templates: { [key]: { records, summary, ... } } }`
+   */
+  export(templateKey = null) {
+    const keys = templateKey ? [templateKey].filter(key => this.store.templates[key]) : Object.keys(this.store.templates);
+
+    return {
+      version: this.store.version,
+      exportedAt: new Date().toISOString(),
+      templates: Object.fromEntries(keys.map(key => [key, {
+        ...JSON.parse(JSON.stringify(this.store.templates[key])),
+        summary: this.summarize(key)
+      }]))
+    };
+  }
+
+  changed() {
+    if (this.onChange) {
+      this.onChange(this.store);
+    }
+  }
+
+  /**
+   * Normalize a layout reference: a display name, or `{ objectId, displayName }`
+   */
+  static layoutRef(layout) {
+    const ref = typeof layout === 'string'
+      ? { objectId: null, displayName: layout }
+      : { objectId: layout?.objectId || null, displayName: layout?.displayName || null };
+
+    if (!ref.objectId && !ref.displayName) {
+      throw new Error('A layout reference needs an objectId or a displayName');
+    }
+    return ref;
+  }
+
+  // Layout object IDs survive copying a template, but display names are what editors see
+  static sameLayout(ref, layout) {
+    return Boolean(
+      (ref.objectId && ref.objectId === layout.objectId) ||
+      (ref.displayName && ref.displayName === layout.displayName)
+    );
+  }
+}
+
+PreferenceStore.VERSION = 1;
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreferenceStore;
+} else {
+  // For n8n Function node
+  this.PreferenceStore = PreferenceStore;
+}
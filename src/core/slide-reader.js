@@ -0,0 +1,285 @@
+/**
+ * Slide Reader for Google Slides
+ * Turns existing slides into plain records with per-placeholder text,
+ * images and speaker notes, plus a `content` object in the same shape
+ * create-slide accepts (title, subtitle, body/bullets, columns, imageUrl/images)
+ */
+
+class SlideReader {
+  /**
+   * Read every slide of a presentation
+   * @param {Object} presentation - Presentation data with `slides` (and ideally `layouts`)
+   * @param {Object} options - Read options
+   * @param {Array} options.slideIds - Only read these slides
+   * @param {Array} options.layouts - Layouts to name slides by, when the presentation has none
+   *   (e.g. from LayoutAnalyzer.extractLayouts)
+   * @returns {Array} Slide records in deck order
+   */
+  static readSlides(presentation, { slideIds = null, layouts = null } = {}) {
+    const layoutsById = {};
+    (layouts || presentation.layouts || []).forEach(layout => {
+      layoutsById[layout.objectId] = layout;
+    });
+
+    return (presentation.slides || [])
+      .map((slide, index) => ({ slide, index }))
+      .filter(({ slide }) => !slideIds || slideIds.includes(slide.objectId))
+      .map(({ slide, index }) => this.readSlide(slide, index, layoutsById));
+  }
+
+  /**
+   * Read a single slide
+   * @param {Object} slide - Slide page from the Slides API
+   * @param {number|null} index - Zero-based position in the deck, if known
+   * @param {Object} layoutsById - Layouts keyed by objectId
+   * @returns {Object} Slide record
+   */
+  static readSlide(slide, index, layoutsById = {}) {
+    const layoutId = slide.slideProperties?.layoutObjectId || null;
+    const layout = layoutsById[layoutId];
+    const placeholders = [];
+    const images = [];
+    const textBoxes = [];
+
+    this.flattenElements(slide.pageElements).forEach(element => {
+      if (element.image) {
+        images.push({
+          objectId: element.objectId,
+          placeholderType: element.image.placeholder?.type || null,
+          sourceUrl: element.image.sourceUrl || null,
+          contentUrl: element.image.contentUrl || null,
+          // Filled picture placeholders usually keep the layout's position
+          bounds: this.getBounds(element) ||
+            layout?.placeholders?.find(placeholder => placeholder.objectId === element.image.placeholder?.parentObjectId)?.bounds ||
+            null
+        });
+        return;
+      }
+
+      if (!element.shape) {
+        return;
+      }
+
+      const paragraphs = this.getParagraphs(element.shape.text);
+      const text = paragraphs.map(paragraph => paragraph.text).join('\n');
+
+      if (element.shape.placeholder) {
+        placeholders.push({
+          objectId: element.objectId,
+          type: element.shape.placeholder.type,
+          index: element.shape.placeholder.index || 0,
+          parentObjectId: element.shape.placeholder.parentObjectId || null,
+          text,
+          paragraphs,
+          bounds: this.getBounds(element)
+        });
+      } else if (text) {
+        textBoxes.push({ objectId: element.objectId, text, bounds: this.getBounds(element) });
+      }
+    });
+
+    const record = {
+      slideIndex: index === null ? null : index + 1,
+      slideId: slide.objectId,
+      layout: {
+        objectId: layoutId,
+        name: layout?.layoutProperties?.name || null,
+        displayName: layout ? layout.displayName || layout.layoutProperties?.displayName || null : null
+      },
+      placeholders,
+      images,
+      textBoxes,
+      notes: this.getSpeakerNotes(slide),
+      skipped: Boolean(slide.slideProperties?.isSkipped)
+    };
+
+    record.content = this.toContent(record);
+    return record;
+  }
+
+  /**
+   * Normalize a slide record into create-slide's `content` shape
+   * @param {Object} record - Slide record from readSlide
+   * @returns {Object} Content with only the fields the slide actually has
+   */
+  static toContent(record) {
+    const content = {};
+    const withText = record.placeholders.filter(placeholder => placeholder.text);
+    const ofType = (...types) => withText.filter(placeholder => types.includes(placeholder.type));
+
+    const title = ofType('TITLE', 'CENTERED_TITLE')[0];
+    if (title) {
+      content.title = title.text;
+    }
+
+    const subtitle = ofType('SUBTITLE')[0];
+    if (subtitle) {
+      content.subtitle = subtitle.text;
+    }
+
+    // Body placeholders read left to right (index order breaks ties)
+    const bodies = ofType('BODY', 'CONTENT').sort((a, b) =>
+      ((a.bounds?.x || 0) - (b.bounds?.x || 0)) || (a.index - b.index)
+    );
+    if (bodies.length >= 2) {
+      content.columns = bodies.map(body => body.text.trim());
+    } else if (bodies.length === 1) {
+      // Plain paragraphs followed by a native list are body text plus bullets
+      const paragraphs = bodies[0].paragraphs;
+      const listStart = paragraphs.findIndex(paragraph => paragraph.bulleted);
+      const bullets = this.getBullets(listStart > 0 ? paragraphs.slice(listStart) : paragraphs);
+      if (bullets && listStart > 0) {
+        content.body = paragraphs.slice(0, listStart).map(paragraph => paragraph.text).join('\n').trim();
+        content.bullets = bullets;
+      } else if (bullets) {
+        content.bullets = bullets;
+      } else {
+        content.body = bodies[0].text.trim();
+      }
+    }
+
+    // One image stays `imageUrl`; several become `images`, in reading order
+    const imageUrls = [...record.images]
+      .sort((a, b) => this.compareReadingOrder(a, b))
+      .map(image => image.sourceUrl || image.contentUrl)
+      .filter(Boolean);
+    if (imageUrls.length === 1) {
+      content.imageUrl = imageUrls[0];
+    } else if (imageUrls.length > 1) {
+      content.images = imageUrls;
+    }
+
+    if (record.notes) {
+      content.notes = record.notes;
+    }
+
+    return content;
+  }
+
+  /**
+   * Split shape text into paragraphs with their bullet nesting
+   * @param {Object} text - Shape `text` from the Slides API
+   * @returns {Array} `{ text, bulleted, nestingLevel }` per paragraph
+   */
+  static getParagraphs(text) {
+    const paragraphs = [];
+    let current = null;
+
+    (text?.textElements || []).forEach(element => {
+      if (element.paragraphMarker) {
+        current = { text: '', bullet: element.paragraphMarker.bullet || null };
+        paragraphs.push(current);
+      } else if (current) {
+        current.text += (element.textRun || element.autoText)?.content || '';
+      }
+    });
+
+    return paragraphs.map(paragraph => ({
+      text: paragraph.text.replace(/\n$/, ''),
+      bulleted: Boolean(paragraph.bullet),
+      nestingLevel: paragraph.bullet ? paragraph.bullet.nestingLevel || 0 : null
+    }));
+  }
+
+  /**
+   * Bullet items when every paragraph is a bullet, either native or
+   * written as "• item" lines
+   * @param {Array} paragraphs - Paragraphs from getParagraphs
+   * @returns {Array|null} Bullets as create-slide takes them (strings, or
+   *   `{ text, children }` for items with nested ones), or null for plain text
+   */
+  static getBullets(paragraphs) {
+    const items = paragraphs.filter(paragraph => paragraph.text.trim());
+    if (items.length === 0) {
+      return null;
+    }
+    if (items.every(paragraph => paragraph.bulleted)) {
+      return this.nestBullets(items);
+    }
+    if (items.every(paragraph => /^\s*•\s/.test(paragraph.text))) {
+      return items.map(paragraph => paragraph.text.replace(/^\s*•\s+/, ''));
+    }
+    return null;
+  }
+
+  // Each item goes under the closest preceding item of a lower level
+  static nestBullets(items) {
+    const root = { children: [] };
+    const stack = [{ level: -1, node: root }];
+
+    items.forEach(paragraph => {
+      while (stack[stack.length - 1].level >= paragraph.nestingLevel) {
+        stack.pop();
+      }
+      const node = { text: paragraph.text.trim(), children: [] };
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ level: paragraph.nestingLevel, node });
+    });
+
+    const toBullet = node => node.children.length > 0
+      ? { text: node.text, children: node.children.map(toBullet) }
+      : node.text;
+    return root.children.map(toBullet);
+  }
+
+  /**
+   * Speaker notes text of a slide
+   * @param {Object} slide - Slide page from the Slides API
+   * @returns {string|null} Notes, or null when empty
+   */
+  static getSpeakerNotes(slide) {
+    const notesPage = slide.slideProperties?.notesPage;
+    const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+    if (!notesPage || !notesId) {
+      return null;
+    }
+
+    const shape = (notesPage.pageElements || []).find(element => element.objectId === notesId)?.shape;
+    const text = this.getParagraphs(shape?.text).map(paragraph => paragraph.text).join('\n').trim();
+    return text || null;
+  }
+
+  static flattenElements(elements = []) {
+    const flat = [];
+    elements.forEach(element => {
+      if (element.elementGroup) {
+        flat.push(...this.flattenElements(element.elementGroup.children));
+      } else {
+        flat.push(element);
+      }
+    });
+    return flat;
+  }
+
+  /**
+   * Top to bottom, then left to right; elements overlapping by half their
+   * height share a row, and elements without bounds keep their place last
+   */
+  static compareReadingOrder(a, b) {
+    if (!a.bounds || !b.bounds) {
+      return Boolean(b.bounds) - Boolean(a.bounds);
+    }
+    const sameRow = Math.abs(a.bounds.y - b.bounds.y) < Math.min(a.bounds.height, b.bounds.height) / 2;
+    return sameRow ? a.bounds.x - b.bounds.x : a.bounds.y - b.bounds.y;
+  }
+
+  static getBounds(element) {
+    if (!element.size || !element.transform) {
+      return null;
+    }
+    return {
+      x: element.transform.translateX || 0,
+      y: element.transform.translateY || 0,
+      width: (element.size.width?.magnitude || 0) * (element.transform.scaleX || 1),
+      height: (element.size.height?.magnitude || 0) * (element.transform.scaleY || 1)
+    };
+  }
+}
+
+// Export for n8n usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SlideReader;
+} else {
+  // For n8n Function node
+  this.SlideReader = SlideReader;
+}
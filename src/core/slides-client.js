@@ -3,26 +3,124 @@
  * Handles authentication, API calls, and response processing
  */
 
+/**
+ * Error raised for failed Google API calls.
+ * Keeps the HTTP status and the retry history so callers can report them.
+ */
+class SlidesApiError extends Error {
+  constructor(message, { status = null, reason = null, attempts = [], cause = null } = {}) {
+    super(message);
+    this.name = 'SlidesApiError';
+    this.status = status;
+    this.reason = reason;
+    this.attempts = attempts;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Raised when a write was rejected because the presentation changed since
+ * the revision it was based on (writeControl.requiredRevisionId).
+ */
+class RevisionConflictError extends SlidesApiError {
+  constructor(message, { requiredRevisionId = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RevisionConflictError';
+    this.code = 'REVISION_CONFLICT';
+    this.requiredRevisionId = requiredRevisionId;
+  }
+}
+
+/**
+ * Raised when slide IDs or an index range do not match the presentation
+ */
+class SlideSelectionError extends SlidesApiError {
+  constructor(message, details = {}) {
+    super(message, { status: 400, ...details });
+    this.name = 'SlideSelectionError';
+    this.code = 'INVALID_SLIDE_SELECTION';
+  }
+}
+
 class SlidesClient {
-  constructor(accessToken) {
-    this.accessToken = accessToken;
-    this.baseUrl = 'https://slides.googleapis.com/v1';
+  /**
+   * @param {string|Object} credentials - OAuth2 bearer token, or a credential
+   *   provider exposing getAccessToken() and invalidate() (see AuthHandler)
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - API root, e.g. a local emulator's http://localhost:4000/v1
+   * @param {string} options.driveBaseUrl - Drive API root, used for copies
+   * @param {Object} options.retry - Overrides for SlidesClient.DEFAULT_RETRY_OPTIONS
+   */
+  constructor(credentials, options = {}) {
+    if (credentials && typeof credentials.getAccessToken === 'function') {
+      this.credentialProvider = credentials;
+      this.accessToken = null;
+    } else {
+      this.credentialProvider = null;
+      this.accessToken = credentials;
+    }
+    this.baseUrl = (options.baseUrl || 'https://slides.googleapis.com/v1').replace(/\/$/, '');
+    this.driveBaseUrl = (options.driveBaseUrl || 'https://www.googleapis.com/drive/v3').replace(/\/$/, '');
+    this.retryOptions = { ...SlidesClient.DEFAULT_RETRY_OPTIONS, ...options.retry };
+    // Latest revision seen per presentation, for optimistic concurrency
+    this.revisions = new Map();
   }
 
   /**
    * Get presentation data including layouts and master slides
    * @param {string} presentationId - The presentation ID
+   * @param {Object} options - Per-call request options (see makeRequest)
+   * @param {string} options.fields - Field mask limiting the response, e.g. 'revisionId'
    * @returns {Promise<Object>} Presentation data
    */
-  async getPresentation(presentationId) {
+  async getPresentation(presentationId, options = {}) {
+    const { fields, ...requestOptions } = options;
+    const query = fields ? `?fields=${encodeURIComponent(fields)}` : '';
+
     try {
       const response = await this.makeRequest(
-        `${this.baseUrl}/presentations/${presentationId}`,
-        'GET'
+        `${this.baseUrl}/presentations/${presentationId}${query}`,
+        'GET',
+        null,
+        requestOptions
       );
+      if (response.revisionId) {
+        this.revisions.set(presentationId, response.revisionId);
+      }
       return response;
     } catch (error) {
-      throw new Error(`Failed to get presentation: ${error.message}`);
+      throw this.wrapError('Failed to get presentation', error);
+    }
+  }
+
+  /**
+   * Get the slides of a presentation (no layouts or masters)
+   * @param {string} presentationId - The presentation ID
+   * @param {Object} options - Per-call request options (see makeRequest)
+   * @returns {Promise<Object>} `{ presentationId, title, revisionId, slides }`
+   */
+  async getSlides(presentationId, options = {}) {
+    const response = await this.getPresentation(presentationId, {
+      ...options,
+      fields: SlidesClient.SLIDE_FIELDS
+    });
+    response.slides = response.slides || [];
+    return response;
+  }
+
+  /**
+   * Get a single page (slide, layout or master) by ID
+   * @param {string} presentationId - The presentation ID
+   * @param {string} pageObjectId - The page ID
+   * @returns {Promise<Object>} Page data
+   */
+  async getPage(presentationId, pageObjectId) {
+    try {
+      return await this.makeRequest(`${this.baseUrl}/presentations/${presentationId}/pages/${pageObjectId}`);
+    } catch (error) {
+      throw this.wrapError('Failed to get page', error);
     }
   }
 
@@ -30,51 +128,476 @@ class SlidesClient {
    * Create a new slide using batch update
    * @param {string} presentationId - The presentation ID
    * @param {Array} requests - Array of batch update requests
+   * @param {Object} options - Per-call request options (see makeRequest)
+   * @param {string} options.requiredRevisionId - Only apply the batch if the
+   *   presentation is still at this revision; throws RevisionConflictError otherwise
    * @returns {Promise<Object>} Batch update response
    */
-  async batchUpdate(presentationId, requests) {
+  async batchUpdate(presentationId, requests, options = {}) {
+    const { requiredRevisionId, ...requestOptions } = options;
+    const body = { requests };
+
+    if (requiredRevisionId) {
+      body.writeControl = { requiredRevisionId };
+    }
+
     try {
       const response = await this.makeRequest(
         `${this.baseUrl}/presentations/${presentationId}:batchUpdate`,
         'POST',
-        { requests }
+        body,
+        {
+          idempotent: SlidesClient.isReplaySafe(body),
+          ...requestOptions
+        }
       );
+      if (response.writeControl?.requiredRevisionId) {
+        this.revisions.set(presentationId, response.writeControl.requiredRevisionId);
+      }
       return response;
     } catch (error) {
-      throw new Error(`Failed to batch update: ${error.message}`);
+      if (requiredRevisionId && SlidesClient.isRevisionConflict(error)) {
+        throw new RevisionConflictError(
+          `Presentation ${presentationId} changed since revision ${requiredRevisionId}: ${error.message}`,
+          {
+            requiredRevisionId,
+            status: error.status,
+            reason: error.reason,
+            attempts: error.attempts,
+            cause: error
+          }
+        );
+      }
+      throw this.wrapError('Failed to batch update', error);
+    }
+  }
+
+  /**
+   * Delete slides in one all-or-nothing batch
+   * @param {string} presentationId - The presentation ID
+   * @param {Object} selection - `{ slideIds }` or `{ startIndex, endIndex }` (see selectSlides)
+   * @param {Object} options - Per-call request options (see batchUpdate)
+   * @returns {Promise<Object>} `{ slideIds, batchResponse }`
+   */
+  async deleteSlides(presentationId, selection, options = {}) {
+    const { slides, revisionId } = await this.getSlideOrder(presentationId);
+    const slideIds = SlidesClient.selectSlides(slides, selection);
+
+    const batchResponse = await this.batchUpdate(
+      presentationId,
+      slideIds.map(objectId => ({ deleteObject: { objectId } })),
+      { requiredRevisionId: revisionId, ...options }
+    );
+    return { slideIds, batchResponse };
+  }
+
+  /**
+   * Duplicate a slide, choosing the IDs of the copy and of its elements
+   * (`<newSlideId>_e<n>`) so follow-up requests can target them
+   * @param {string} presentationId - The presentation ID
+   * @param {string} slideId - Slide to duplicate
+   * @param {Object} options - Duplicate options, plus per-call request options
+   * @param {string} options.newSlideId - ID for the copy (generated if omitted)
+   * @param {number} options.position - 1-based position of the copy (default: after the original)
+   * @returns {Promise<Object>} `{ slideId, objectIds, batchResponse }`
+   */
+  async duplicateSlide(presentationId, slideId, { newSlideId, position, ...options } = {}) {
+    const { slides, revisionId } = await this.getSlides(presentationId);
+    const index = slides.findIndex(slide => slide.objectId === slideId);
+    if (index === -1) {
+      throw new SlideSelectionError(`Slide ${slideId} not found in presentation ${presentationId}`);
     }
+
+    const copyId = newSlideId || SlidesClient.generateObjectId('dup');
+    const objectIds = { [slideId]: copyId };
+    let elementCount = 0;
+    const mapElements = elements => (elements || []).forEach(element => {
+      objectIds[element.objectId] = `${copyId}_e${elementCount++}`;
+      mapElements(element.elementGroup?.children);
+    });
+    mapElements(slides[index].pageElements);
+
+    const requests = [{ duplicateObject: { objectId: slideId, objectIds } }];
+    if (position !== undefined) {
+      // The copy starts right after the original; insertionIndex counts it
+      const target = Math.min(Math.max(position - 1, 0), slides.length);
+      requests.push({
+        updateSlidesPosition: {
+          slideObjectIds: [copyId],
+          insertionIndex: target <= index ? target : target + 1
+        }
+      });
+    }
+
+    const batchResponse = await this.batchUpdate(presentationId, requests, {
+      requiredRevisionId: revisionId,
+      ...options
+    });
+    return { slideId: copyId, objectIds, batchResponse };
+  }
+
+  /**
+   * Move slides as a block, keeping their relative order
+   * @param {string} presentationId - The presentation ID
+   * @param {Object} selection - `{ slideIds }` or `{ startIndex, endIndex }` (see selectSlides)
+   * @param {number} position - 1-based position of the first moved slide after the move
+   * @param {Object} options - Per-call request options (see batchUpdate)
+   * @returns {Promise<Object>} `{ slideIds, batchResponse }`
+   */
+  async moveSlides(presentationId, selection, position, options = {}) {
+    const { slides, revisionId } = await this.getSlideOrder(presentationId);
+    const slideIds = SlidesClient.selectSlides(slides, selection);
+
+    // updateSlidesPosition counts insertionIndex in the arrangement before the move
+    const staying = slides.filter(slide => !slideIds.includes(slide.objectId));
+    const target = Math.min(Math.max(position - 1, 0), staying.length);
+    const insertionIndex = target < staying.length ? slides.indexOf(staying[target]) : slides.length;
+
+    const batchResponse = await this.batchUpdate(
+      presentationId,
+      [{ updateSlidesPosition: { slideObjectIds: slideIds, insertionIndex } }],
+      { requiredRevisionId: revisionId, ...options }
+    );
+    return { slideIds, batchResponse };
+  }
+
+  /**
+   * Put slides in the given order; slides not listed follow in their current order
+   * @param {string} presentationId - The presentation ID
+   * @param {Array} orderedSlideIds - Slide IDs in their new order
+   * @param {Object} options - Per-call request options (see batchUpdate)
+   * @returns {Promise<Object>} `{ slideIds, batchResponse }` with the resulting order
+   */
+  async reorderSlides(presentationId, orderedSlideIds, options = {}) {
+    const { slides, revisionId } = await this.getSlideOrder(presentationId);
+    SlidesClient.selectSlides(slides, { slideIds: orderedSlideIds });
+    if (new Set(orderedSlideIds).size !== orderedSlideIds.length) {
+      throw new SlideSelectionError('slideIds must not contain duplicates');
+    }
+
+    // Moving each slide to its final index in turn leaves earlier ones in place
+    const batchResponse = await this.batchUpdate(
+      presentationId,
+      orderedSlideIds.map((objectId, insertionIndex) => ({
+        updateSlidesPosition: { slideObjectIds: [objectId], insertionIndex }
+      })),
+      { requiredRevisionId: revisionId, ...options }
+    );
+
+    const rest = slides.map(slide => slide.objectId).filter(objectId => !orderedSlideIds.includes(objectId));
+    return { slideIds: [...orderedSlideIds, ...rest], batchResponse };
+  }
+
+  /**
+   * Current slide IDs and revision, the basis for index-based operations
+   * @param {string} presentationId - The presentation ID
+   * @returns {Promise<Object>} `{ slides: [{ objectId }], revisionId }`
+   */
+  async getSlideOrder(presentationId) {
+    const response = await this.getPresentation(presentationId, { fields: 'revisionId,slides.objectId' });
+    return { slides: response.slides || [], revisionId: response.revisionId };
+  }
+
+  /**
+   * Copy a presentation (e.g. a master template) through the Drive API
+   * @param {string} templateId - Presentation to copy
+   * @param {Object} options - Copy options
+   * @param {string} options.title - Name of the new presentation
+   * @param {string} options.folderId - Drive folder to create the copy in
+   * @returns {Promise<Object>} Drive file (`id`, `name`, `parents`)
+   */
+  async copyPresentation(templateId, { title, folderId } = {}) {
+    const body = {};
+    if (title) body.name = title;
+    if (folderId) body.parents = [folderId];
+
+    try {
+      const response = await this.makeRequest(
+        `${this.driveBaseUrl}/files/${templateId}/copy?supportsAllDrives=true&fields=id,name,parents`,
+        'POST',
+        body
+      );
+      return response;
+    } catch (error) {
+      throw this.wrapError('Failed to copy presentation', error);
+    }
+  }
+
+  /**
+   * Export a presentation through the Drive API.
+   * Drive refuses exports over 10 MB; use generateExportUrl for larger decks.
+   * @param {string} presentationId - The presentation ID
+   * @param {string} format - 'pdf' or 'pptx'
+   * @param {Object} options - Export options
+   * @param {boolean} options.stream - Return the response body stream instead of a Buffer
+   * @returns {Promise<Object>} `{ format, mimeType, data, size }`, or `{ format, mimeType, stream }`
+   */
+  async exportPresentation(presentationId, format = 'pdf', { stream = false } = {}) {
+    const mimeType = SlidesClient.EXPORT_FORMATS[format];
+    if (!mimeType) {
+      throw new SlidesApiError(
+        `Unsupported export format "${format}" (expected ${Object.keys(SlidesClient.EXPORT_FORMATS).join(' or ')})`
+      );
+    }
+
+    try {
+      const body = await this.makeRequest(
+        `${this.driveBaseUrl}/files/${presentationId}/export?mimeType=${encodeURIComponent(mimeType)}`,
+        'GET',
+        null,
+        { responseType: stream ? 'stream' : 'buffer' }
+      );
+      return stream
+        ? { format, mimeType, stream: body }
+        : { format, mimeType, data: body, size: body.length };
+    } catch (error) {
+      throw this.wrapError('Failed to export presentation', error);
+    }
+  }
+
+  /**
+   * Render a slide thumbnail (pages.getThumbnail). Thumbnails count as
+   * expensive reads against the Slides quota.
+   * @param {string} presentationId - The presentation ID
+   * @param {string} pageObjectId - The slide ID
+   * @param {Object} options - Thumbnail options
+   * @param {string} options.size - 'SMALL', 'MEDIUM' or 'LARGE'
+   * @param {boolean} options.download - Also fetch the PNG bytes from contentUrl
+   * @returns {Promise<Object>} `{ pageObjectId, width, height, contentUrl }`, plus `data` when downloaded
+   */
+  async getThumbnail(presentationId, pageObjectId, { size = 'LARGE', download = false } = {}) {
+    try {
+      const thumbnail = await this.makeRequest(
+        `${this.baseUrl}/presentations/${presentationId}/pages/${pageObjectId}/thumbnail` +
+        `?thumbnailProperties.mimeType=PNG&thumbnailProperties.thumbnailSize=${size}`
+      );
+      const result = {
+        pageObjectId,
+        width: thumbnail.width,
+        height: thumbnail.height,
+        contentUrl: thumbnail.contentUrl
+      };
+
+      // contentUrl is a short-lived public link; the token is not sent there
+      if (download) {
+        result.data = await this.makeRequest(thumbnail.contentUrl, 'GET', null, {
+          responseType: 'buffer',
+          authenticate: false
+        });
+      }
+      return result;
+    } catch (error) {
+      throw this.wrapError('Failed to get thumbnail', error);
+    }
+  }
+
+  /**
+   * Record a revision obtained elsewhere (e.g. from a layout cache)
+   * @param {string} presentationId - The presentation ID
+   * @param {string} revisionId - Revision ID
+   */
+  setRevisionId(presentationId, revisionId) {
+    if (revisionId) {
+      this.revisions.set(presentationId, revisionId);
+    }
+  }
+
+  /**
+   * Latest revision ID seen for a presentation through this client
+   * @param {string} presentationId - The presentation ID
+   * @returns {string|null} Revision ID
+   */
+  getRevisionId(presentationId) {
+    return this.revisions.get(presentationId) || null;
   }
 
   /**
    * Make HTTP request to Google Slides API
+   *
+   * Failed calls are retried with jittered exponential backoff. Idempotent
+   * calls are retried on any retryable status or network error; other calls
+   * only on 429, which Google returns before the request is executed.
+   * The retry history is exposed on the result as the non-enumerable
+   * `requestMetadata` property, and on errors as `error.attempts`.
+   *
    * @param {string} url - API endpoint URL
    * @param {string} method - HTTP method
    * @param {Object} body - Request body
+   * @param {Object} options - Per-call options
+   * @param {boolean} options.idempotent - Override the method-based idempotency check
+   * @param {Object} options.retry - Overrides for this call's retry options
+   * @param {string} options.responseType - 'json' (default), 'buffer' or 'stream'
+   * @param {boolean} options.authenticate - Send the bearer token (default true)
    * @returns {Promise<Object>} API response
    */
-  async makeRequest(url, method = 'GET', body = null) {
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json'
+  async makeRequest(url, method = 'GET', body = null, options = {}) {
+    const retry = { ...this.retryOptions, ...options.retry };
+    const idempotent = options.idempotent !== undefined
+      ? options.idempotent
+      : SlidesClient.IDEMPOTENT_METHODS.includes(method);
+    const startedAt = Date.now();
+    const deadline = retry.deadlineMs ? startedAt + retry.deadlineMs : Infinity;
+    const attempts = [];
+    let reauthenticated = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptInfo = { attempt: attempt + 1, startedAt: new Date().toISOString() };
+      attempts.push(attemptInfo);
+
+      let response;
+      try {
+        response = await this.fetchWithDeadline(url, method, body, deadline, options.authenticate !== false);
+      } catch (error) {
+        attemptInfo.error = error.message;
+        const canRetry = idempotent && attempt < retry.maxRetries;
+        const delayMs = canRetry ? this.computeRetryDelay(attempt, null, retry) : 0;
+
+        if (!canRetry || Date.now() + delayMs >= deadline) {
+          throw new SlidesApiError(
+            `Request failed after ${attempts.length} attempt(s): ${error.message}`,
+            { attempts, cause: error }
+          );
+        }
+
+        attemptInfo.delayMs = delayMs;
+        await SlidesClient.sleep(delayMs);
+        continue;
       }
-    };
+
+      attemptInfo.status = response.status;
+
+      if (response.ok) {
+        const data = await SlidesClient.readBody(response, options.responseType);
+        Object.defineProperty(data, 'requestMetadata', {
+          value: {
+            attempts: attempts.length,
+            retries: attempts.slice(0, -1),
+            elapsedMs: Date.now() - startedAt
+          },
+          enumerable: false
+        });
+        return data;
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error?.message || response.statusText;
+
+      // An expired token is renewed once without counting against retries
+      if (response.status === 401 && this.credentialProvider && !reauthenticated) {
+        attemptInfo.error = message;
+        reauthenticated = true;
+        this.credentialProvider.invalidate();
+        attempt--;
+        continue;
+      }
+
+      const retryable = retry.retryableStatuses.includes(response.status) &&
+        (idempotent || response.status === 429);
+      const retryAfterMs = SlidesClient.parseRetryAfter(response.headers.get('retry-after'));
+      const delayMs = this.computeRetryDelay(attempt, retryAfterMs, retry);
+
+      attemptInfo.error = message;
+
+      if (!retryable || attempt >= retry.maxRetries || Date.now() + delayMs >= deadline) {
+        throw new SlidesApiError(`API Error ${response.status}: ${message}`, {
+          status: response.status,
+          reason: errorData.error?.status || null,
+          attempts
+        });
+      }
+
+      attemptInfo.delayMs = delayMs;
+      if (retryAfterMs !== null) {
+        attemptInfo.retryAfterMs = retryAfterMs;
+      }
+      await SlidesClient.sleep(delayMs);
+    }
+  }
+
+  /**
+   * Perform a single fetch that is aborted once the call deadline passes
+   * @param {string} url - API endpoint URL
+   * @param {string} method - HTTP method
+   * @param {Object} body - Request body
+   * @param {number} deadline - Epoch milliseconds after which the call is abandoned
+   * @param {boolean} authenticate - Send the bearer token
+   * @returns {Promise<Response>} Fetch response
+   */
+  async fetchWithDeadline(url, method, body, deadline, authenticate = true) {
+    const options = { method, headers: {} };
+
+    if (authenticate) {
+      options.headers['Authorization'] = `Bearer ${await this.getAccessToken()}`;
+    }
 
     if (body) {
+      options.headers['Content-Type'] = 'application/json';
       options.body = JSON.stringify(body);
     }
 
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `API Error ${response.status}: ${errorData.error?.message || response.statusText}`
-      );
+    if (deadline === Infinity) {
+      return await fetch(url, options);
     }
 
-    return await response.json();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+    options.signal = controller.signal;
+
+    try {
+      return await fetch(url, options);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Resolve the bearer token for the next request
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.credentialProvider) {
+      return await this.credentialProvider.getAccessToken();
+    }
+    return this.accessToken;
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * Uses "equal jitter" exponential backoff; a Retry-After hint is honored
+   * as a lower bound even when it exceeds maxDelayMs.
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {number|null} retryAfterMs - Delay requested by the server
+   * @param {Object} retry - Effective retry options
+   * @returns {number} Delay in milliseconds
+   */
+  computeRetryDelay(attempt, retryAfterMs, retry) {
+    const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * Math.pow(retry.factor, attempt));
+    const backoff = retry.jitter ? ceiling / 2 + Math.random() * ceiling / 2 : ceiling;
+    return Math.round(Math.max(backoff, retryAfterMs || 0));
+  }
+
+  /**
+   * Re-throw an error with context while keeping status and retry history
+   * @param {string} prefix - Context for the message
+   * @param {Error} error - Original error
+   * @returns {SlidesApiError} Wrapped error
+   */
+  wrapError(prefix, error) {
+    return new SlidesApiError(`${prefix}: ${error.message}`, {
+      status: error.status || null,
+      reason: error.reason || null,
+      attempts: error.attempts || [],
+      cause: error
+    });
+  }
+
+  /**
+   * Generate presentation URL for direct access
+   * @param {string} presentationId - The presentation ID
+   * @returns {string} Direct presentation URL
+   */
+  generatePresentationUrl(presentationId) {
+    return `https://docs.google.com/presentation/d/${presentationId}/edit`;
   }
 
   /**
@@ -86,12 +609,144 @@ class SlidesClient {
   generateSlideUrl(presentationId, slideId) {
     return `https://docs.google.com/presentation/d/${presentationId}/edit#slide=id.${slideId}`;
   }
+
+  /**
+   * Generate a browser download link (uses the viewer's Google session)
+   * @param {string} presentationId - The presentation ID
+   * @param {string} format - 'pdf' or 'pptx'
+   * @returns {string} Export URL
+   */
+  generateExportUrl(presentationId, format = 'pdf') {
+    return `https://docs.google.com/presentation/d/${presentationId}/export/${format}`;
+  }
+
+  /**
+   * Read a successful response body
+   * @param {Response} response - Fetch response
+   * @param {string} responseType - 'json' (default), 'buffer' or 'stream'
+   * @returns {Promise<Object|Buffer|ReadableStream>} Parsed body
+   */
+  static async readBody(response, responseType = 'json') {
+    if (responseType === 'stream') {
+      return response.body;
+    }
+    if (responseType === 'buffer') {
+      return Buffer.from(await response.arrayBuffer());
+    }
+    return await response.json();
+  }
+
+  /**
+   * Check whether a batch can be replayed after a lost response.
+   * Only a batch pinned to a revision is: once applied, a replay fails as a
+   * revision conflict the caller can check against the presentation, where
+   * an unpinned replay would apply again or fail on duplicate object IDs.
+   * @param {Object} body - batchUpdate request body
+   * @returns {boolean} True when the batch is safe to retry
+   */
+  static isReplaySafe(body = {}) {
+    return Boolean(body.writeControl?.requiredRevisionId);
+  }
+
+  /**
+   * Check whether an API error is a writeControl revision mismatch
+   * @param {Error} error - Error raised by makeRequest
+   * @returns {boolean} True for revision conflicts
+   */
+  static isRevisionConflict(error) {
+    return error.status === 400 &&
+      (error.reason === 'FAILED_PRECONDITION' || /revision/i.test(error.message));
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date)
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Resolve a slide selection to IDs in deck order
+   * @param {Array} slides - Slides in deck order (at least `objectId`)
+   * @param {Object} selection - `{ slideIds }`, or `{ startIndex, endIndex }` as 1-based,
+   *   inclusive positions matching `slideIndex` in responses
+   * @returns {Array} Selected slide IDs
+   */
+  static selectSlides(slides, { slideIds, startIndex, endIndex } = {}) {
+    const deckIds = slides.map(slide => slide.objectId);
+
+    if (Array.isArray(slideIds) && slideIds.length > 0) {
+      const missing = slideIds.filter(slideId => !deckIds.includes(slideId));
+      if (missing.length > 0) {
+        throw new SlideSelectionError(`Slides not found: ${missing.join(', ')}`);
+      }
+      return deckIds.filter(slideId => slideIds.includes(slideId));
+    }
+
+    if (startIndex !== undefined) {
+      const end = endIndex !== undefined ? endIndex : startIndex;
+      if (!Number.isInteger(startIndex) || !Number.isInteger(end) ||
+          startIndex < 1 || end < startIndex || end > deckIds.length) {
+        throw new SlideSelectionError(
+          `Invalid slide range ${startIndex}-${end}; the presentation has ${deckIds.length} slide(s)`
+        );
+      }
+      return deckIds.slice(startIndex - 1, end);
+    }
+
+    throw new SlideSelectionError('Select slides with slideIds or startIndex/endIndex');
+  }
+
+  /**
+   * Generate an object ID that satisfies the API's format (5-50 characters)
+   * @param {string} prefix - Readable prefix
+   * @returns {string} Object ID
+   */
+  static generateObjectId(prefix = 'id') {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 }
 
+SlidesClient.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+SlidesClient.DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 32000,
+  factor: 2,
+  jitter: true,
+  deadlineMs: 120000,
+  retryableStatuses: [429, 500, 502, 503, 504]
+};
+
+SlidesClient.SLIDE_FIELDS = 'presentationId,title,revisionId,slides';
+
+SlidesClient.EXPORT_FORMATS = {
+  pdf: 'application/pdf',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+SlidesClient.SlidesApiError = SlidesApiError;
+SlidesClient.RevisionConflictError = RevisionConflictError;
+SlidesClient.SlideSelectionError = SlideSelectionError;
+
 // Export for n8n usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SlidesClient;
 } else {
   // For n8n Function node
   this.SlidesClient = SlidesClient;
-}
\ No newline at end of file
+}
@@ -0,0 +1,156 @@
+/**
+ * HTTP front end for the Slides API emulator
+ *
+ * Serves the same paths as https://slides.googleapis.com so SlidesClient can
+ * target it through its `baseUrl` option (e.g. http://localhost:4000/v1),
+ * plus a Drive stand-in under /drive/v3 for its `driveBaseUrl` option.
+ * Test helpers live under /__emulator.
+ */
+
+const express = require('express');
+const SlidesEmulator = require('./slides-emulator');
+const FieldMask = require('./field-mask');
+
+const { EmulatorError } = SlidesEmulator;
+
+// 1x1 transparent PNG served for every thumbnail
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function createEmulatorApp(emulator = new SlidesEmulator()) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // Test helpers (no auth)
+  app.post('/__emulator/presentations', (req, res, next) => {
+    handle(res, next, () => emulator.loadPresentation(req.body));
+  });
+
+  app.post('/__emulator/faults', (req, res, next) => {
+    handle(res, next, () => {
+      emulator.injectFault(req.body);
+      return { queued: emulator.faults.length };
+    });
+  });
+
+  // Thumbnail contentUrls are public, like Google's short-lived links
+  app.get('/__emulator/thumbnails/:presentationId/:file', (req, res) => {
+    res.type('png').send(PLACEHOLDER_PNG);
+  });
+
+  app.post('/__emulator/reset', (req, res, next) => {
+    handle(res, next, () => {
+      emulator.reset();
+      return {};
+    });
+  });
+
+  // Google requires a bearer token; the emulator accepts any non-empty one
+  app.use(['/v1', '/drive/v3'], (req, res, next) => {
+    const header = req.get('authorization') || '';
+    if (!/^Bearer\s+\S+/.test(header)) {
+      return next(new EmulatorError(
+        401,
+        'UNAUTHENTICATED',
+        'Request is missing required authentication credential. Expected OAuth 2 access token, login cookie or other valid authentication credential.'
+      ));
+    }
+    next();
+  });
+
+  app.get('/v1/presentations/:presentationId', (req, res, next) => {
+    handle(res, next, () => {
+      failIfFaulted(emulator, 'get', res);
+      return FieldMask.apply(emulator.getPresentation(req.params.presentationId), req.query.fields);
+    });
+  });
+
+  app.get('/v1/presentations/:presentationId/pages/:pageObjectId', (req, res, next) => {
+    handle(res, next, () => {
+      failIfFaulted(emulator, 'get', res);
+      const { presentationId, pageObjectId } = req.params;
+      return FieldMask.apply(emulator.getPage(presentationId, pageObjectId), req.query.fields);
+    });
+  });
+
+  app.get('/v1/presentations/:presentationId/pages/:pageObjectId/thumbnail', (req, res, next) => {
+    handle(res, next, () => {
+      failIfFaulted(emulator, 'get', res);
+      const { presentationId, pageObjectId } = req.params;
+      const thumbnail = emulator.getThumbnail(
+        presentationId,
+        pageObjectId,
+        req.query['thumbnailProperties.thumbnailSize'] || 'LARGE'
+      );
+      return {
+        ...thumbnail,
+        contentUrl: `${req.protocol}://${req.get('host')}/__emulator/thumbnails/${presentationId}/${pageObjectId}.png`
+      };
+    });
+  });
+
+  app.post(/^\/v1\/presentations\/([^/:]+):batchUpdate$/, (req, res, next) => {
+    handle(res, next, () => {
+      failIfFaulted(emulator, 'batchUpdate', res);
+      return emulator.batchUpdate(req.params[0], req.body);
+    });
+  });
+
+  // Drive stand-in: files.copy for decks from templates, and files.export
+  app.post('/drive/v3/files/:fileId/copy', (req, res, next) => {
+    handle(res, next, () => emulator.copyFile(req.params.fileId, req.body));
+  });
+
+  app.get('/drive/v3/files/:fileId/export', (req, res, next) => {
+    try {
+      const data = emulator.exportFile(req.params.fileId, req.query.mimeType);
+      res.type(req.query.mimeType).send(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.use((req, res, next) => {
+    next(new EmulatorError(404, 'NOT_FOUND', `The requested URL ${req.path} was not found on this server.`));
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof EmulatorError) {
+      return res.status(error.code).json(error.toJSON());
+    }
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        error: { code: 400, message: 'Invalid JSON payload received.', status: 'INVALID_ARGUMENT' }
+      });
+    }
+    res.status(500).json({
+      error: { code: 500, message: error.message, status: 'INTERNAL' }
+    });
+  });
+
+  return app;
+}
+
+function handle(res, next, operation) {
+  try {
+    res.json(operation());
+  } catch (error) {
+    next(error);
+  }
+}
+
+function failIfFaulted(emulator, method, res) {
+  const fault = emulator.takeFault(method);
+  if (!fault) {
+    return;
+  }
+  if (fault.retryAfter !== null) {
+    res.set('Retry-After', String(fault.retryAfter));
+  }
+  const status = fault.status === 429 ? 'RESOURCE_EXHAUSTED' : fault.status >= 500 ? 'UNAVAILABLE' : 'FAILED_PRECONDITION';
+  throw new EmulatorError(fault.status, status, fault.message);
+}
+
+module.exports = createEmulatorApp;
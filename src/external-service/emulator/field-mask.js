@@ -0,0 +1,91 @@
+/**
+ * Minimal Google API field mask support for the emulator
+ * Handles comma lists, dotted paths and parenthesized sub-selections,
+ * e.g. "revisionId,layouts(objectId,layoutProperties),slides.objectId".
+ */
+
+/**
+ * Parse a field mask into a nested selection tree
+ * @param {string} fields - Field mask
+ * @returns {Object} Tree where `true` selects a whole value
+ */
+function parse(fields) {
+  let position = 0;
+
+  function parseList() {
+    const tree = {};
+    while (position < fields.length && fields[position] !== ')') {
+      const path = readPath();
+      let leaf = true;
+      if (fields[position] === '(') {
+        position++;
+        leaf = parseList();
+        position++; // ')'
+      }
+      merge(tree, path, leaf);
+      if (fields[position] === ',') {
+        position++;
+      }
+    }
+    return tree;
+  }
+
+  function readPath() {
+    const start = position;
+    while (position < fields.length && !',()'.includes(fields[position])) {
+      position++;
+    }
+    return fields.slice(start, position).trim().split('.').filter(Boolean);
+  }
+
+  return parseList();
+}
+
+function merge(tree, path, leaf) {
+  let node = tree;
+  for (let index = 0; index < path.length; index++) {
+    const key = path[index];
+    if (index === path.length - 1) {
+      node[key] = node[key] === true || leaf === true ? true : { ...(node[key] || {}), ...leaf };
+      return;
+    }
+    // A parent already selected in full covers this path
+    if (node[key] === true) {
+      return;
+    }
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+}
+
+/**
+ * Keep only the selected fields of a resource
+ * @param {Object} resource - API resource
+ * @param {string} fields - Field mask ('*' or empty keeps everything)
+ * @returns {Object} Filtered resource
+ */
+function apply(resource, fields) {
+  if (!fields || fields.trim() === '*') {
+    return resource;
+  }
+  return select(resource, parse(fields));
+}
+
+function select(value, tree) {
+  if (tree === true || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => select(item, tree));
+  }
+
+  const result = {};
+  Object.keys(tree).forEach(key => {
+    if (value[key] !== undefined) {
+      result[key] = select(value[key], tree[key]);
+    }
+  });
+  return result;
+}
+
+module.exports = { parse, apply };
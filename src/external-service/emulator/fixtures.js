@@ -0,0 +1,353 @@
+/**
+ * Fixture templates for the Slides API emulator
+ *
+ * Builds a template deck modelled on Google's "Simple Light" theme: one master,
+ * the stock layouts plus a picture layout, and a notes master. Several layout
+ * placeholders carry no geometry of their own and inherit it from the master,
+ * as they do in real templates. One layout uses `slot:<key>` text boxes instead
+ * of placeholders, and a hidden slide is tagged `template:quote` in its notes.
+ * One template is created for every deckId used in examples/sample-inputs.json
+ * so those inputs work against the emulator as-is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_INPUTS_PATH = path.join(__dirname, '..', '..', '..', 'examples', 'sample-inputs.json');
+const DEFAULT_TEMPLATE_ID = 'emulator-template';
+
+const PAGE_WIDTH = 9144000;
+const PAGE_HEIGHT = 5143500;
+
+const COLOR_SCHEME = {
+  DARK1: '000000',
+  LIGHT1: 'FFFFFF',
+  DARK2: '595959',
+  LIGHT2: 'EEEEEE',
+  ACCENT1: '4285F4',
+  ACCENT2: '212121',
+  ACCENT3: '78909C',
+  ACCENT4: 'FFAB40',
+  ACCENT5: '0097A7',
+  ACCENT6: 'EEFF41',
+  HYPERLINK: '0097A7',
+  FOLLOWED_HYPERLINK: '0097A7',
+  TEXT1: '000000',
+  BACKGROUND1: 'FFFFFF',
+  TEXT2: '595959',
+  BACKGROUND2: 'EEEEEE'
+};
+
+function rgb(hex) {
+  const color = {};
+  const red = parseInt(hex.substr(0, 2), 16) / 255;
+  const green = parseInt(hex.substr(2, 2), 16) / 255;
+  const blue = parseInt(hex.substr(4, 2), 16) / 255;
+  // The API omits zero-valued components
+  if (red) color.red = red;
+  if (green) color.green = green;
+  if (blue) color.blue = blue;
+  return color;
+}
+
+function geometry(x, y, width, height) {
+  return {
+    size: {
+      width: { magnitude: width, unit: 'EMU' },
+      height: { magnitude: height, unit: 'EMU' }
+    },
+    transform: { scaleX: 1, scaleY: 1, translateX: x, translateY: y, unit: 'EMU' }
+  };
+}
+
+function shape(objectId, options = {}) {
+  const element = {
+    objectId,
+    shape: { shapeType: 'TEXT_BOX' }
+  };
+
+  if (options.bounds) Object.assign(element, geometry(...options.bounds));
+  if (options.autofit) element.shape.shapeProperties = { autofit: { autofitType: options.autofit } };
+
+  if (options.text) {
+    const content = `${options.text}\n`;
+    element.shape.text = {
+      textElements: [
+        { endIndex: content.length, paragraphMarker: { style: { direction: 'LEFT_TO_RIGHT' } } },
+        { endIndex: content.length, textRun: { content, style: options.style || {} } }
+      ]
+    };
+  }
+
+  return element;
+}
+
+function placeholder(objectId, type, options = {}) {
+  const element = shape(objectId, options);
+  element.shape.placeholder = { type };
+
+  if (options.index !== undefined) element.shape.placeholder.index = options.index;
+  if (options.parentObjectId) element.shape.placeholder.parentObjectId = options.parentObjectId;
+
+  return element;
+}
+
+// A plain text box, optionally with alt text (title/description)
+function textBox(objectId, bounds, options = {}) {
+  const element = shape(objectId, { ...options, bounds });
+  if (options.title) element.title = options.title;
+  if (options.description) element.description = options.description;
+  return element;
+}
+
+function textStyle(fontFamily, fontSize, themeColor) {
+  return {
+    fontFamily,
+    fontSize: { magnitude: fontSize, unit: 'PT' },
+    foregroundColor: { opaqueColor: { themeColor } }
+  };
+}
+
+function layout(objectId, name, displayName, pageElements) {
+  return {
+    objectId,
+    pageType: 'LAYOUT',
+    pageElements,
+    layoutProperties: { masterObjectId: 'm_master', name, displayName },
+    pageProperties: { pageBackgroundFill: { propertyState: 'INHERIT' } }
+  };
+}
+
+/**
+ * Build an empty template presentation
+ * @param {string} presentationId - ID for the new presentation
+ * @param {string} title - Presentation title
+ * @returns {Object} Presentation in Slides API shape
+ */
+function buildTemplatePresentation(presentationId = DEFAULT_TEMPLATE_ID, title = 'Emulator Template') {
+  const master = {
+    objectId: 'm_master',
+    pageType: 'MASTER',
+    masterProperties: { displayName: 'Simple Light' },
+    pageProperties: {
+      pageBackgroundFill: { solidFill: { color: { themeColor: 'LIGHT1' }, alpha: 1 } },
+      colorScheme: {
+        colors: Object.keys(COLOR_SCHEME).map(type => ({ type, color: rgb(COLOR_SCHEME[type]) }))
+      }
+    },
+    pageElements: [
+      placeholder('m_title', 'TITLE', {
+        bounds: [311700, 445025, 8520600, 572700],
+        autofit: 'NONE',
+        text: 'Click to edit title',
+        style: textStyle('Arial', 28, 'DARK1')
+      }),
+      placeholder('m_body', 'BODY', {
+        bounds: [311700, 1152475, 8520600, 3416400],
+        autofit: 'NONE',
+        text: 'Click to edit text',
+        style: textStyle('Arial', 18, 'DARK2')
+      }),
+      placeholder('m_slide_number', 'SLIDE_NUMBER', {
+        bounds: [8472458, 4663217, 548700, 393600],
+        style: textStyle('Arial', 10, 'DARK2')
+      })
+    ]
+  };
+
+  const layouts = [
+    layout('l_title', 'TITLE', 'Title slide', [
+      placeholder('l_title_title', 'CENTERED_TITLE', {
+        parentObjectId: 'm_title',
+        bounds: [311708, 744575, 8520600, 2052600]
+      }),
+      placeholder('l_title_subtitle', 'SUBTITLE', {
+        bounds: [311700, 2834125, 8520600, 792600]
+      })
+    ]),
+    layout('l_section', 'SECTION_HEADER', 'Section header', [
+      placeholder('l_section_title', 'TITLE', {
+        parentObjectId: 'm_title',
+        bounds: [311700, 2150850, 8520600, 841800]
+      })
+    ]),
+    layout('l_title_body', 'TITLE_AND_BODY', 'Title and body', [
+      // Geometry inherited from the master
+      placeholder('l_title_body_title', 'TITLE', { parentObjectId: 'm_title' }),
+      placeholder('l_title_body_body', 'BODY', { parentObjectId: 'm_body' })
+    ]),
+    layout('l_two_columns', 'TITLE_AND_TWO_COLUMNS', 'Title and two columns', [
+      placeholder('l_two_columns_title', 'TITLE', { parentObjectId: 'm_title' }),
+      placeholder('l_two_columns_left', 'BODY', {
+        parentObjectId: 'm_body',
+        bounds: [311700, 1152475, 3999900, 3416400]
+      }),
+      placeholder('l_two_columns_right', 'BODY', {
+        index: 1,
+        parentObjectId: 'm_body',
+        bounds: [4832400, 1152475, 3999900, 3416400]
+      })
+    ]),
+    layout('l_title_only', 'TITLE_ONLY', 'Title only', [
+      placeholder('l_title_only_title', 'TITLE', { parentObjectId: 'm_title' })
+    ]),
+    layout('l_picture', 'CUSTOM', 'Title, body and picture', [
+      placeholder('l_picture_title', 'TITLE', { parentObjectId: 'm_title' }),
+      placeholder('l_picture_body', 'BODY', {
+        parentObjectId: 'm_body',
+        bounds: [311700, 1152475, 4123800, 3416400]
+      }),
+      placeholder('l_picture_image', 'PICTURE', {
+        bounds: [4626900, 1152475, 4205400, 3416400]
+      })
+    ]),
+    // Listed out of reading order, as editors often leave them
+    layout('l_gallery', 'CUSTOM', 'Gallery', [
+      placeholder('l_gallery_title', 'TITLE', { parentObjectId: 'm_title' }),
+      placeholder('l_gallery_center', 'PICTURE', {
+        bounds: [3202700, 1152475, 2738600, 3000000]
+      }),
+      placeholder('l_gallery_left', 'PICTURE', {
+        bounds: [311700, 1152475, 2738600, 3000000]
+      }),
+      placeholder('l_gallery_right', 'PICTURE', {
+        bounds: [6093700, 1152475, 2738600, 3000000]
+      })
+    ]),
+    layout('l_big_number', 'BIG_NUMBER', 'Big number', [
+      placeholder('l_big_number_title', 'TITLE', {
+        parentObjectId: 'm_title',
+        bounds: [311700, 1106125, 8520600, 1963500]
+      }),
+      placeholder('l_big_number_body', 'BODY', {
+        parentObjectId: 'm_body',
+        bounds: [311700, 3152225, 8520600, 1300800]
+      })
+    ]),
+    // Empty text boxes tagged as slots rather than native placeholders
+    layout('l_kpi', 'CUSTOM', 'KPI', [
+      placeholder('l_kpi_title', 'TITLE', { parentObjectId: 'm_title' }),
+      textBox('l_kpi_value', [311700, 1500000, 8520600, 1500000], { title: 'slot:kpi_value' }),
+      textBox('l_kpi_label', [311700, 3100000, 8520600, 600000], {
+        description: 'Label under the number. slot:kpi_label'
+      })
+    ]),
+    layout('l_blank', 'BLANK', 'Blank', [])
+  ];
+
+  // One sample slide, as most templates ship with
+  const sampleSlide = {
+    objectId: 's_sample',
+    pageType: 'SLIDE',
+    pageElements: [
+      placeholder('s_sample_title', 'CENTERED_TITLE', {
+        parentObjectId: 'l_title_title',
+        bounds: [311708, 744575, 8520600, 2052600],
+        text: 'Template title'
+      }),
+      placeholder('s_sample_subtitle', 'SUBTITLE', {
+        parentObjectId: 'l_title_subtitle',
+        bounds: [311700, 2834125, 8520600, 792600],
+        text: 'Replace this sample slide'
+      })
+    ],
+    slideProperties: {
+      layoutObjectId: 'l_title',
+      masterObjectId: 'm_master',
+      notesPage: {
+        objectId: 's_sample_notes',
+        pageType: 'NOTES',
+        notesProperties: { speakerNotesObjectId: 's_sample_speaker_notes' },
+        pageElements: [
+          placeholder('s_sample_speaker_notes', 'BODY', { index: 1, parentObjectId: 'n_notes_body' })
+        ]
+      }
+    }
+  };
+
+  // A hidden example slide designated as a template in its speaker notes
+  const quoteTemplate = {
+    objectId: 's_tpl_quote',
+    pageType: 'SLIDE',
+    pageElements: [
+      textBox('s_tpl_quote_text', [611700, 1000000, 7920600, 2000000], {
+        title: 'slot:quote',
+        text: '“{{quote}}”',
+        style: textStyle('Georgia', 32, 'DARK1')
+      }),
+      textBox('s_tpl_quote_author', [611700, 3200000, 7920600, 500000], {
+        title: 'slot:author',
+        text: '— {{author}}',
+        style: textStyle('Arial', 16, 'DARK2')
+      })
+    ],
+    slideProperties: {
+      layoutObjectId: 'l_blank',
+      masterObjectId: 'm_master',
+      isSkipped: true,
+      notesPage: {
+        objectId: 's_tpl_quote_notes',
+        pageType: 'NOTES',
+        notesProperties: { speakerNotesObjectId: 's_tpl_quote_speaker_notes' },
+        pageElements: [
+          placeholder('s_tpl_quote_speaker_notes', 'BODY', {
+            index: 1,
+            parentObjectId: 'n_notes_body',
+            text: 'template:quote'
+          })
+        ]
+      }
+    }
+  };
+
+  return {
+    presentationId,
+    title,
+    locale: 'en',
+    pageSize: {
+      width: { magnitude: PAGE_WIDTH, unit: 'EMU' },
+      height: { magnitude: PAGE_HEIGHT, unit: 'EMU' }
+    },
+    slides: [sampleSlide, quoteTemplate],
+    masters: [master],
+    layouts,
+    notesMaster: {
+      objectId: 'n_notes_master',
+      pageType: 'NOTES_MASTER',
+      pageElements: [
+        placeholder('n_notes_body', 'BODY', {
+          index: 1,
+          bounds: [685800, 4400550, 5486400, 4114800],
+          style: textStyle('Arial', 11, 'DARK1')
+        })
+      ]
+    }
+  };
+}
+
+/**
+ * Build one template per deckId found in examples/sample-inputs.json
+ * @param {string} samplePath - Path to the sample inputs file
+ * @returns {Array} Presentations in Slides API shape
+ */
+function loadSampleFixtures(samplePath = SAMPLE_INPUTS_PATH) {
+  const deckIds = new Set();
+
+  if (fs.existsSync(samplePath)) {
+    const samples = JSON.parse(fs.readFileSync(samplePath, 'utf8'));
+    Object.values(samples).forEach(sample => {
+      if (sample && sample.deckId) {
+        deckIds.add(sample.deckId);
+      }
+    });
+  }
+
+  deckIds.add(DEFAULT_TEMPLATE_ID);
+  return Array.from(deckIds).map(deckId => buildTemplatePresentation(deckId, `Emulator Template (${deckId})`));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  buildTemplatePresentation,
+  loadSampleFixtures
+};
@@ -0,0 +1,22 @@
+/**
+ * Standalone Slides API emulator
+ *
+ * Start with `npm run emulator`, then point the service at it:
+ *   SLIDES_API_BASE_URL=http://localhost:4000/v1 npm start
+ */
+
+const SlidesEmulator = require('./slides-emulator');
+const createEmulatorApp = require('./app');
+const { loadSampleFixtures } = require('./fixtures');
+
+const port = process.env.EMULATOR_PORT || 4000;
+
+const emulator = new SlidesEmulator({ presentations: loadSampleFixtures() });
+const app = createEmulatorApp(emulator);
+
+app.listen(port, () => {
+  console.log(`Slides API emulator running on port ${port}`);
+  console.log(`Loaded presentations: ${Array.from(emulator.documents.keys()).join(', ')}`);
+});
+
+module.exports = app;
@@ -0,0 +1,945 @@
+/**
+ * In-memory Google Slides API emulator
+ *
+ * Holds presentations in memory and implements presentations.get and
+ * presentations.batchUpdate closely enough to exercise SlidesClient and the
+ * external service offline. Batch updates are atomic, and invalid requests
+ * are rejected with the same error shape Google returns:
+ *   { error: { code: 400, message: 'Invalid requests[0].createSlide: ...', status: 'INVALID_ARGUMENT' } }
+ */
+
+const crypto = require('crypto');
+const TextModel = require('./text-model');
+
+const OBJECT_ID_PATTERN = /^[a-zA-Z0-9_][a-zA-Z0-9_\-:]{4,49}$/;
+
+class EmulatorError extends Error {
+  constructor(code, status, message) {
+    super(message);
+    this.name = 'EmulatorError';
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, status: this.status } };
+  }
+}
+
+function invalidArgument(message) {
+  return new EmulatorError(400, 'INVALID_ARGUMENT', message);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const EXPORT_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const THUMBNAIL_WIDTHS = { SMALL: 200, MEDIUM: 800, LARGE: 1600 };
+
+// Glyphs per nesting level of each bullet preset (deeper levels cycle)
+const BULLET_PRESETS = {
+  BULLET_DISC_CIRCLE_SQUARE: ['●', '○', '■'],
+  BULLET_DIAMONDX_ARROW3D_SQUARE: ['❖', '➢', '■'],
+  BULLET_CHECKBOX: ['❏'],
+  BULLET_ARROW_DIAMOND_DISC: ['➔', '◆', '●'],
+  BULLET_STAR_CIRCLE_SQUARE: ['★', '○', '■'],
+  BULLET_ARROW3D_CIRCLE_SQUARE: ['➢', '○', '■'],
+  BULLET_LEFTTRIANGLE_DIAMOND_DISC: ['◄', '◆', '●'],
+  BULLET_DIAMONDX_HOLLOWDIAMOND_SQUARE: ['❖', '◇', '■'],
+  BULLET_DIAMOND_CIRCLE_SQUARE: ['◆', '○', '■'],
+  NUMBERED_DIGIT_ALPHA_ROMAN: ['1.', 'a.', 'i.'],
+  NUMBERED_DIGIT_ALPHA_ROMAN_PARENS: ['1)', 'a)', 'i)'],
+  NUMBERED_DIGIT_NESTED: ['1.', '1.1.', '1.1.1.'],
+  NUMBERED_UPPERALPHA_ALPHA_ROMAN: ['A.', 'a.', 'i.'],
+  NUMBERED_UPPERROMAN_UPPERALPHA_DIGIT: ['I.', 'A.', '1.'],
+  NUMBERED_ZERODIGIT_ALPHA_ROMAN: ['01.', 'a.', 'i.']
+};
+
+/**
+ * Write a minimal PDF with one landscape page of text per slide
+ * @param {Array<Array<string>>} pages - Text lines per page
+ * @returns {Buffer} PDF bytes
+ */
+function buildPdf(pages) {
+  const escape = text => text.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?');
+  const pageIds = (pages.length ? pages : [[]]).map((lines, index) => {
+    const stream = ['BT', '/F1 18 Tf', '40 360 Td', '22 TL']
+      .concat(lines.map(line => `(${escape(line)}) '`), 'ET')
+      .join('\n');
+    return { index, stream };
+  });
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(page => `${4 + page.index * 2} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pageIds.forEach(page => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 720 405] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + page.index * 2} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(page.stream)} >>\nstream\n${page.stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+function generateObjectId() {
+  return `g${crypto.randomBytes(6).toString('hex')}`;
+}
+
+class SlidesEmulator {
+  /**
+   * @param {Object} options - Emulator options
+   * @param {Array} options.presentations - Presentations (API shape) to preload
+   */
+  constructor({ presentations = [] } = {}) {
+    this.documents = new Map();
+    this.faults = [];
+    presentations.forEach(presentation => this.loadPresentation(presentation));
+  }
+
+  /**
+   * Load (or replace) a presentation given in API shape
+   * @param {Object} presentation - Presentation resource
+   * @returns {Object} The stored presentation as returned by get
+   */
+  loadPresentation(presentation) {
+    if (!presentation.presentationId) {
+      throw invalidArgument('presentationId is required');
+    }
+
+    const document = { presentation: clone(presentation), texts: {} };
+    document.presentation.revisionId = document.presentation.revisionId || this.nextRevisionId();
+    this.forEachElement(document.presentation, element => {
+      if (element.shape) {
+        document.texts[element.objectId] = TextModel.fromShapeText(element.shape.text);
+        delete element.shape.text;
+      }
+    });
+
+    this.documents.set(presentation.presentationId, document);
+    return this.getPresentation(presentation.presentationId);
+  }
+
+  reset() {
+    this.documents.clear();
+    this.faults = [];
+  }
+
+  /**
+   * Make the next matching calls fail, e.g. to exercise retries
+   * @param {Object} fault - `{ status, times, retryAfter, message, method }`
+   */
+  injectFault({ status = 503, times = 1, retryAfter = null, message = 'The service is currently unavailable.', method = null } = {}) {
+    this.faults.push({ status, times, retryAfter, message, method });
+  }
+
+  /**
+   * Consume an injected fault for this call, if any
+   * @param {string} method - 'get' or 'batchUpdate'
+   * @returns {Object|null} Fault
+   */
+  takeFault(method) {
+    const fault = this.faults.find(f => f.times > 0 && (!f.method || f.method === method));
+    if (!fault) {
+      return null;
+    }
+    fault.times--;
+    this.faults = this.faults.filter(f => f.times > 0);
+    return fault;
+  }
+
+  /**
+   * presentations.get
+   * @param {string} presentationId - The presentation ID
+   * @returns {Object} Presentation resource
+   */
+  getPresentation(presentationId) {
+    const document = this.getDocument(presentationId);
+    return this.serialize(document);
+  }
+
+  /**
+   * presentations.pages.get
+   * @param {string} presentationId - The presentation ID
+   * @param {string} pageObjectId - The page ID
+   * @returns {Object} Page resource
+   */
+  getPage(presentationId, pageObjectId) {
+    const presentation = this.getPresentation(presentationId);
+    const found = this.findObject(presentation, pageObjectId);
+    if (!found || found.kind !== 'page') {
+      throw new EmulatorError(404, 'NOT_FOUND', `Page ${pageObjectId} not found.`);
+    }
+    return found.page;
+  }
+
+  /**
+   * presentations.batchUpdate
+   * @param {string} presentationId - The presentation ID
+   * @param {Object} body - `{ requests, writeControl }`
+   * @returns {Object} BatchUpdatePresentationResponse
+   */
+  batchUpdate(presentationId, body = {}) {
+    const document = this.getDocument(presentationId);
+    const requests = body.requests || [];
+
+    if (!Array.isArray(requests)) {
+      throw invalidArgument('Invalid JSON payload received. Invalid value at \'requests\'.');
+    }
+
+    const requiredRevisionId = body.writeControl?.requiredRevisionId;
+    if (requiredRevisionId && requiredRevisionId !== document.presentation.revisionId) {
+      throw new EmulatorError(
+        400,
+        'FAILED_PRECONDITION',
+        `The required revision ID (${requiredRevisionId}) does not match the latest revision of the presentation.`
+      );
+    }
+
+    // Work on a copy so a failing request leaves the presentation untouched
+    const working = clone(document);
+    const replies = requests.map((request, index) => this.applyRequest(working, request, index));
+
+    working.presentation.revisionId = this.nextRevisionId();
+    this.documents.set(presentationId, working);
+
+    return {
+      presentationId,
+      replies,
+      writeControl: { requiredRevisionId: working.presentation.revisionId }
+    };
+  }
+
+  /**
+   * Drive files.copy for presentations. Object IDs are kept, as in Drive.
+   * @param {string} fileId - Presentation to copy
+   * @param {Object} metadata - `{ name, parents }`
+   * @returns {Object} Drive file resource
+   */
+  copyFile(fileId, { name, parents } = {}) {
+    const source = this.documents.get(fileId);
+    if (!source) {
+      throw new EmulatorError(404, 'NOT_FOUND', `File not found: ${fileId}.`);
+    }
+
+    const copy = clone(source);
+    const presentationId = crypto.randomBytes(22).toString('base64').replace(/[+/=]/g, '').slice(0, 28);
+    copy.presentation.presentationId = presentationId;
+    copy.presentation.title = name || `Copy of ${source.presentation.title}`;
+    copy.presentation.revisionId = this.nextRevisionId();
+    copy.parents = parents || source.parents || ['root'];
+
+    this.documents.set(presentationId, copy);
+    return {
+      kind: 'drive#file',
+      id: presentationId,
+      name: copy.presentation.title,
+      mimeType: 'application/vnd.google-apps.presentation',
+      parents: copy.parents
+    };
+  }
+
+  /**
+   * Drive files.export. The emulator renders nothing: PDF exports are a
+   * minimal PDF listing each slide's text, PPTX exports a plain-text stand-in.
+   * @param {string} fileId - Presentation to export
+   * @param {string} mimeType - Target MIME type
+   * @returns {Buffer} Exported bytes
+   */
+  exportFile(fileId, mimeType) {
+    const document = this.documents.get(fileId);
+    if (!document) {
+      throw new EmulatorError(404, 'NOT_FOUND', `File not found: ${fileId}.`);
+    }
+    if (!EXPORT_MIME_TYPES.includes(mimeType)) {
+      throw invalidArgument('The requested conversion is not supported.');
+    }
+
+    const slides = (document.presentation.slides || []).map(slide => this.slideText(document, slide));
+    if (mimeType === 'application/pdf') {
+      return buildPdf(slides);
+    }
+    const summary = slides.map((lines, index) => [`Slide ${index + 1}`, ...lines].join('\n')).join('\n\n');
+    return Buffer.from(`Emulator PPTX export of ${document.presentation.title}\n\n${summary}\n`);
+  }
+
+  /**
+   * pages.getThumbnail, without the contentUrl (the HTTP layer owns URLs)
+   * @param {string} presentationId - The presentation ID
+   * @param {string} pageObjectId - The page ID
+   * @param {string} size - 'SMALL', 'MEDIUM' or 'LARGE'
+   * @returns {Object} `{ width, height }`
+   */
+  getThumbnail(presentationId, pageObjectId, size = 'LARGE') {
+    const { presentation } = this.getDocument(presentationId);
+    const found = this.findObject(presentation, pageObjectId);
+    if (!found || found.kind !== 'page') {
+      throw invalidArgument(`Invalid requests: the page (${pageObjectId}) could not be found.`);
+    }
+    if (!THUMBNAIL_WIDTHS[size]) {
+      throw invalidArgument(`Invalid value at 'thumbnail_properties.thumbnail_size' (${size})`);
+    }
+
+    const width = THUMBNAIL_WIDTHS[size];
+    const { width: pageWidth, height: pageHeight } = presentation.pageSize;
+    return { width, height: Math.round(width * pageHeight.magnitude / pageWidth.magnitude) };
+  }
+
+  applyRequest(document, request, index) {
+    const kinds = Object.keys(request || {});
+    if (kinds.length !== 1) {
+      throw invalidArgument(
+        `Invalid requests[${index}]: exactly one request kind must be set, found ${kinds.length}.`
+      );
+    }
+
+    const kind = kinds[0];
+    const handler = SlidesEmulator.HANDLERS[kind];
+    if (!handler) {
+      throw invalidArgument(
+        `Invalid JSON payload received. Unknown name "${kind}" at 'requests[${index}]': Cannot find field.`
+      );
+    }
+
+    const context = {
+      document,
+      kind,
+      fail: message => invalidArgument(`Invalid requests[${index}].${kind}: ${message}`)
+    };
+    return this[handler](context, request[kind] || {});
+  }
+
+  // Request handlers
+
+  createSlide({ document, fail }, params) {
+    const presentation = document.presentation;
+    const slideId = this.claimObjectId(document, params.objectId, fail);
+    const layout = this.resolveLayout(presentation, params.slideLayoutReference, fail);
+    const slides = presentation.slides = presentation.slides || [];
+
+    if (params.insertionIndex !== undefined &&
+        (params.insertionIndex < 0 || params.insertionIndex > slides.length)) {
+      throw fail(`The insertion index (${params.insertionIndex}) is out of range. It should be between 0 and ${slides.length}.`);
+    }
+
+    const layoutPlaceholders = (layout.pageElements || []).filter(element => element.shape?.placeholder);
+    const mappedIds = new Map();
+
+    (params.placeholderIdMappings || []).forEach(mapping => {
+      const target = this.findLayoutPlaceholder(layoutPlaceholders, mapping, layout, fail);
+      if (mappedIds.has(target.objectId)) {
+        throw fail(`The layout placeholder (${target.objectId}) is mapped more than once.`);
+      }
+      const objectId = this.claimObjectId(document, mapping.objectId, fail);
+      if (objectId === slideId || Array.from(mappedIds.values()).includes(objectId)) {
+        throw fail(`The object ID (${objectId}) should be unique among all pages and page elements.`);
+      }
+      mappedIds.set(target.objectId, objectId);
+    });
+
+    const pageElements = layoutPlaceholders.map(element => {
+      const objectId = mappedIds.get(element.objectId) || this.claimObjectId(document, null, fail);
+      const copy = {
+        objectId,
+        shape: {
+          shapeType: element.shape.shapeType || 'TEXT_BOX',
+          placeholder: {
+            type: element.shape.placeholder.type,
+            parentObjectId: element.objectId
+          }
+        }
+      };
+      if (element.shape.placeholder.index !== undefined) {
+        copy.shape.placeholder.index = element.shape.placeholder.index;
+      }
+      if (element.size) copy.size = clone(element.size);
+      if (element.transform) copy.transform = clone(element.transform);
+      document.texts[objectId] = TextModel.create();
+      return copy;
+    });
+
+    const slide = {
+      objectId: slideId,
+      pageType: 'SLIDE',
+      pageElements,
+      slideProperties: {
+        layoutObjectId: layout.objectId,
+        masterObjectId: layout.layoutProperties?.masterObjectId,
+        notesPage: this.createNotesPage(document)
+      }
+    };
+
+    const insertionIndex = params.insertionIndex !== undefined ? params.insertionIndex : slides.length;
+    slides.splice(insertionIndex, 0, slide);
+
+    return { createSlide: { objectId: slideId } };
+  }
+
+  insertText({ document, fail }, params) {
+    const model = this.getTextTarget(document, params, fail);
+    const text = params.text;
+    const insertionIndex = params.insertionIndex || 0;
+
+    if (typeof text !== 'string') {
+      throw fail('The text to insert must be provided.');
+    }
+    if (insertionIndex < 0 || insertionIndex > model.content.length) {
+      throw fail(
+        `The insertion index (${insertionIndex}) should not be greater than the length of the text (${model.content.length}).`
+      );
+    }
+
+    TextModel.insert(model, insertionIndex, text);
+    return {};
+  }
+
+  deleteText({ document, fail }, params) {
+    const model = this.getTextTarget(document, params, fail);
+    const { start, end } = this.resolveRange(model, params.textRange, fail);
+
+    TextModel.remove(model, start, end);
+    return {};
+  }
+
+  replaceAllText({ document, fail }, params) {
+    const search = params.containsText?.text;
+    if (!search) {
+      throw fail('The text to search for must not be empty.');
+    }
+
+    const matchCase = Boolean(params.containsText.matchCase);
+    const needle = matchCase ? search : search.toLowerCase();
+    const replacement = params.replaceText || '';
+    const pageIds = params.pageObjectIds || [];
+    let occurrencesChanged = 0;
+
+    // Slides and their notes pages; masters and layouts are left alone
+    this.pages(document.presentation)
+      .filter(({ page }) => page.pageType === 'SLIDE' || page.pageType === 'NOTES')
+      .filter(({ page }) => pageIds.length === 0 || pageIds.includes(page.objectId))
+      .forEach(({ page }) => {
+        const visit = elements => (elements || []).forEach(element => {
+          visit(element.elementGroup?.children);
+          const model = document.texts[element.objectId];
+          if (!element.shape || !model) {
+            return;
+          }
+          let index = (matchCase ? model.content : model.content.toLowerCase()).indexOf(needle);
+          while (index !== -1) {
+            TextModel.remove(model, index, index + search.length);
+            TextModel.insert(model, index, replacement);
+            occurrencesChanged++;
+            const from = index + replacement.length;
+            index = (matchCase ? model.content : model.content.toLowerCase()).indexOf(needle, from);
+          }
+        });
+        visit(page.pageElements);
+      });
+
+    return { replaceAllText: { occurrencesChanged } };
+  }
+
+  updateSlideProperties({ document, fail }, params) {
+    const found = this.findObject(document.presentation, params.objectId);
+    if (!found || found.kind !== 'page' || found.page.pageType !== 'SLIDE') {
+      throw fail(`The slide (${params.objectId}) could not be found.`);
+    }
+    const fields = this.parseFields(params.fields, ['isSkipped'], fail);
+
+    if (fields.includes('isSkipped') || fields.includes('*')) {
+      found.page.slideProperties.isSkipped = Boolean(params.slideProperties?.isSkipped);
+    }
+    return {};
+  }
+
+  replaceImage({ document, fail }, params) {
+    const found = this.findObject(document.presentation, params.imageObjectId);
+    if (!found || found.kind !== 'element') {
+      throw fail(`The object (${params.imageObjectId}) could not be found.`);
+    }
+    if (!this.isValidUrl(params.url)) {
+      throw fail(`The provided image URL (${params.url}) is invalid.`);
+    }
+
+    const element = found.element;
+    if (element.image) {
+      element.image.contentUrl = params.url;
+      element.image.sourceUrl = params.url;
+    } else if (element.shape?.placeholder?.type === 'PICTURE') {
+      // A filled picture placeholder becomes an image inheriting the placeholder
+      element.image = {
+        contentUrl: params.url,
+        sourceUrl: params.url,
+        placeholder: element.shape.placeholder
+      };
+      delete element.shape;
+      delete document.texts[element.objectId];
+    } else {
+      throw fail(`The object (${params.imageObjectId}) is not an image.`);
+    }
+
+    return {};
+  }
+
+  createShape({ document, fail }, params) {
+    if (!params.shapeType) {
+      throw fail('The shape type must be specified.');
+    }
+    const { page, geometry } = this.resolveElementProperties(document, params.elementProperties, fail);
+    const objectId = this.claimObjectId(document, params.objectId, fail);
+
+    page.pageElements = page.pageElements || [];
+    page.pageElements.push({ objectId, ...geometry, shape: { shapeType: params.shapeType } });
+    document.texts[objectId] = TextModel.create();
+    return { createShape: { objectId } };
+  }
+
+  createImage({ document, fail }, params) {
+    if (!this.isValidUrl(params.url)) {
+      throw fail(`The provided image URL (${params.url}) is invalid.`);
+    }
+    const { page, geometry } = this.resolveElementProperties(document, params.elementProperties, fail);
+    const objectId = this.claimObjectId(document, params.objectId, fail);
+
+    page.pageElements = page.pageElements || [];
+    page.pageElements.push({ objectId, ...geometry, image: { contentUrl: params.url, sourceUrl: params.url } });
+    return { createImage: { objectId } };
+  }
+
+  deleteObject({ document, fail }, params) {
+    const found = this.findObject(document.presentation, params.objectId);
+    if (!found) {
+      throw fail(`The object (${params.objectId}) could not be found.`);
+    }
+    if (found.kind === 'page' && found.page.pageType !== 'SLIDE') {
+      throw fail(`The object (${params.objectId}) cannot be deleted.`);
+    }
+
+    found.container.splice(found.container.indexOf(found.kind === 'page' ? found.page : found.element), 1);
+    return {};
+  }
+
+  duplicateObject({ document, fail }, params) {
+    const found = this.findObject(document.presentation, params.objectId);
+    if (!found || (found.kind === 'page' && found.page.pageType !== 'SLIDE')) {
+      throw fail(`The object (${params.objectId}) could not be found or cannot be duplicated.`);
+    }
+
+    const original = found.kind === 'page' ? found.page : found.element;
+    const copy = clone(original);
+    const requested = params.objectIds || {};
+    const usedIds = new Set();
+    const idMap = new Map();
+
+    // Every object in the copy gets the caller's ID for it, or a fresh one
+    const remap = object => {
+      const objectId = requested[object.objectId] !== undefined
+        ? this.claimObjectId(document, requested[object.objectId], fail)
+        : this.claimObjectId(document, null, fail);
+      if (usedIds.has(objectId)) {
+        throw fail(`The object ID (${objectId}) should be unique among all pages and page elements.`);
+      }
+      usedIds.add(objectId);
+      idMap.set(object.objectId, objectId);
+      object.objectId = objectId;
+    };
+    const remapElements = elements => (elements || []).forEach(element => {
+      remap(element);
+      remapElements(element.elementGroup?.children);
+    });
+
+    remap(copy);
+    if (found.kind === 'page') {
+      remapElements(copy.pageElements);
+      const notesPage = copy.slideProperties?.notesPage;
+      if (notesPage) {
+        remap(notesPage);
+        remapElements(notesPage.pageElements);
+        notesPage.notesProperties.speakerNotesObjectId = idMap.get(notesPage.notesProperties.speakerNotesObjectId);
+      }
+    } else {
+      remapElements(copy.elementGroup?.children);
+    }
+
+    const unknown = Object.keys(requested).filter(objectId => !idMap.has(objectId));
+    if (unknown.length > 0) {
+      throw fail(`The object (${unknown[0]}) is not part of the duplicated object (${params.objectId}).`);
+    }
+
+    idMap.forEach((newId, oldId) => {
+      if (document.texts[oldId]) {
+        document.texts[newId] = clone(document.texts[oldId]);
+      }
+    });
+
+    // The duplicate is placed right after the original
+    found.container.splice(found.container.indexOf(original) + 1, 0, copy);
+    return { duplicateObject: { objectId: copy.objectId } };
+  }
+
+  updateSlidesPosition({ document, fail }, params) {
+    const slides = document.presentation.slides || [];
+    const slideIds = params.slideObjectIds || [];
+    const insertionIndex = params.insertionIndex || 0;
+
+    if (slideIds.length === 0) {
+      throw fail('At least one slide must be specified.');
+    }
+    if (insertionIndex < 0 || insertionIndex > slides.length) {
+      throw fail(`The insertion index (${insertionIndex}) is out of range. It should be between 0 and ${slides.length}.`);
+    }
+
+    const positions = slideIds.map(slideId => {
+      const position = slides.findIndex(slide => slide.objectId === slideId);
+      if (position === -1) {
+        throw fail(`The slide (${slideId}) could not be found.`);
+      }
+      return position;
+    });
+    if (positions.some((position, index) => index > 0 && position <= positions[index - 1])) {
+      throw fail('The slides to move must be unique and in existing presentation order.');
+    }
+
+    // insertionIndex refers to the arrangement before the move
+    const moving = positions.map(position => slides[position]);
+    const target = slides.slice(0, insertionIndex).filter(slide => !moving.includes(slide)).length;
+    const remaining = slides.filter(slide => !moving.includes(slide));
+    remaining.splice(target, 0, ...moving);
+    slides.splice(0, slides.length, ...remaining);
+    return {};
+  }
+
+  /**
+   * Turn the paragraphs overlapping the range into a new list. Leading tabs
+   * set each paragraph's nesting level and are removed, as in the API.
+   */
+  createParagraphBullets({ document, fail }, params) {
+    const model = this.getTextTarget(document, params, fail);
+    const preset = params.bulletPreset || 'BULLET_DISC_CIRCLE_SQUARE';
+    if (!BULLET_PRESETS[preset]) {
+      throw fail(`Invalid value at 'bullet_preset' (${preset}).`);
+    }
+    const { start, end } = this.resolveRange(model, params.textRange, fail);
+    const listId = `kix.${generateObjectId()}`;
+
+    // Last paragraph first, so removing tabs does not shift the ones still to do
+    TextModel.paragraphs(model)
+      .filter(paragraph => paragraph.start < Math.max(end, start + 1) && paragraph.end > start)
+      .reverse()
+      .forEach(paragraph => {
+        const tabs = model.content.slice(paragraph.start, paragraph.end).match(/^\t*/)[0].length;
+        TextModel.remove(model, paragraph.start, paragraph.start + tabs);
+        const paragraphEnd = Math.min(paragraph.end - tabs, model.content.length);
+        for (let i = paragraph.start; i < paragraphEnd; i++) {
+          model.bullets[i] = { listId, nestingLevel: tabs };
+        }
+      });
+
+    model.lists[listId] = { listId, glyphs: BULLET_PRESETS[preset] };
+    return {};
+  }
+
+  updateTextStyle({ document, fail }, params) {
+    const model = this.getTextTarget(document, params, fail);
+    const fields = this.parseFields(params.fields, TextModel.TEXT_STYLE_FIELDS, fail);
+    const { start, end } = this.resolveRange(model, params.textRange, fail);
+
+    TextModel.applyStyle(model, start, end, params.style || {}, fields);
+    return {};
+  }
+
+  // Helpers
+
+  getDocument(presentationId) {
+    const document = this.documents.get(presentationId);
+    if (!document) {
+      throw new EmulatorError(404, 'NOT_FOUND', 'Requested entity was not found.');
+    }
+    return document;
+  }
+
+  serialize(document) {
+    const presentation = clone(document.presentation);
+    this.forEachElement(presentation, element => {
+      if (element.shape) {
+        const text = TextModel.toShapeText(document.texts[element.objectId]);
+        if (text) {
+          element.shape.text = text;
+        }
+      }
+    });
+    return presentation;
+  }
+
+  slideText(document, slide) {
+    const lines = [];
+    (slide.pageElements || []).forEach(element => {
+      const model = document.texts[element.objectId];
+      if (model && model.content.trim()) {
+        lines.push(...model.content.split('\n').filter(line => line.trim()));
+      }
+    });
+    return lines;
+  }
+
+  nextRevisionId() {
+    return crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '');
+  }
+
+  /**
+   * Every page in the presentation, including notes pages
+   */
+  pages(presentation) {
+    const pages = [];
+    (presentation.masters || []).forEach(page => pages.push({ page, container: presentation.masters }));
+    (presentation.layouts || []).forEach(page => pages.push({ page, container: presentation.layouts }));
+    (presentation.slides || []).forEach(page => {
+      pages.push({ page, container: presentation.slides });
+      if (page.slideProperties?.notesPage) {
+        pages.push({ page: page.slideProperties.notesPage, container: null });
+      }
+    });
+    if (presentation.notesMaster) {
+      pages.push({ page: presentation.notesMaster, container: null });
+    }
+    return pages;
+  }
+
+  forEachElement(presentation, callback) {
+    const visit = (elements, page) => {
+      (elements || []).forEach(element => {
+        callback(element, page, elements);
+        if (element.elementGroup) {
+          visit(element.elementGroup.children, page);
+        }
+      });
+    };
+    this.pages(presentation).forEach(({ page }) => visit(page.pageElements, page));
+  }
+
+  findObject(presentation, objectId) {
+    let found = null;
+    this.pages(presentation).forEach(({ page, container }) => {
+      if (!found && page.objectId === objectId) {
+        found = { kind: 'page', page, container };
+      }
+    });
+    if (!found) {
+      this.forEachElement(presentation, (element, page, container) => {
+        if (!found && element.objectId === objectId) {
+          found = { kind: 'element', element, page, container };
+        }
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Validate a caller-supplied object ID (or generate one) and make sure it is unused
+   */
+  claimObjectId(document, objectId, fail) {
+    if (objectId === undefined || objectId === null || objectId === '') {
+      let generated;
+      do {
+        generated = generateObjectId();
+      } while (this.findObject(document.presentation, generated));
+      return generated;
+    }
+    if (!OBJECT_ID_PATTERN.test(objectId)) {
+      throw fail(
+        `The object ID (${objectId}) should start with a word character [a-zA-Z0-9_] and then be followed by any number of the following characters [a-zA-Z0-9_-:]. Its length should be between 5 and 50.`
+      );
+    }
+    if (this.findObject(document.presentation, objectId)) {
+      throw fail(`The object ID (${objectId}) should be unique among all pages and page elements.`);
+    }
+    return objectId;
+  }
+
+  resolveLayout(presentation, reference, fail) {
+    const layouts = presentation.layouts || [];
+    if (!reference) {
+      // Without a reference Google uses the layout of the preceding slide; default to the first layout
+      if (layouts.length === 0) {
+        throw fail('The presentation has no layouts.');
+      }
+      return layouts[0];
+    }
+    if (reference.layoutId) {
+      const layout = layouts.find(l => l.objectId === reference.layoutId);
+      if (!layout) {
+        throw fail(`The layout (${reference.layoutId}) could not be found.`);
+      }
+      return layout;
+    }
+    if (reference.predefinedLayout) {
+      const layout = layouts.find(l => l.layoutProperties?.name === reference.predefinedLayout);
+      if (!layout) {
+        throw fail(`The predefined layout (${reference.predefinedLayout}) is not present in the current master.`);
+      }
+      return layout;
+    }
+    throw fail('The slide layout reference must specify a layoutId or predefinedLayout.');
+  }
+
+  /**
+   * Target slide and geometry of a new page element
+   */
+  resolveElementProperties(document, elementProperties = {}, fail) {
+    const found = this.findObject(document.presentation, elementProperties.pageObjectId);
+    if (!found || found.kind !== 'page' || found.page.pageType !== 'SLIDE') {
+      throw fail(`The page (${elementProperties.pageObjectId}) could not be found.`);
+    }
+
+    const geometry = {};
+    if (elementProperties.size) geometry.size = clone(elementProperties.size);
+    if (elementProperties.transform) geometry.transform = clone(elementProperties.transform);
+    return { page: found.page, geometry };
+  }
+
+  findLayoutPlaceholder(placeholders, mapping, layout, fail) {
+    if (mapping.layoutPlaceholderObjectId) {
+      const match = placeholders.find(p => p.objectId === mapping.layoutPlaceholderObjectId);
+      if (!match) {
+        throw fail(
+          `The layout placeholder object (${mapping.layoutPlaceholderObjectId}) could not be found on layout (${layout.objectId}).`
+        );
+      }
+      return match;
+    }
+
+    const type = mapping.layoutPlaceholder?.type;
+    const index = mapping.layoutPlaceholder?.index || 0;
+    const match = placeholders.find(p =>
+      p.shape.placeholder.type === type && (p.shape.placeholder.index || 0) === index
+    );
+    if (!match) {
+      throw fail(`The placeholder (type: ${type}, index: ${index}) could not be found on layout (${layout.objectId}).`);
+    }
+    return match;
+  }
+
+  createNotesPage(document) {
+    const presentation = document.presentation;
+    const notesId = this.claimObjectId(document, null, null);
+    const speakerNotesId = this.claimObjectId(document, null, null);
+    const notesBody = (presentation.notesMaster?.pageElements || [])
+      .find(element => element.shape?.placeholder?.type === 'BODY');
+
+    document.texts[speakerNotesId] = TextModel.create();
+    return {
+      objectId: notesId,
+      pageType: 'NOTES',
+      notesProperties: { speakerNotesObjectId: speakerNotesId },
+      pageElements: [{
+        objectId: speakerNotesId,
+        shape: {
+          shapeType: 'TEXT_BOX',
+          placeholder: {
+            type: 'BODY',
+            index: 1,
+            ...(notesBody ? { parentObjectId: notesBody.objectId } : {})
+          }
+        }
+      }]
+    };
+  }
+
+  getTextTarget(document, params, fail) {
+    const found = this.findObject(document.presentation, params.objectId);
+    if (!found || found.kind !== 'element') {
+      throw fail(`The object (${params.objectId}) could not be found.`);
+    }
+    if (params.cellLocation || found.element.table) {
+      throw fail('Table cells are not supported by the emulator.');
+    }
+    if (!found.element.shape) {
+      throw fail(`The object (${params.objectId}) does not allow text editing.`);
+    }
+    document.texts[params.objectId] = document.texts[params.objectId] || TextModel.create();
+    return document.texts[params.objectId];
+  }
+
+  parseFields(fields, allowed, fail) {
+    if (!fields || !String(fields).trim()) {
+      throw fail('At least one field must be listed in \'fields\'.');
+    }
+    const list = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+    list.forEach(field => {
+      if (field !== '*' && !allowed.includes(field)) {
+        throw fail(`Invalid field mask: '${field}' is not a valid field.`);
+      }
+    });
+    return list;
+  }
+
+  resolveRange(model, textRange = { type: 'ALL' }, fail) {
+    const length = model.content.length;
+    const type = textRange.type || 'ALL';
+
+    if (type === 'ALL') {
+      return { start: 0, end: length };
+    }
+    if (type === 'FROM_START_INDEX') {
+      const start = textRange.startIndex || 0;
+      if (start > length) {
+        throw fail(`The start index (${start}) should not be greater than the length of the text (${length}).`);
+      }
+      return { start, end: length };
+    }
+    if (type === 'FIXED_RANGE') {
+      const start = textRange.startIndex || 0;
+      const end = textRange.endIndex;
+      if (end === undefined || start > end || end > length) {
+        throw fail(`The text range [${start}, ${end}) is out of bounds for text of length ${length}.`);
+      }
+      return { start, end };
+    }
+    throw fail(`Invalid text range type: ${type}.`);
+  }
+
+  isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Request kind -> handler method
+SlidesEmulator.HANDLERS = {
+  createSlide: 'createSlide',
+  insertText: 'insertText',
+  replaceImage: 'replaceImage',
+  deleteText: 'deleteText',
+  replaceAllText: 'replaceAllText',
+  updateSlideProperties: 'updateSlideProperties',
+  createShape: 'createShape',
+  createImage: 'createImage',
+  deleteObject: 'deleteObject',
+  duplicateObject: 'duplicateObject',
+  updateSlidesPosition: 'updateSlidesPosition',
+  updateTextStyle: 'updateTextStyle',
+  createParagraphBullets: 'createParagraphBullets'
+};
+
+SlidesEmulator.EmulatorError = EmulatorError;
+
+module.exports = SlidesEmulator;
@@ -0,0 +1,179 @@
+/**
+ * Text storage for the Slides API emulator
+ *
+ * Shape text is kept as plain JSON (so whole presentations can be cloned for
+ * atomic batch updates) and converted to and from the API's textElements.
+ *
+ * Model: { content, styles: [per-char style], bullets: [per-char bullet|null], lists }
+ * `content` never includes the trailing newline the API appends to every text.
+ */
+
+const TEXT_STYLE_FIELDS = [
+  'bold', 'italic', 'underline', 'strikethrough', 'smallCaps',
+  'fontFamily', 'fontSize', 'foregroundColor', 'backgroundColor',
+  'link', 'baselineOffset', 'weightedFontFamily'
+];
+
+function create() {
+  return { content: '', styles: [], bullets: [], lists: {} };
+}
+
+/**
+ * Build a model from an API `text` object (used when loading fixtures)
+ * @param {Object} text - TextContent from the Slides API
+ * @returns {Object} Text model
+ */
+function fromShapeText(text) {
+  const model = create();
+  if (!text || !text.textElements) {
+    return model;
+  }
+
+  let bullet = null;
+  text.textElements.forEach(element => {
+    if (element.paragraphMarker) {
+      bullet = element.paragraphMarker.bullet
+        ? { listId: element.paragraphMarker.bullet.listId, nestingLevel: element.paragraphMarker.bullet.nestingLevel || 0 }
+        : null;
+    }
+    if (element.textRun) {
+      const content = element.textRun.content || '';
+      model.content += content;
+      for (let i = 0; i < content.length; i++) {
+        model.styles.push({ ...(element.textRun.style || {}) });
+        model.bullets.push(bullet);
+      }
+    }
+  });
+
+  // Drop the implicit trailing newline
+  if (model.content.endsWith('\n')) {
+    model.content = model.content.slice(0, -1);
+    model.styles.pop();
+    model.bullets.pop();
+  }
+  model.lists = JSON.parse(JSON.stringify(text.lists || {}));
+  return model;
+}
+
+/**
+ * Insert text; new characters inherit the style of the preceding character
+ * and the bullet of the paragraph they land in.
+ */
+function insert(model, index, text) {
+  const inheritFrom = index > 0 ? index - 1 : 0;
+  const style = model.styles[inheritFrom] ? { ...model.styles[inheritFrom] } : {};
+  const bullet = paragraphBulletAt(model, index);
+
+  model.content = model.content.slice(0, index) + text + model.content.slice(index);
+  model.styles.splice(index, 0, ...Array.from(text, () => ({ ...style })));
+  model.bullets.splice(index, 0, ...Array.from(text, () => bullet));
+}
+
+function remove(model, start, end) {
+  model.content = model.content.slice(0, start) + model.content.slice(end);
+  model.styles.splice(start, end - start);
+  model.bullets.splice(start, end - start);
+}
+
+/**
+ * Apply a text style to [start, end) following field-mask semantics:
+ * listed fields missing from `style` are reset.
+ */
+function applyStyle(model, start, end, style, fields) {
+  for (let i = start; i < end; i++) {
+    if (fields.includes('*')) {
+      model.styles[i] = { ...style };
+      continue;
+    }
+    fields.forEach(field => {
+      if (style[field] !== undefined) {
+        model.styles[i][field] = style[field];
+      } else {
+        delete model.styles[i][field];
+      }
+    });
+  }
+}
+
+function paragraphBulletAt(model, index) {
+  const start = model.content.lastIndexOf('\n', index - 1) + 1;
+  return model.bullets[start] !== undefined ? model.bullets[start] : (model.bullets[index - 1] || null);
+}
+
+/**
+ * Paragraph ranges, each including its terminating newline
+ * @returns {Array<{start: number, end: number}>}
+ */
+function paragraphs(model) {
+  const ranges = [];
+  const full = model.content + '\n';
+  let start = 0;
+  for (let i = 0; i < full.length; i++) {
+    if (full[i] === '\n') {
+      ranges.push({ start, end: i + 1 });
+      start = i + 1;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Convert to the API's TextContent representation
+ * @returns {Object|undefined} TextContent, or undefined for empty text
+ */
+function toShapeText(model) {
+  if (!model || model.content.length === 0) {
+    return undefined;
+  }
+
+  const full = model.content + '\n';
+  const styles = model.styles.concat([model.styles[model.styles.length - 1] || {}]);
+  const textElements = [];
+
+  paragraphs(model).forEach(({ start, end }) => {
+    const marker = { style: { direction: 'LEFT_TO_RIGHT' } };
+    const bullet = model.bullets[start];
+    if (bullet) {
+      marker.bullet = { listId: bullet.listId };
+      if (bullet.nestingLevel) {
+        marker.bullet.nestingLevel = bullet.nestingLevel;
+      }
+      const glyphs = model.lists[bullet.listId]?.glyphs || ['●'];
+      marker.bullet.glyph = glyphs[(bullet.nestingLevel || 0) % glyphs.length];
+    }
+    textElements.push(withIndices(start, end, { paragraphMarker: marker }));
+
+    let runStart = start;
+    for (let i = start + 1; i <= end; i++) {
+      if (i === end || JSON.stringify(styles[i]) !== JSON.stringify(styles[runStart])) {
+        textElements.push(withIndices(runStart, i, {
+          textRun: { content: full.slice(runStart, i), style: { ...styles[runStart] } }
+        }));
+        runStart = i;
+      }
+    }
+  });
+
+  const text = { textElements };
+  if (Object.keys(model.lists).length > 0) {
+    text.lists = JSON.parse(JSON.stringify(model.lists));
+  }
+  return text;
+}
+
+// The API omits zero-valued indices
+function withIndices(start, end, element) {
+  return start === 0 ? { endIndex: end, ...element } : { startIndex: start, endIndex: end, ...element };
+}
+
+module.exports = {
+  TEXT_STYLE_FIELDS,
+  create,
+  fromShapeText,
+  insert,
+  remove,
+  applyStyle,
+  paragraphs,
+  toShapeText
+};
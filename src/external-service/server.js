@@ -7,6 +7,11 @@
  * Deploy this service independently and call from n8n HTTP Request nodes.
  */
 
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
 const express = require('express');
 const { google } = require('googleapis');
 const cors = require('cors');
@@ -19,6 +24,92 @@ const port = process.env.PORT || 3000;
 const SlidesClient = require('../core/slides-client');
 const LayoutAnalyzer = require('../core/layout-analyzer');
 const ContentMatcher = require('../core/content-matcher');
+const AuthHandler = require('../core/auth-handler');
+const LayoutCache = require('../core/layout-cache');
+const PreferenceStore = require('../core/preference-store');
+const MarkdownText = require('../core/markdown-text');
+const DeckPlanner = require('../core/deck-planner');
+const SlideReader = require('../core/slide-reader');
+
+// Default credentials let the service run unattended; callers may still
+// send their own accessToken, which takes precedence.
+const defaultCredentials = AuthHandler.fromEnv(process.env, {
+  google,
+  readFile: file => fs.readFileSync(file, 'utf8')
+});
+const CREDENTIALS_HINT = 'accessToken (or an X-API-Key for the server-side default credentials)';
+
+// Only callers holding one of these keys may use the default credentials,
+// and they may impersonate only the listed users
+const serviceApiKeys = parseList(process.env.SERVICE_API_KEYS);
+const allowedImpersonateSubjects = parseList(process.env.ALLOWED_IMPERSONATE_SUBJECTS).map(subject => subject.toLowerCase());
+if (defaultCredentials && serviceApiKeys.length === 0) {
+  console.warn('Default credentials are configured but SERVICE_API_KEYS is not set; requests must send their own accessToken');
+}
+
+// Extracted layouts per presentation, shared by all routes
+const layoutCache = new LayoutCache({
+  analyze: presentation => {
+    const layouts = LayoutAnalyzer.extractLayouts(presentation);
+    return {
+      layouts,
+      categorized: LayoutAnalyzer.categorizeLayouts(layouts),
+      templateSlides: LayoutAnalyzer.extractTemplateSlides(presentation),
+      theme: LayoutAnalyzer.extractTheme(presentation)
+    };
+  },
+  // Template slides are analyzed in full; other slides are not downloaded
+  needsPage: slide => LayoutAnalyzer.TEMPLATE_PATTERN.test(LayoutAnalyzer.getNotesText(slide)),
+  version: LayoutAnalyzer.VERSION,
+  ttlMs: Number(process.env.LAYOUT_CACHE_TTL_MS) || undefined,
+  maxEntries: Number(process.env.LAYOUT_CACHE_MAX_ENTRIES) || undefined
+});
+
+// Named scoring profiles (`options.scoringProfile`), read once at startup from
+// a JSON file mapping each name to weights that override the defaults
+const scoringProfiles = loadScoringProfiles(process.env.SCORING_PROFILES_FILE);
+
+// Extra content keywords and layout names per locale, read once at startup
+loadLocales(process.env.LOCALES_FILE);
+
+// Editors' layout overrides per template, saved to PREFERENCES_FILE when set
+const preferencesFile = process.env.PREFERENCES_FILE;
+const preferenceStore = new PreferenceStore({
+  store: preferencesFile && fs.existsSync(preferencesFile)
+    ? JSON.parse(fs.readFileSync(preferencesFile, 'utf8'))
+    : null,
+  maxRecords: Number(process.env.PREFERENCES_MAX_RECORDS) || undefined,
+  onChange: store => {
+    if (preferencesFile) {
+      savePreferences(store);
+    }
+  }
+});
+
+// Saved off the request path, one write at a time; changes made during a
+// write are saved together by the next one. A failed write is logged and
+// the file stays as it was (it is replaced by rename).
+let pendingPreferences = null;
+let savingPreferences = false;
+async function savePreferences(store) {
+  pendingPreferences = JSON.stringify(store, null, 2);
+  if (savingPreferences) {
+    return;
+  }
+
+  savingPreferences = true;
+  while (pendingPreferences !== null) {
+    const json = pendingPreferences;
+    pendingPreferences = null;
+    try {
+      await fs.promises.writeFile(`${preferencesFile}.tmp`, json);
+      await fs.promises.rename(`${preferencesFile}.tmp`, preferencesFile);
+    } catch (error) {
+      console.error('Failed to save preferences:', error);
+    }
+  }
+  savingPreferences = false;
+}
 
 // Middleware
 app.use(cors());
@@ -32,40 +123,66 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Callers using the default credentials identify themselves with X-API-Key
+app.use('/api/', (req, res, next) => {
+  const apiKey = req.get('x-api-key');
+  const body = req.body || {};
+  req.serviceAuthorized = Boolean(apiKey) && serviceApiKeys.some(key => safeEqual(key, apiKey));
+
+  if (apiKey && !req.serviceAuthorized) {
+    return res.status(401).json({ success: false, error: 'Invalid API key', timestamp: new Date().toISOString() });
+  }
+  if (body.impersonate && !body.accessToken) {
+    const allowed = req.serviceAuthorized && allowedImpersonateSubjects.includes(String(body.impersonate).toLowerCase());
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: `Impersonating ${body.impersonate} is not allowed`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  next();
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    auth: { type: defaultCredentials ? defaultCredentials.type : 'request' }
   });
 });
 
 // Extract layouts from presentation
 app.post('/api/extract-layouts', async (req, res) => {
   try {
-    const { presentationId, accessToken } = req.body;
+    const { presentationId } = req.body;
+    const credentials = resolveCredentials(req);
     
-    if (!presentationId || !accessToken) {
+    if (!presentationId || !credentials) {
       return res.status(400).json({
-        error: 'presentationId and accessToken are required'
+        error: `presentationId and ${CREDENTIALS_HINT} are required`
       });
     }
 
-    const client = new SlidesClient(accessToken);
-    const presentation = await client.getPresentation(presentationId);
+    const client = createClient(credentials, req.body.options);
+    const { entry, source } = await resolveLayouts(client, presentationId, req.body.options);
     
-    const layouts = LayoutAnalyzer.extractLayouts(presentation);
-    const categorized = LayoutAnalyzer.categorizeLayouts(layouts);
+    const { layouts, categorized, templateSlides, theme } = entry;
     const stats = LayoutAnalyzer.getLayoutStats(layouts);
 
     res.json({
       success: true,
       presentationId,
-      presentationTitle: presentation.title,
+      presentationTitle: entry.title,
       layouts,
       categorized,
+      templateSlides,
+      theme,
       stats,
+      cache: { source, revisionId: entry.revisionId },
       timestamp: new Date().toISOString()
     });
 
@@ -79,6 +196,44 @@ app.post('/api/extract-layouts', async (req, res) => {
   }
 });
 
+// Inspect the layout cache
+app.get('/api/layout-cache', requireApiKey, (req, res) => {
+  res.json({
+    success: true,
+    ...layoutCache.inspect(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/layout-cache/:presentationId', requireApiKey, (req, res) => {
+  const entry = layoutCache.get(req.params.presentationId);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `No cached layouts for presentation ${req.params.presentationId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    entry,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Invalidate one presentation, or the whole cache
+app.delete('/api/layout-cache/:presentationId?', requireApiKey, (req, res) => {
+  const removed = layoutCache.invalidate(req.params.presentationId || null);
+
+  res.json({
+    success: true,
+    removed,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Advanced layout matching with ML-style scoring
 app.post('/api/match-layout', async (req, res) => {
   try {
@@ -93,35 +248,73 @@ app.post('/api/match-layout', async (req, res) => {
     // Enhanced content analysis
     const contentAnalysis = ContentMatcher.analyzeContent(content);
     
-    // Apply custom scoring if provided
-    if (options.customWeights) {
-      ContentMatcher.SCORING_WEIGHTS = { 
-        ...ContentMatcher.SCORING_WEIGHTS, 
-        ...options.customWeights 
-      };
-    }
+    // Named or inline profile, plus any customWeights, for this request only
+    const scoringProfile = resolveScoringProfile(options);
 
-    const matchResult = ContentMatcher.findBestLayout(content, layouts);
+    const matchResult = ContentMatcher.findBestLayout(content, layouts, {
+      scoringProfile,
+      preferences: resolvePreferences(options, req.body.presentationId),
+      layout: options.layout
+    });
     
     // Add confidence metrics
     const confidence = calculateConfidence(matchResult.bestLayout.score, layouts.length);
     
     // Generate detailed explanation
-    const explanation = generateDetailedExplanation(contentAnalysis, matchResult.bestLayout, layouts);
+    const explanation = generateDetailedExplanation(contentAnalysis, matchResult);
 
     res.json({
       success: true,
       selectedLayout: matchResult.bestLayout,
       alternatives: matchResult.alternatives,
+      ranking: matchResult.ranking,
       contentAnalysis,
+      fit: matchResult.fit,
       confidence,
       explanation,
+      selection: matchResult.selection,
       reasoning: matchResult.reasoning,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Layout matching error:', error);
+    res.status(isRequestError(error) ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Record the layout an editor used instead of (or to confirm) the matcher's pick
+app.post('/api/feedback', requireApiKey, (req, res) => {
+  try {
+    const { presentationId, content, contentAnalysis, chosenLayout, overriddenLayout } = req.body;
+    const templateKey = req.body.templateKey || presentationId;
+    const isLayoutRef = ref => (typeof ref === 'string' ? ref.length > 0 : Boolean(ref?.objectId || ref?.displayName));
+
+    if (!templateKey || !(content || contentAnalysis) || !isLayoutRef(chosenLayout) ||
+        (overriddenLayout && !isLayoutRef(overriddenLayout))) {
+      return res.status(400).json({
+        error: 'templateKey (or presentationId), content (or contentAnalysis) and chosenLayout are required; ' +
+          'layouts are a displayName or { objectId, displayName }'
+      });
+    }
+
+    const features = ContentMatcher.getPreferenceFeatures(contentAnalysis || ContentMatcher.analyzeContent(content));
+    const record = preferenceStore.record(templateKey, { features, chosenLayout, overriddenLayout });
+
+    res.status(201).json({
+      success: true,
+      templateKey,
+      record,
+      summary: preferenceStore.summarize(templateKey),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Feedback error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -130,37 +323,75 @@ app.post('/api/match-layout', async (req, res) => {
   }
 });
 
+// Export the learned preferences of every template, or of one
+app.get('/api/preferences/:templateKey?', requireApiKey, (req, res) => {
+  const exported = preferenceStore.export(req.params.templateKey || null);
+
+  if (req.params.templateKey && !exported.templates[req.params.templateKey]) {
+    return res.status(404).json({
+      success: false,
+      error: `No layout feedback for template ${req.params.templateKey}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    ...exported,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reset one template's preferences, or all of them
+app.delete('/api/preferences/:templateKey?', requireApiKey, (req, res) => {
+  const removed = preferenceStore.reset(req.params.templateKey || null);
+
+  res.json({
+    success: true,
+    removed,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Scoring profiles available to `options.scoringProfile`
+app.get('/api/scoring-profiles', (req, res) => {
+  res.json({
+    profiles: scoringProfiles,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Complete slide creation workflow
 app.post('/api/create-slide', async (req, res) => {
   try {
-    const { presentationId, content, accessToken, options = {} } = req.body;
+    const { presentationId, content, options = {} } = req.body;
+    const credentials = resolveCredentials(req);
     
-    if (!presentationId || !content || !accessToken) {
+    if (!presentationId || !content || !credentials) {
       return res.status(400).json({
-        error: 'presentationId, content, and accessToken are required'
+        error: `presentationId, content, and ${CREDENTIALS_HINT} are required`
       });
     }
 
-    const client = new SlidesClient(accessToken);
+    const client = createClient(credentials, options);
     
     // Step 1: Extract layouts
-    const presentation = await client.getPresentation(presentationId);
-    const layouts = LayoutAnalyzer.extractLayouts(presentation);
-    
-    if (layouts.length === 0) {
-      throw new Error('No layouts found in presentation');
-    }
+    const deck = await loadDeck(client, presentationId, options);
 
-    // Step 2: Match layout
-    const matchResult = ContentMatcher.findBestLayout(content, layouts);
+    // Steps 2-4: Match layout, build requests and execute the batch update
+    // against the fetched revision (re-matched if the deck changed meanwhile)
+    const {
+      slideId,
+      slides,
+      matchResult,
+      requests,
+      batchResponse,
+      conflictRetries,
+      notes
+    } = await createSlideInDeck(client, deck, content, options);
+    const mode = options.mode === 'templateSlide' ? 'templateSlide' : 'layout';
+    const layouts = mode === 'templateSlide' ? deck.templateSlides : deck.layouts;
     const selectedLayout = matchResult.bestLayout;
-
-    // Step 3: Create slide
-    const slideId = generateUniqueId();
-    const requests = buildSlideRequests(slideId, selectedLayout, content, options);
-
-    // Step 4: Execute batch update
-    const batchResponse = await client.batchUpdate(presentationId, requests);
     
     // Generate response
     const slideUrl = client.generateSlideUrl(presentationId, slideId);
@@ -171,26 +402,34 @@ app.post('/api/create-slide', async (req, res) => {
       slideId,
       slideUrl,
       presentationId,
-      presentationTitle: presentation.title,
+      presentationTitle: deck.title,
+      mode,
       layoutUsed: {
         objectId: selectedLayout.objectId,
         displayName: selectedLayout.displayName,
-        score: selectedLayout.score
+        score: selectedLayout.score,
+        scoreBreakdown: selectedLayout.scoreBreakdown
       },
       contentAnalysis: matchResult.contentAnalysis,
+      fit: matchResult.fit,
       confidence,
+      selection: matchResult.selection,
       reasoning: matchResult.reasoning,
-      elementsCreated: requests.length - 1, // Exclude createSlide request
+      elementsCreated: countCreatedElements(slides, requests),
+      createdSlides: describeCreatedSlides(client, presentationId, slides),
+      notes,
       batchUpdateResponse: {
         requestsExecuted: batchResponse.replies?.length || 0,
-        success: Boolean(batchResponse.replies)
+        success: Boolean(batchResponse.replies),
+        retries: summarizeRetries(batchResponse),
+        conflictRetries
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Slide creation error:', error);
-    res.status(500).json({
+    res.status(isRequestError(error) ? 400 : 500).json({
       success: false,
       error: error.message,
       presentationId: req.body.presentationId,
@@ -202,78 +441,19 @@ app.post('/api/create-slide', async (req, res) => {
 // Batch slide creation
 app.post('/api/create-slides-batch', async (req, res) => {
   try {
-    const { presentationId, slides, accessToken, options = {} } = req.body;
+    const { presentationId, slides, options = {} } = req.body;
+    const credentials = resolveCredentials(req);
     
-    if (!presentationId || !slides || !Array.isArray(slides) || !accessToken) {
+    if (!presentationId || !slides || !Array.isArray(slides) || !credentials) {
       return res.status(400).json({
-        error: 'presentationId, slides array, and accessToken are required'
+        error: `presentationId, slides array, and ${CREDENTIALS_HINT} are required`
       });
     }
 
-    const client = new SlidesClient(accessToken);
-    const batchId = generateUniqueId();
-    const results = {
-      batchId,
-      presentationId,
-      totalSlides: slides.length,
-      successCount: 0,
-      failureCount: 0,
-      slides: [],
-      errors: [],
-      timestamp: new Date().toISOString()
-    };
-
-    // Extract layouts once for all slides
-    const presentation = await client.getPresentation(presentationId);
-    const layouts = LayoutAnalyzer.extractLayouts(presentation);
-    
-    if (layouts.length === 0) {
-      throw new Error('No layouts found in presentation');
-    }
-
-    // Process each slide
-    for (let i = 0; i < slides.length; i++) {
-      try {
-        const slideContent = slides[i].content;
-        const slideOptions = { ...options, ...slides[i].options };
-        
-        // Match layout for this slide
-        const matchResult = ContentMatcher.findBestLayout(slideContent, layouts);
-        const selectedLayout = matchResult.bestLayout;
-
-        // Create slide
-        const slideId = generateUniqueId();
-        const requests = buildSlideRequests(slideId, selectedLayout, slideContent, slideOptions);
-
-        // Execute batch update for this slide
-        const batchResponse = await client.batchUpdate(presentationId, requests);
-        
-        // Record success
-        results.successCount++;
-        results.slides.push({
-          slideIndex: i + 1,
-          slideId,
-          slideUrl: client.generateSlideUrl(presentationId, slideId),
-          layoutUsed: selectedLayout.displayName,
-          elementsCreated: requests.length - 1,
-          confidence: calculateConfidence(selectedLayout.score, layouts.length)
-        });
-
-      } catch (error) {
-        console.error(`Error creating slide ${i + 1}:`, error);
-        results.failureCount++;
-        results.errors.push({
-          slideIndex: i + 1,
-          error: error.message
-        });
-      }
-    }
-
-    results.success = results.failureCount === 0;
-    results.partialSuccess = results.successCount > 0 && results.failureCount > 0;
+    const client = createClient(credentials, options);
+    const results = await populateDeck(client, presentationId, slides, options);
 
-    const statusCode = results.success ? 200 : results.partialSuccess ? 207 : 400;
-    res.status(statusCode).json(results);
+    res.status(statusForResults(results)).json(results);
 
   } catch (error) {
     console.error('Batch creation error:', error);
@@ -286,177 +466,1527 @@ app.post('/api/create-slides-batch', async (req, res) => {
   }
 });
 
-// Helper Functions
+// Plan layouts for a whole deck without creating anything
+app.post('/api/plan-deck', async (req, res) => {
+  try {
+    const { presentationId, slides, options = {} } = req.body;
+    const credentials = resolveCredentials(req);
 
-function generateUniqueId() {
-  return `id_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
+    if (!presentationId || !Array.isArray(slides) || slides.some(slide => !slide?.content) || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, slides array (each with content), and ${CREDENTIALS_HINT} are required`
+      });
+    }
 
-function calculateConfidence(score, layoutCount) {
-  // Calculate confidence based on score and available options
-  const normalizedScore = Math.min(100, Math.max(0, score));
-  const optionsPenalty = Math.max(0, (layoutCount - 1) * 2); // More options = lower confidence
-  const adjustedScore = Math.max(0, normalizedScore - optionsPenalty);
-  
-  if (adjustedScore >= 80) return 'very-high';
-  if (adjustedScore >= 65) return 'high';
-  if (adjustedScore >= 45) return 'medium';
-  if (adjustedScore >= 25) return 'low';
-  return 'very-low';
-}
+    const client = createClient(credentials, options);
+    const deck = await loadDeck(client, presentationId, options);
+    const plan = planDeck(deck, slides, options);
 
-function generateDetailedExplanation(contentAnalysis, selectedLayout, allLayouts) {
-  const explanation = {
-    contentFactors: [],
-    layoutFactors: [],
-    matchingReason: '',
-    alternatives: []
-  };
+    res.json({
+      success: true,
+      presentationId,
+      ...describeDeckPlan(plan),
+      timestamp: new Date().toISOString()
+    });
 
-  // Content factors
-  if (contentAnalysis.hasTitle) explanation.contentFactors.push('Contains title text');
-  if (contentAnalysis.hasBody) explanation.contentFactors.push('Contains body text');
-  if (contentAnalysis.hasImage) explanation.contentFactors.push('Contains image content');
-  if (contentAnalysis.hasBullets) explanation.contentFactors.push('Contains bullet points');
-  explanation.contentFactors.push(`Content type: ${contentAnalysis.contentType}`);
-  explanation.contentFactors.push(`Content length: ${contentAnalysis.contentLength}`);
+  } catch (error) {
+    console.error('Deck planning error:', error);
+    res.status(isRequestError(error) ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-  // Layout factors
-  const placeholderTypes = selectedLayout.placeholders.map(p => p.type);
-  explanation.layoutFactors.push(`Layout: ${selectedLayout.displayName}`);
-  explanation.layoutFactors.push(`Placeholders: ${placeholderTypes.join(', ')}`);
-  explanation.layoutFactors.push(`Compatibility score: ${selectedLayout.score}/100`);
+// Create a new deck from a template presentation
+app.post('/api/decks', async (req, res) => {
+  try {
+    const { templateId, title, folderId, removeTemplateSlides = false, slides = [], options = {} } = req.body;
+    const credentials = resolveCredentials(req);
 
-  // Matching reason
-  const reasons = [];
-  if (contentAnalysis.hasTitle && placeholderTypes.includes('TITLE')) {
-    reasons.push('title content matches title placeholder');
-  }
-  if (contentAnalysis.hasBody && placeholderTypes.includes('BODY')) {
-    reasons.push('body content matches body placeholder');
-  }
-  if (contentAnalysis.hasImage && placeholderTypes.includes('PICTURE')) {
-    reasons.push('image content matches picture placeholder');
-  }
-  
-  explanation.matchingReason = reasons.length > 0 
-    ? `Selected because ${reasons.join(' and ')}`
-    : 'Selected as best available option based on scoring algorithm';
+    if (!templateId || !title || !Array.isArray(slides) || !credentials) {
+      return res.status(400).json({
+        error: `templateId, title, and ${CREDENTIALS_HINT} are required (slides must be an array)`
+      });
+    }
 
-  // Alternative suggestions
-  const sortedLayouts = allLayouts
-    .filter(l => l.objectId !== selectedLayout.objectId)
-    .sort((a, b) => (b.score || 0) - (a.score || 0))
-    .slice(0, 2);
-    
-  explanation.alternatives = sortedLayouts.map(layout => ({
-    displayName: layout.displayName,
-    score: layout.score || 0,
-    reason: `Would work ${layout.score > 50 ? 'well' : 'adequately'} for this content`
-  }));
+    const client = createClient(credentials, options);
 
-  return explanation;
-}
+    // Step 1: Copy the template through Drive
+    const file = await client.copyPresentation(templateId, { title, folderId });
+    const presentationId = file.id;
 
-function buildSlideRequests(slideId, layout, content, options = {}) {
-  const requests = [];
-  
-  // Create slide request
-  const createSlideRequest = {
-    createSlide: {
-      objectId: slideId,
-      slideLayoutReference: {
-        layoutId: layout.objectId
+    // Step 2: Optionally drop the template's sample slides, keeping the
+    // tagged template slides that template-slide mode clones
+    let removedSlides = 0;
+    if (removeTemplateSlides) {
+      const existing = await client.getPresentation(presentationId, {
+        fields: 'revisionId,slides(objectId,slideProperties.notesPage)'
+      });
+      const keep = LayoutAnalyzer.extractTemplateSlides(existing).map(template => template.objectId);
+      const existingSlides = (existing.slides || []).filter(slide => !keep.includes(slide.objectId));
+      if (existingSlides.length > 0) {
+        await client.batchUpdate(
+          presentationId,
+          existingSlides.map(slide => ({ deleteObject: { objectId: slide.objectId } })),
+          { requiredRevisionId: client.getRevisionId(presentationId) }
+        );
+        removedSlides = existingSlides.length;
       }
     }
-  };
-  
-  // Add insertion index if specified
-  if (options.insertIndex !== undefined) {
-    createSlideRequest.createSlide.insertionIndex = options.insertIndex;
-  }
-  
-  requests.push(createSlideRequest);
 
-  // Group placeholders by type
-  const placeholdersByType = {};
-  layout.placeholders.forEach(placeholder => {
-    if (!placeholdersByType[placeholder.type]) {
-      placeholdersByType[placeholder.type] = [];
-    }
-    placeholdersByType[placeholder.type].push(placeholder);
-  });
+    // Step 3: Populate with the same slide format as /api/create-slides-batch
+    const population = slides.length > 0
+      ? await populateDeck(client, presentationId, slides, { templateKey: templateId, ...options })
+      : null;
 
-  // Insert title
-  if (content.title && placeholdersByType.TITLE) {
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.TITLE[0].objectId,
-        text: content.title,
-        insertionIndex: 0
-      }
+    const response = {
+      success: !population || population.success,
+      partialSuccess: Boolean(population?.partialSuccess),
+      presentationId,
+      presentationUrl: client.generatePresentationUrl(presentationId),
+      title: file.name || title,
+      templateId,
+      folderId: file.parents?.[0] || folderId || null,
+      removedSlides,
+      slides: population ? population.slides : [],
+      errors: population ? population.errors : [],
+      exportLinks: options.exportLinks ? buildExportLinks(client, presentationId, options.exportLinks) : undefined,
+      timestamp: new Date().toISOString()
+    };
+
+    // The deck exists even if some slides failed
+    res.status(response.success ? 201 : 207).json(response);
+
+  } catch (error) {
+    console.error('Deck creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      templateId: req.body.templateId,
+      timestamp: new Date().toISOString()
     });
   }
+});
 
-  // Insert body content
-  if (content.body && placeholdersByType.BODY) {
-    let bodyText = content.body;
-    
-    // Handle bullet points
-    if (content.bullets && content.bullets.length > 0) {
-      bodyText = content.bullets.map(bullet => `• ${bullet}`).join('\n');
+// Read existing slides back as content
+app.post('/api/read-slides', async (req, res) => {
+  try {
+    const { presentationId, slideIds, contentOnly = false, options = {} } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !credentials) {
+      return res.status(400).json({
+        error: `presentationId and ${CREDENTIALS_HINT} are required`
+      });
     }
-    
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.BODY[0].objectId,
-        text: bodyText,
-        insertionIndex: 0
-      }
-    });
-  }
 
-  // Insert subtitle
-  if (content.subtitle && placeholdersByType.SUBTITLE) {
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.SUBTITLE[0].objectId,
-        text: content.subtitle,
-        insertionIndex: 0
-      }
-    });
-  }
+    const client = createClient(credentials, options);
+    const { entry } = await resolveLayouts(client, presentationId, options);
+    const deck = await client.getSlides(presentationId);
 
-  // Replace image
-  if (content.imageUrl && placeholdersByType.PICTURE) {
-    requests.push({
-      replaceImage: {
-        imageObjectId: placeholdersByType.PICTURE[0].objectId,
-        url: content.imageUrl,
-        imageReplaceMethod: options.imageReplaceMethod || 'CENTER_INSIDE'
-      }
+    const slides = SlideReader.readSlides(deck, { slideIds, layouts: entry.layouts })
+      .map(record => describeSlide(client, presentationId, record, entry.layouts, contentOnly));
+
+    res.json({
+      success: true,
+      presentationId,
+      title: deck.title,
+      revisionId: deck.revisionId,
+      slideCount: deck.slides.length,
+      slides,
+      timestamp: new Date().toISOString()
     });
-  }
 
-  // Handle multiple columns
-  if (content.columns && placeholdersByType.CONTENT) {
-    content.columns.forEach((columnContent, index) => {
-      if (placeholdersByType.CONTENT[index]) {
-        requests.push({
-          insertText: {
-            objectId: placeholdersByType.CONTENT[index].objectId,
-            text: columnContent,
-            insertionIndex: 0
-          }
-        });
-      }
+  } catch (error) {
+    console.error('Slide read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
     });
   }
+});
 
-  return requests;
-}
+// Read one slide by ID
+app.post('/api/read-slide', async (req, res) => {
+  try {
+    const { presentationId, slideId, options = {} } = req.body;
+    const credentials = resolveCredentials(req);
 
-// Error handling middleware
+    if (!presentationId || !slideId || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, slideId, and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    const client = createClient(credentials, options);
+    const { entry } = await resolveLayouts(client, presentationId, options);
+    const page = await client.getPage(presentationId, slideId);
+
+    if (page.pageType && page.pageType !== 'SLIDE') {
+      return res.status(400).json({ error: `${slideId} is a ${page.pageType.toLowerCase()}, not a slide` });
+    }
+
+    const layoutsById = {};
+    entry.layouts.forEach(layout => {
+      layoutsById[layout.objectId] = layout;
+    });
+
+    // pages.get does not say where the slide sits in the deck
+    const record = SlideReader.readSlide(page, null, layoutsById);
+
+    res.json({
+      success: true,
+      presentationId,
+      slide: describeSlide(client, presentationId, record, entry.layouts, false),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Slide read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete slides by ID or by index range
+app.post('/api/delete-slides', async (req, res) => {
+  try {
+    const { presentationId, slideIds, startIndex, endIndex } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !hasSlideSelection(req.body) || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, slideIds or startIndex/endIndex, and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    const client = createClient(credentials, req.body.options);
+    const result = await client.deleteSlides(presentationId, { slideIds, startIndex, endIndex });
+
+    res.json(slideOperationResult(presentationId, result.batchResponse, { deletedSlideIds: result.slideIds }));
+
+  } catch (error) {
+    console.error('Slide management error:', error);
+    res.status(slideOperationStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Duplicate a slide with predictable IDs for the copy
+app.post('/api/duplicate-slide', async (req, res) => {
+  try {
+    const { presentationId, slideId, newSlideId, position } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !slideId || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, slideId, and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    const client = createClient(credentials, req.body.options);
+    const result = await client.duplicateSlide(presentationId, slideId, { newSlideId, position });
+
+    res.json(slideOperationResult(presentationId, result.batchResponse, {
+      sourceSlideId: slideId,
+      slideId: result.slideId,
+      slideUrl: client.generateSlideUrl(presentationId, result.slideId),
+      objectIds: result.objectIds
+    }));
+
+  } catch (error) {
+    console.error('Slide management error:', error);
+    res.status(slideOperationStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Move slides as a block to a new position
+app.post('/api/move-slides', async (req, res) => {
+  try {
+    const { presentationId, slideIds, startIndex, endIndex, position } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !hasSlideSelection(req.body) || !Number.isInteger(position) || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, slideIds or startIndex/endIndex, a 1-based position, and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    const client = createClient(credentials, req.body.options);
+    const result = await client.moveSlides(presentationId, { slideIds, startIndex, endIndex }, position);
+
+    res.json(slideOperationResult(presentationId, result.batchResponse, { movedSlideIds: result.slideIds, position }));
+
+  } catch (error) {
+    console.error('Slide management error:', error);
+    res.status(slideOperationStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Put slides in a new order
+app.post('/api/reorder-slides', async (req, res) => {
+  try {
+    const { presentationId, slideIds } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !Array.isArray(slideIds) || slideIds.length === 0 || !credentials) {
+      return res.status(400).json({
+        error: `presentationId, ordered slideIds, and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    const client = createClient(credentials, req.body.options);
+    const result = await client.reorderSlides(presentationId, slideIds);
+
+    res.json(slideOperationResult(presentationId, result.batchResponse, { slideOrder: result.slideIds }));
+
+  } catch (error) {
+    console.error('Slide management error:', error);
+    res.status(slideOperationStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Export a presentation as PDF/PPTX, or its slides as PNG thumbnails
+app.post('/api/export', async (req, res) => {
+  try {
+    const {
+      presentationId,
+      format = 'pdf',
+      delivery = 'base64',
+      slideIds,
+      thumbnailSize = 'LARGE',
+      includeImageData = false,
+      options = {}
+    } = req.body;
+    const credentials = resolveCredentials(req);
+
+    if (!presentationId || !credentials) {
+      return res.status(400).json({
+        error: `presentationId and ${CREDENTIALS_HINT} are required`
+      });
+    }
+
+    if (format !== 'png' && !SlidesClient.EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(SlidesClient.EXPORT_FORMATS).join(', ')}, png`
+      });
+    }
+
+    const client = createClient(credentials, options);
+
+    if (format === 'png') {
+      const { slides = [] } = await client.getPresentation(presentationId, { fields: 'slides.objectId' });
+      const selected = slides
+        .map((slide, index) => ({ slideId: slide.objectId, slideIndex: index + 1 }))
+        .filter(slide => !slideIds || slideIds.includes(slide.slideId));
+
+      const thumbnails = [];
+      for (const slide of selected) {
+        const thumbnail = await client.getThumbnail(presentationId, slide.slideId, {
+          size: thumbnailSize,
+          download: includeImageData
+        });
+        thumbnails.push({
+          ...slide,
+          width: thumbnail.width,
+          height: thumbnail.height,
+          contentUrl: thumbnail.contentUrl,
+          data: thumbnail.data ? thumbnail.data.toString('base64') : undefined
+        });
+      }
+
+      return res.json({
+        success: true,
+        presentationId,
+        format,
+        mimeType: 'image/png',
+        thumbnails,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const fileName = (req.body.fileName || `${presentationId}.${format}`).replace(/["\\\r\n]/g, '');
+
+    if (delivery === 'stream') {
+      const exported = await client.exportPresentation(presentationId, format, { stream: true });
+      res.set({
+        'Content-Type': exported.mimeType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+      Readable.fromWeb(exported.stream)
+        .on('error', error => res.destroy(error))
+        .pipe(res);
+      return;
+    }
+
+    const exported = await client.exportPresentation(presentationId, format);
+    res.json({
+      success: true,
+      presentationId,
+      format,
+      mimeType: exported.mimeType,
+      fileName,
+      size: exported.size,
+      data: exported.data.toString('base64'),
+      exportUrl: client.generateExportUrl(presentationId, format),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      presentationId: req.body.presentationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Helper Functions
+
+function hasSlideSelection(body) {
+  return (Array.isArray(body.slideIds) && body.slideIds.length > 0) || body.startIndex !== undefined;
+}
+
+/**
+ * Shared success payload for slide management routes. Slide edits leave the
+ * layouts untouched, so the cached entry only needs the new revision.
+ */
+function slideOperationResult(presentationId, batchResponse, details) {
+  const revisionId = batchResponse.writeControl?.requiredRevisionId || null;
+  layoutCache.updateRevision(presentationId, revisionId);
+
+  return {
+    success: true,
+    presentationId,
+    ...details,
+    revisionId,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Bad selections are the caller's; conflicts mean the deck changed underneath
+function slideOperationStatus(error) {
+  if (error instanceof SlidesClient.SlideSelectionError) return 400;
+  if (error instanceof SlidesClient.RevisionConflictError) return 409;
+  return 500;
+}
+
+/**
+ * Add the slide URL and layout category to a SlideReader record
+ */
+function describeSlide(client, presentationId, record, layouts, contentOnly) {
+  const layout = layouts.find(candidate => candidate.objectId === record.layout.objectId);
+  const category = layout
+    ? LayoutAnalyzer.determineLayoutCategory(layout.placeholders.map(p => p.type), layout.displayName)
+    : null;
+  const slideUrl = client.generateSlideUrl(presentationId, record.slideId);
+
+  if (contentOnly) {
+    return {
+      slideIndex: record.slideIndex,
+      slideId: record.slideId,
+      slideUrl,
+      layoutUsed: record.layout.displayName,
+      category,
+      content: record.content
+    };
+  }
+
+  return {
+    ...record,
+    slideUrl,
+    layout: { ...record.layout, category }
+  };
+}
+
+/**
+ * Browser download links for a deck
+ * @param {SlidesClient} client - Client used to build the URLs
+ * @param {string} presentationId - The presentation ID
+ * @param {boolean|Array} formats - true for every format, or a list like ['pdf']
+ * @returns {Object} Links keyed by format
+ */
+function buildExportLinks(client, presentationId, formats) {
+  const selected = Array.isArray(formats) ? formats : Object.keys(SlidesClient.EXPORT_FORMATS);
+  return selected.reduce((links, format) => {
+    links[format] = client.generateExportUrl(presentationId, format);
+    return links;
+  }, {});
+}
+
+function statusForResults(results) {
+  return results.success ? 200 : results.partialSuccess ? 207 : 400;
+}
+
+function resolveCredentials(req) {
+  const body = req.body;
+  if (body.accessToken) {
+    return body.accessToken;
+  }
+  if (!defaultCredentials || !req.serviceAuthorized) {
+    return null;
+  }
+  // Domain-wide delegation: act as another Workspace user with the same key
+  if (body.impersonate && defaultCredentials.forSubject) {
+    return defaultCredentials.forSubject(body.impersonate);
+  }
+  return defaultCredentials;
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Routes that expose or change state shared by all callers (cached decks,
+// learned preferences) are reserved for holders of a service API key
+function requireApiKey(req, res, next) {
+  if (!req.serviceAuthorized) {
+    return res.status(401).json({
+      success: false,
+      error: 'An X-API-Key listed in SERVICE_API_KEYS is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+// Constant-time comparison, so response times do not reveal a key
+function safeEqual(expected, actual) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(expected), hash(actual));
+}
+
+function createClient(credentials, options = {}) {
+  return new SlidesClient(credentials, {
+    baseUrl: process.env.SLIDES_API_BASE_URL,
+    driveBaseUrl: process.env.DRIVE_API_BASE_URL,
+    retry: clampRetryOptions(options.retry)
+  });
+}
+
+// Bounds for caller-supplied retry options, so one request cannot hold a
+// worker for long; a deadline of 0 (none) gets the longest one allowed
+const RETRY_LIMITS = {
+  maxRetries: [0, 6],
+  baseDelayMs: [0, 5000],
+  maxDelayMs: [0, 32000],
+  factor: [1, 4],
+  deadlineMs: [1000, 120000]
+};
+
+function clampRetryOptions(retry) {
+  if (!retry || typeof retry !== 'object') {
+    return undefined;
+  }
+
+  const clamped = {};
+  Object.entries(RETRY_LIMITS).forEach(([field, [min, max]]) => {
+    const value = Number(retry[field]);
+    if (retry[field] === undefined || Number.isNaN(value)) {
+      return;
+    }
+    clamped[field] = field === 'deadlineMs' && value <= 0 ? max : Math.min(Math.max(value, min), max);
+  });
+  if (retry.jitter !== undefined) {
+    clamped.jitter = Boolean(retry.jitter);
+  }
+  // Only statuses retried by default can be kept; others are never retried
+  if (Array.isArray(retry.retryableStatuses)) {
+    clamped.retryableStatuses = SlidesClient.DEFAULT_RETRY_OPTIONS.retryableStatuses
+      .filter(status => retry.retryableStatuses.map(Number).includes(status));
+  }
+  return clamped;
+}
+
+function summarizeRetries(apiResponse) {
+  return apiResponse?.requestMetadata?.retries || [];
+}
+
+const DEFAULT_MAX_CONFLICT_RETRIES = 3;
+const MAX_CONFLICT_RETRIES = 10;
+
+/**
+ * Get a presentation's layouts through the cache, using field-masked fetches.
+ * `options.refreshLayouts` bypasses cached entries. The cache is shared by
+ * all callers, so every hit is confirmed with the caller's own client.
+ */
+async function resolveLayouts(client, presentationId, options = {}) {
+  const result = await layoutCache.resolve(
+    presentationId,
+    fields => client.getPresentation(presentationId, { fields }),
+    {
+      forceRefresh: Boolean(options.refreshLayouts),
+      checkAccess: true,
+      fetchPage: pageObjectId => client.getPage(presentationId, pageObjectId)
+    }
+  );
+
+  // Writes are checked against the revision the layouts were read at
+  client.setRevisionId(presentationId, result.entry.revisionId);
+  return result;
+}
+
+/**
+ * Load the layouts needed to write slides into a presentation
+ */
+async function loadDeck(client, presentationId, options = {}) {
+  const { entry, source } = await resolveLayouts(client, presentationId, options);
+
+  if (entry.layouts.length === 0) {
+    throw new Error('No layouts found in presentation');
+  }
+
+  return {
+    presentationId,
+    title: entry.title,
+    layouts: entry.layouts,
+    templateSlides: entry.templateSlides || [],
+    pageSize: entry.pageSize,
+    layoutSource: source
+  };
+}
+
+/**
+ * Match, build and write one slide under optimistic concurrency.
+ * The batch is sent with the last known revision; on a conflict the deck is
+ * re-fetched, the content re-matched against the fresh layouts, and the write
+ * retried. `deck` is updated in place so later slides see the refreshed state.
+ * With `options.splitOverflow`, a body or bullet list that does not fit is
+ * spread over continuation slides, written in the same batch.
+ *
+ * With `options.mode: 'templateSlide'` the content is matched against the
+ * deck's template slides instead of its layouts, and the chosen slide is
+ * cloned and filled. New slides go in front of the template slides unless
+ * `options.insertIndex` says otherwise, so the templates stay at the end.
+ */
+async function createSlideInDeck(client, deck, content, options = {}) {
+  const maxConflictRetries = Math.min(
+    Math.max(Number(options.maxConflictRetries ?? DEFAULT_MAX_CONFLICT_RETRIES) || 0, 0),
+    MAX_CONFLICT_RETRIES
+  );
+  const slideId = generateUniqueId();
+  const cloning = options.mode === 'templateSlide';
+  const scoringProfile = resolveScoringProfile(options);
+  const preferences = resolvePreferences(options, deck.presentationId);
+
+  for (let conflictRetries = 0; ; conflictRetries++) {
+    if (cloning && deck.templateSlides.length === 0) {
+      throw new Error('No template slides found (tag a slide with "template:<name>" in its speaker notes)');
+    }
+
+    const candidates = cloning ? deck.templateSlides : deck.layouts;
+    const matchOptions = { scoringProfile, preferences, layout: options.layout };
+    const plan = options.splitOverflow
+      ? ContentMatcher.planSlides(content, candidates, matchOptions)
+      : [{ content, matchResult: ContentMatcher.findBestLayout(content, candidates, matchOptions) }];
+    const slides = plan.map((slide, index) => ({
+      ...slide,
+      slideId: index === 0 ? slideId : `${slideId}_c${index}`,
+      continuation: index > 0
+    }));
+
+    const order = deck.templateSlides.length > 0
+      ? (await client.getSlideOrder(deck.presentationId)).slides.map(slide => slide.objectId)
+      : null;
+    const insertIndex = options.insertIndex ?? firstTemplateIndex(order, deck.templateSlides);
+
+    const requests = slides.flatMap((slide, index) => {
+      const position = insertIndex !== undefined ? insertIndex + index : undefined;
+      if (!cloning) {
+        return buildSlideRequests(slide.slideId, slide.matchResult.bestLayout, slide.content, {
+          ...options,
+          insertIndex: position,
+          pageSize: deck.pageSize
+        });
+      }
+      // Earlier clones in this batch have already shifted the template. One
+      // missing from the order (deleted since the deck was loaded) leaves
+      // nothing to clone, nor a position to insert at
+      const templateIndex = order.indexOf(slide.matchResult.bestLayout.objectId);
+      if (templateIndex === -1) {
+        throw new SlidesClient.SlideSelectionError(
+          `Template slide ${slide.matchResult.bestLayout.objectId} is no longer in the presentation`
+        );
+      }
+      order.splice(Math.min(position, order.length), 0, slide.slideId);
+      return buildTemplateSlideRequests(slide.slideId, slide.matchResult.bestLayout, slide.content, { ...options, position, templateIndex });
+    });
+    if (cloning) {
+      // Templates stay hidden, whichever were picked
+      deck.templateSlides.filter(template => !template.skipped).forEach(template => {
+        requests.push(hideSlideRequest(template.objectId));
+      });
+    }
+    const matchResult = slides[0].matchResult;
+
+    try {
+      const batchResponse = await client.batchUpdate(deck.presentationId, requests, {
+        requiredRevisionId: client.getRevisionId(deck.presentationId)
+      });
+      const notes = await writeSpeakerNotes(client, deck.presentationId, slides, {
+        ...options,
+        revisionId: batchResponse.writeControl?.requiredRevisionId
+      });
+      layoutCache.updateRevision(deck.presentationId, client.getRevisionId(deck.presentationId));
+      return { slideId, slides, matchResult, requests, batchResponse, conflictRetries, notes };
+    } catch (error) {
+      if (!(error instanceof SlidesClient.RevisionConflictError) || conflictRetries >= maxConflictRetries) {
+        throw error;
+      }
+
+      Object.assign(deck, await loadDeck(client, deck.presentationId, { refreshLayouts: true }));
+
+      // A transport-level retry may already have applied this batch
+      const { slides: existing = [] } = await client.getPresentation(deck.presentationId, { fields: 'slides.objectId' });
+      if (existing.some(slide => slide.objectId === slideId)) {
+        const notes = await writeSpeakerNotes(client, deck.presentationId, slides, options);
+        return { slideId, slides, matchResult, requests, batchResponse: { replies: [] }, conflictRetries, notes };
+      }
+    }
+  }
+}
+
+/**
+ * Create a list of slides (`[{ content, options }]`) in a presentation,
+ * recording per-slide successes and failures
+ */
+async function populateDeck(client, presentationId, slides, options = {}) {
+  const batchId = generateUniqueId();
+  const results = {
+    batchId,
+    presentationId,
+    totalSlides: slides.length,
+    successCount: 0,
+    failureCount: 0,
+    slides: [],
+    errors: [],
+    retryCount: 0,
+    timestamp: new Date().toISOString()
+  };
+
+  // Extract layouts once for all slides
+  const deck = await loadDeck(client, presentationId, options);
+
+  // Optionally choose every layout up front, for the deck as a whole
+  const deckPlan = options.planDeck ? planDeck(deck, slides, options) : null;
+  if (deckPlan) {
+    results.plan = describeDeckPlan(deckPlan);
+  }
+
+  // Process each slide
+  for (let i = 0; i < slides.length; i++) {
+    try {
+      const slideOptions = { ...options, ...slides[i].options };
+      // The planned layout heads the slide's selector chain, so matching
+      // falls back to the requested selectors, then scoring, if it has gone
+      const slideContent = deckPlan
+        ? {
+          ...slides[i].content,
+          layout: [deckPlan.slides[i].layout.objectId, ...[].concat(slides[i].content.layout ?? slideOptions.layout ?? [])]
+        }
+        : slides[i].content;
+      
+      // Match, create and write this slide; a revision conflict refreshes
+      // the shared layouts before retrying
+      const {
+        slideId,
+        slides: createdSlides,
+        matchResult,
+        requests,
+        batchResponse,
+        conflictRetries,
+        notes
+      } = await createSlideInDeck(client, deck, slideContent, slideOptions);
+      const selectedLayout = matchResult.bestLayout;
+      
+      // Record success
+      const retries = summarizeRetries(batchResponse);
+      results.successCount++;
+      results.retryCount += retries.length;
+      results.slides.push({
+        slideIndex: i + 1,
+        slideId,
+        slideUrl: client.generateSlideUrl(presentationId, slideId),
+        layoutUsed: selectedLayout.displayName,
+        elementsCreated: countCreatedElements(createdSlides, requests),
+        confidence: calculateConfidence(selectedLayout.score, deck.layouts.length),
+        overflowRisk: selectedLayout.fit.overflowRisk,
+        selection: deckPlan && matchResult.selection.fallbackIndex === 0 ? 'planned' : matchResult.selection.mode,
+        createdSlides: describeCreatedSlides(client, presentationId, createdSlides),
+        notes,
+        retries,
+        conflictRetries
+      });
+
+    } catch (error) {
+      console.error(`Error creating slide ${i + 1}:`, error);
+      const attempts = error.attempts || [];
+      results.failureCount++;
+      results.retryCount += Math.max(0, attempts.length - 1);
+      results.errors.push({
+        slideIndex: i + 1,
+        error: error.message,
+        code: error.code || null,
+        status: error.status || null,
+        attempts
+      });
+    }
+  }
+
+  results.success = results.failureCount === 0;
+  results.partialSuccess = results.successCount > 0 && results.failureCount > 0;
+
+  if (options.exportLinks) {
+    results.exportLinks = buildExportLinks(client, presentationId, options.exportLinks);
+  }
+  return results;
+}
+
+/**
+ * Choose layouts for a list of slides (`[{ content, options, role }]`) as a
+ * sequence, with DeckPlanner's variety and structure rules
+ * (`options.planRules` overrides DeckPlanner.DEFAULT_RULES)
+ */
+function planDeck(deck, slides, options = {}) {
+  return DeckPlanner.plan(slides.map(slide => {
+    const slideOptions = { ...options, ...slide.options };
+    const pool = slideOptions.mode === 'templateSlide' ? deck.templateSlides : deck.layouts;
+    const analysis = ContentMatcher.analyzeContent(slide.content);
+    const scored = ContentMatcher.scoreLayouts(slide.content, pool, {
+      scoringProfile: resolveScoringProfile(slideOptions),
+      preferences: resolvePreferences(slideOptions, deck.presentationId)
+    }, analysis);
+    // Forced layouts are the slide's only candidates
+    const forced = ContentMatcher.selectLayouts(slide.content.layout ?? slideOptions.layout, scored).layouts;
+
+    return {
+      role: slide.role,
+      analysis,
+      candidates: forced.length > 0 ? forced : scored
+    };
+  }), options.planRules);
+}
+
+function describeDeckPlan(plan) {
+  const describeLayout = layout => ({ objectId: layout.objectId, displayName: layout.displayName, score: layout.score });
+
+  return {
+    totalScore: plan.totalScore,
+    independentScore: plan.independentScore,
+    changedSlides: plan.changedSlides,
+    rules: plan.rules,
+    slides: plan.slides.map(slide => ({
+      slideIndex: slide.slideIndex,
+      role: slide.role,
+      layout: describeLayout(slide.layout),
+      independentLayout: describeLayout(slide.independentLayout),
+      changed: slide.changed,
+      adjustments: slide.adjustments,
+      plannedScore: slide.plannedScore
+    }))
+  };
+}
+
+// Errors in the request's own options (scoring profile, layout selector,
+// slides or template slides to work on)
+function isRequestError(error) {
+  return error instanceof ContentMatcher.ScoringProfileError ||
+    error instanceof ContentMatcher.LayoutSelectorError ||
+    error instanceof SlidesClient.SlideSelectionError;
+}
+
+/**
+ * Read named scoring profiles from a JSON file of `{ name: overrides }`.
+ * 'default' is always available and may itself be overridden.
+ */
+function loadScoringProfiles(file) {
+  const profiles = { default: ContentMatcher.DEFAULT_SCORING_PROFILE };
+  if (!file) {
+    return profiles;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.entries(overrides).forEach(([name, weights]) => {
+    profiles[name] = ContentMatcher.createScoringProfile(weights);
+  });
+  return profiles;
+}
+
+/**
+ * Extend the locale dictionaries from a JSON file of `{ locale: dictionary }`
+ * (see ContentMatcher.extendLocale)
+ */
+function loadLocales(file) {
+  if (!file) {
+    return;
+  }
+
+  const locales = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.entries(locales).forEach(([locale, dictionary]) => {
+    ContentMatcher.extendLocale(locale, dictionary);
+  });
+}
+
+/**
+ * The profile a request scores with: `options.scoringProfile` names a loaded
+ * profile or gives partial weights inline, and `options.customWeights` is
+ * overlaid on either
+ */
+function resolveScoringProfile(options = {}) {
+  const { scoringProfile = 'default', customWeights } = options;
+  let profile;
+
+  if (typeof scoringProfile === 'string') {
+    profile = scoringProfiles[scoringProfile];
+    if (!profile) {
+      throw new ContentMatcher.ScoringProfileError(
+        `Unknown scoring profile: ${scoringProfile} (available: ${Object.keys(scoringProfiles).join(', ')})`
+      );
+    }
+  } else {
+    profile = ContentMatcher.createScoringProfile(scoringProfile);
+  }
+
+  return customWeights ? ContentMatcher.createScoringProfile(customWeights, profile) : profile;
+}
+
+/**
+ * Layout feedback that biases matching: recorded under `options.templateKey`,
+ * or the presentation itself, unless `options.usePreferences` is false
+ */
+function resolvePreferences(options, presentationId) {
+  if (options.usePreferences === false) {
+    return [];
+  }
+  return preferenceStore.getRecords(options.templateKey || presentationId);
+}
+
+/**
+ * 0-based index of the first template slide in the current order
+ */
+function firstTemplateIndex(order, templateSlides) {
+  if (!order) {
+    return undefined;
+  }
+  const index = order.findIndex(objectId => templateSlides.some(template => template.objectId === objectId));
+  return index === -1 ? undefined : index;
+}
+
+function hideSlideRequest(slideId, hidden = true) {
+  return {
+    updateSlideProperties: {
+      objectId: slideId,
+      slideProperties: { isSkipped: hidden },
+      fields: 'isSkipped'
+    }
+  };
+}
+
+/**
+ * Clone a template slide and fill it. `{{tokens}}` are replaced with the
+ * content's values (and cleared when there is none); slots and placeholders
+ * without a token get their text replaced. The clone is shown even though
+ * its template is hidden, and its speaker notes are replaced by
+ * `content.notes` (or cleared).
+ * @param {string} slideId - ID for the clone
+ * @param {Object} template - Template slide from LayoutAnalyzer.extractTemplateSlides
+ * @param {Object} content - Content object
+ * @param {Object} options - Slide options plus `{ position, templateIndex }`: 0-based target and current template index
+ */
+function buildTemplateSlideRequests(slideId, template, content, options = {}) {
+  const { position, templateIndex } = options;
+  const objectIds = { [template.objectId]: slideId };
+  template.elementIds.forEach((elementId, index) => {
+    objectIds[elementId] = `${slideId}_e${index}`;
+  });
+  const notesId = template.notesObjectId ? `${slideId}_notes` : null;
+  if (notesId) {
+    objectIds[template.notesObjectId] = notesId;
+  }
+
+  const requests = [
+    { duplicateObject: { objectId: template.objectId, objectIds } },
+    hideSlideRequest(slideId, false)
+  ];
+  if (position !== undefined) {
+    // The clone starts right after its template; insertionIndex counts it
+    requests.push({
+      updateSlidesPosition: {
+        slideObjectIds: [slideId],
+        insertionIndex: position <= templateIndex ? position : position + 1
+      }
+    });
+  }
+
+  // Tokens are replaced with plain text, so Markdown is reduced to its text
+  const values = ContentMatcher.getTokenValues(content);
+  if (options.markdown !== false) {
+    ['title', 'subtitle', 'body', 'bullets', ...(content.columns || []).map((column, index) => `column${index + 1}`)]
+      .filter(token => values[token])
+      .forEach(token => { values[token] = MarkdownText.toPlainText(values[token]); });
+  }
+  template.tokens.forEach(token => {
+    requests.push({
+      replaceAllText: {
+        containsText: { text: `{{${token}}}`, matchCase: true },
+        replaceText: values[token] || '',
+        pageObjectIds: [slideId]
+      }
+    });
+  });
+
+  // Text without a token goes into its placeholder or slot, replacing the sample text
+  ContentMatcher.getTextTargets(content, template).forEach(({ role, placeholder, paragraphs }) => {
+    const targetId = placeholder && objectIds[placeholder.objectId];
+    const tokenNames = role === 'body' ? ['body', 'bullets'] : [role.replace(/^slot:/, '')];
+    if (!targetId || tokenNames.some(name => template.tokens.includes(name))) {
+      return;
+    }
+
+    if (!paragraphs) {
+      requests.push({
+        replaceImage: {
+          imageObjectId: targetId,
+          url: String(content.slots[role.replace(/^slot:/, '')]),
+          imageReplaceMethod: 'CENTER_INSIDE'
+        }
+      });
+      return;
+    }
+    if (template.textElementIds.includes(placeholder.objectId)) {
+      requests.push({ deleteText: { objectId: targetId, textRange: { type: 'ALL' } } });
+    }
+    requests.push(...buildTextRequests(targetId, MarkdownText.parse(paragraphs.join('\n'), options), options));
+  });
+
+  // The clone carries its template's notes, `template:` tag included
+  if (notesId) {
+    requests.push({ deleteText: { objectId: notesId, textRange: { type: 'ALL' } } });
+    if (content.notes) {
+      requests.push(...buildTextRequests(notesId, MarkdownText.parse(String(content.notes), options), options));
+    }
+  }
+
+  return requests;
+}
+
+/**
+ * Write `content.notes` (Markdown, see MarkdownText) into the speaker notes
+ * of slides made by createSlide. Clones get theirs in the creation batch
+ * (see buildTemplateSlideRequests), but a created slide's notes shape gets
+ * its ID from the API, so these notes follow in a second batch, pinned to
+ * the revision the creation batch produced (`options.revisionId`; without
+ * it, the revision read with the notes shapes). An edit in between, or any
+ * other failure, leaves the slides without notes: it is reported with the
+ * slides concerned, not thrown.
+ * @param {Array} slides - `{ slideId, content }` per written slide
+ * @returns {Promise<Object|null>} `{ written, error }` (plus `slideIds` when
+ *   not written), or null without notes
+ */
+async function writeSpeakerNotes(client, presentationId, slides, options = {}) {
+  const withNotes = slides.filter(slide => slide.content.notes);
+  if (withNotes.length === 0) {
+    return null;
+  }
+  if (options.mode === 'templateSlide') {
+    return { written: true, error: null };
+  }
+
+  try {
+    const { revisionId, slides: pages = [] } = await client.getPresentation(presentationId, {
+      fields: 'revisionId,slides(objectId,slideProperties.notesPage.notesProperties)'
+    });
+    const requests = withNotes.flatMap(({ slideId, content }) => {
+      const page = pages.find(candidate => candidate.objectId === slideId);
+      const notesId = page?.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId;
+      if (!notesId) {
+        throw new Error(`Slide ${slideId} has no speaker notes shape`);
+      }
+      return buildTextRequests(notesId, MarkdownText.parse(String(content.notes), options), options);
+    });
+
+    await client.batchUpdate(presentationId, requests, { requiredRevisionId: options.revisionId || revisionId });
+    return { written: true, error: null };
+  } catch (error) {
+    console.error('Speaker notes error:', error);
+    return {
+      written: false,
+      error: `Slides were created without their speaker notes: ${error.message}`,
+      slideIds: withNotes.map(slide => slide.slideId)
+    };
+  }
+}
+
+/**
+ * Every slide written for one content item (more than one when it was split)
+ */
+function describeCreatedSlides(client, presentationId, slides) {
+  return slides.map(slide => ({
+    slideId: slide.slideId,
+    slideUrl: client.generateSlideUrl(presentationId, slide.slideId),
+    layoutUsed: slide.matchResult.bestLayout.displayName,
+    title: slide.content.title || null,
+    continuation: slide.continuation,
+    overflowRisk: slide.matchResult.fit.overflowRisk
+  }));
+}
+
+/**
+ * Page elements made by a creation batch: placeholders a new slide gets from
+ * its layout, elements copied with a cloned template slide, and the shapes
+ * and images added to either. Text and property updates make none.
+ */
+function countCreatedElements(slides, requests) {
+  const copied = slides.reduce((count, slide) => count + (slide.matchResult.bestLayout.elementIds?.length || 0), 0);
+  return requests.reduce((count, request) => {
+    if (request.createSlide) {
+      return count + (request.createSlide.placeholderIdMappings?.length || 0);
+    }
+    return count + (request.createShape || request.createImage ? 1 : 0);
+  }, copied);
+}
+
+function generateUniqueId() {
+  return `id_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function calculateConfidence(score, layoutCount) {
+  // Calculate confidence based on score and available options
+  const normalizedScore = Math.min(100, Math.max(0, score));
+  const optionsPenalty = Math.max(0, (layoutCount - 1) * 2); // More options = lower confidence
+  const adjustedScore = Math.max(0, normalizedScore - optionsPenalty);
+  
+  if (adjustedScore >= 80) return 'very-high';
+  if (adjustedScore >= 65) return 'high';
+  if (adjustedScore >= 45) return 'medium';
+  if (adjustedScore >= 25) return 'low';
+  return 'very-low';
+}
+
+/**
+ * Explain a match from the score breakdowns, so the explanation, the
+ * reasoning string and the scores cannot disagree
+ */
+function generateDetailedExplanation(contentAnalysis, matchResult) {
+  const selectedLayout = matchResult.bestLayout;
+  const explanation = {
+    contentFactors: [],
+    layoutFactors: [],
+    scoreBreakdown: selectedLayout.scoreBreakdown,
+    matchingReason: '',
+    alternatives: []
+  };
+
+  // Content factors
+  if (contentAnalysis.hasTitle) explanation.contentFactors.push('Contains title text');
+  if (contentAnalysis.hasBody) explanation.contentFactors.push('Contains body text');
+  if (contentAnalysis.hasImage) explanation.contentFactors.push('Contains image content');
+  if (contentAnalysis.hasBullets) explanation.contentFactors.push('Contains bullet points');
+  explanation.contentFactors.push(`Content type: ${contentAnalysis.contentType}`);
+  explanation.contentFactors.push(`Content length: ${contentAnalysis.contentLength}`);
+
+  // Layout factors
+  const placeholderTypes = selectedLayout.placeholders.map(p => p.type);
+  explanation.layoutFactors.push(`Layout: ${selectedLayout.displayName}`);
+  explanation.layoutFactors.push(`Placeholders: ${placeholderTypes.join(', ')}`);
+  explanation.layoutFactors.push(`Compatibility score: ${selectedLayout.score}/100`);
+  if (selectedLayout.fit?.fillRatio !== null && selectedLayout.fit?.fillRatio !== undefined) {
+    explanation.layoutFactors.push(`Estimated text fill: ${Math.round(selectedLayout.fit.fillRatio * 100)}% of available lines`);
+  }
+
+  // Matching reason: the rules that added points
+  const reasons = selectedLayout.scoreBreakdown.rules
+    .filter(({ points }) => points > 0)
+    .map(({ reason }) => reason.charAt(0).toLowerCase() + reason.slice(1));
+  
+  explanation.matchingReason = reasons.length > 0 
+    ? `Selected because ${reasons.join(' and ')}`
+    : 'Selected as best available option based on scoring algorithm';
+
+  // Alternatives, with the rules that separate them from the selection
+  explanation.alternatives = matchResult.alternatives.map(layout => {
+    const differences = ContentMatcher.compareScores(selectedLayout, layout);
+    return {
+      displayName: layout.displayName,
+      score: layout.score,
+      differences,
+      reason: differences.length > 0
+        ? differences.map(({ reason, difference }) => `${reason} (${difference > 0 ? '+' : ''}${difference} for ${selectedLayout.displayName})`).join('; ')
+        : `Scores the same as ${selectedLayout.displayName}`
+    };
+  });
+
+  return explanation;
+}
+
+function buildSlideRequests(slideId, layout, content, options = {}) {
+  const requests = [];
+  
+  // Create slide request
+  const createSlideRequest = {
+    createSlide: {
+      objectId: slideId,
+      slideLayoutReference: {
+        layoutId: layout.objectId
+      }
+    }
+  };
+  
+  // Add insertion index if specified
+  if (options.insertIndex !== undefined) {
+    createSlideRequest.createSlide.insertionIndex = options.insertIndex;
+  }
+  
+  requests.push(createSlideRequest);
+
+  // The layout's placeholder IDs belong to the layout itself; give the slide's
+  // copies IDs of our own so the content lands on the new slide
+  const placeholderIdMappings = [];
+  const slidePlaceholderId = placeholder => {
+    let mapping = placeholderIdMappings.find(m => m.layoutPlaceholderObjectId === placeholder.objectId);
+    if (!mapping) {
+      mapping = { layoutPlaceholderObjectId: placeholder.objectId, objectId: `${slideId}_p${placeholderIdMappings.length}` };
+      placeholderIdMappings.push(mapping);
+    }
+    return mapping.objectId;
+  };
+
+  // Group placeholders by type
+  const placeholdersByType = {};
+  layout.placeholders.forEach(placeholder => {
+    if (!placeholdersByType[placeholder.type]) {
+      placeholdersByType[placeholder.type] = [];
+    }
+    placeholdersByType[placeholder.type].push(placeholder);
+  });
+  const titlePlaceholders = placeholdersByType.TITLE || placeholdersByType.CENTERED_TITLE;
+
+  // Insert title
+  if (content.title && titlePlaceholders) {
+    requests.push(...buildTextRequests(slidePlaceholderId(titlePlaceholders[0]), MarkdownText.parse(content.title, options), options));
+  }
+
+  // Insert body content, then bullets as a native list
+  const hasBullets = Boolean(content.bullets && content.bullets.length > 0);
+  if ((content.body || hasBullets) && placeholdersByType.BODY) {
+    requests.push(...buildBodyRequests(slidePlaceholderId(placeholdersByType.BODY[0]), content, options));
+  }
+
+  // Insert subtitle
+  if (content.subtitle && placeholdersByType.SUBTITLE) {
+    requests.push(...buildTextRequests(slidePlaceholderId(placeholdersByType.SUBTITLE[0]), MarkdownText.parse(content.subtitle, options), options));
+  }
+
+  // Images into picture placeholders, the rest into a grid
+  requests.push(...buildImageRequests(slideId, layout, content, slidePlaceholderId, options));
+
+  // Handle multiple columns (stock two-column layouts use a pair of BODY placeholders)
+  const columnPlaceholders = placeholdersByType.CONTENT ||
+    (!content.body && !hasBullets && placeholdersByType.BODY?.length > 1 ? placeholdersByType.BODY : null);
+  if (content.columns && columnPlaceholders) {
+    content.columns.forEach((columnContent, index) => {
+      if (columnPlaceholders[index]) {
+        requests.push(...buildTextRequests(slidePlaceholderId(columnPlaceholders[index]), MarkdownText.parse(columnContent, options), options));
+      }
+    });
+  }
+
+  // Named-shape slots addressed by key
+  if (content.slots) {
+    requests.push(...buildSlotRequests(slideId, layout, content.slots, slidePlaceholderId));
+  }
+
+  if (placeholderIdMappings.length > 0) {
+    createSlideRequest.createSlide.placeholderIdMappings = placeholderIdMappings;
+  }
+
+  return requests;
+}
+
+const DEFAULT_BULLET_PRESET = 'BULLET_DISC_CIRCLE_SQUARE';
+const DEFAULT_NUMBERED_PRESET = 'NUMBERED_DIGIT_ALPHA_ROMAN';
+
+/**
+ * Body text followed by `content.bullets` (see ContentMatcher.getBulletItems)
+ * in one shape. The body is Markdown unless `options.markdown` is false;
+ * bullet items are list paragraphs whose text may use inline Markdown.
+ */
+function buildBodyRequests(objectId, content, options = {}) {
+  const markdown = options.markdown !== false;
+  const body = content.body
+    ? (markdown ? MarkdownText.toParagraphs(content.body) : MarkdownText.splitLines(content.body).map(text => ({ text, level: 0, list: null })))
+    : [];
+  const bullets = ContentMatcher.getBulletItems(content.bullets)
+    .map(({ text, level }) => ({ text: text.replace(/\n/g, ' '), level, list: 'bullet' }));
+
+  return buildTextRequests(objectId, MarkdownText.build([...body, ...bullets], { inline: markdown }), options);
+}
+
+/**
+ * Insert text from MarkdownText, style its ranges, then create its lists.
+ * Lists go last-first: createParagraphBullets removes the nesting tabs,
+ * which shifts everything after the list. `options.bulletPreset` and
+ * `options.numberedPreset` pick the glyphs of bulleted and numbered lists.
+ * @param {string} objectId - Shape to write into (empty)
+ * @param {Object} rich - `{ text, styles, lists }` from MarkdownText
+ */
+function buildTextRequests(objectId, { text, styles, lists }, options = {}) {
+  if (!text) {
+    return [];
+  }
+  const range = ({ startIndex, endIndex }) => ({ type: 'FIXED_RANGE', startIndex, endIndex });
+
+  return [
+    { insertText: { objectId, text, insertionIndex: 0 } },
+    ...styles.map(({ style, fields, ...indices }) => ({
+      updateTextStyle: { objectId, textRange: range(indices), style, fields }
+    })),
+    ...[...lists].reverse().map(list => ({
+      createParagraphBullets: {
+        objectId,
+        textRange: range(list),
+        bulletPreset: list.ordered
+          ? options.numberedPreset || DEFAULT_NUMBERED_PRESET
+          : options.bulletPreset || DEFAULT_BULLET_PRESET
+      }
+    }))
+  ];
+}
+
+const GRID_MARGIN_EMU = 311700;
+const GRID_GAP_EMU = 152400;
+const CAPTION_HEIGHT_EMU = 320040;
+const CAPTION_FONT_SIZE = 12;
+
+/**
+ * Place `content.images` (see ContentMatcher.getImages). They fill the
+ * layout's PICTURE placeholders in reading order; images left over are
+ * created in a grid over the area below the title. A caption goes in a
+ * text box under its image.
+ */
+function buildImageRequests(slideId, layout, content, slidePlaceholderId, options = {}) {
+  const requests = [];
+  const captions = [];
+  const images = ContentMatcher.getImages(content);
+  const pictures = layout.placeholders.filter(placeholder => placeholder.type === 'PICTURE').sort(compareReadingOrder);
+  const page = pageBounds(options.pageSize);
+
+  images.slice(0, pictures.length).forEach((image, index) => {
+    const picture = pictures[index];
+    requests.push({
+      replaceImage: {
+        imageObjectId: slidePlaceholderId(picture),
+        url: image.url,
+        imageReplaceMethod: options.imageReplaceMethod || 'CENTER_INSIDE'
+      }
+    });
+    if (image.caption && picture.bounds) {
+      const { x, y, width, height } = picture.bounds;
+      captions.push({
+        text: image.caption,
+        bounds: { x, y: Math.min(y + height, page.height - CAPTION_HEIGHT_EMU), width, height: CAPTION_HEIGHT_EMU }
+      });
+    }
+  });
+
+  const gridImages = images.slice(pictures.length);
+  const title = layout.placeholders.find(placeholder =>
+    (placeholder.type === 'TITLE' || placeholder.type === 'CENTERED_TITLE') && placeholder.bounds
+  );
+  const top = title ? title.bounds.y + title.bounds.height + GRID_GAP_EMU : GRID_MARGIN_EMU;
+  const cells = computeImageGrid(gridImages.length, {
+    x: GRID_MARGIN_EMU,
+    y: top,
+    width: page.width - 2 * GRID_MARGIN_EMU,
+    height: page.height - GRID_MARGIN_EMU - top
+  });
+  const captionHeight = gridImages.some(image => image.caption) ? CAPTION_HEIGHT_EMU : 0;
+
+  gridImages.forEach((image, index) => {
+    const cell = cells[index];
+    const imageHeight = cell.height - captionHeight;
+    requests.push({
+      createImage: {
+        objectId: `${slideId}_i${index}`,
+        url: image.url,
+        elementProperties: elementPropertiesFor(slideId, { ...cell, height: imageHeight })
+      }
+    });
+    if (image.caption) {
+      captions.push({ text: image.caption, bounds: { ...cell, y: cell.y + imageHeight, height: CAPTION_HEIGHT_EMU } });
+    }
+  });
+
+  captions.forEach(({ text, bounds }, index) => {
+    const objectId = `${slideId}_ic${index}`;
+    requests.push(
+      { createShape: { objectId, shapeType: 'TEXT_BOX', elementProperties: elementPropertiesFor(slideId, bounds) } },
+      { insertText: { objectId, text, insertionIndex: 0 } },
+      {
+        updateTextStyle: {
+          objectId,
+          style: { fontSize: { magnitude: CAPTION_FONT_SIZE, unit: 'PT' } },
+          textRange: { type: 'ALL' },
+          fields: 'fontSize'
+        }
+      }
+    );
+  });
+
+  return requests;
+}
+
+/**
+ * Split a region into equal cells for `count` images, with about as many
+ * columns per row as the region's shape suggests
+ * @returns {Array} `{ x, y, width, height }` per image, row by row
+ */
+function computeImageGrid(count, region) {
+  if (count === 0) {
+    return [];
+  }
+
+  const columns = Math.max(1, Math.min(count, Math.round(Math.sqrt(count * region.width / region.height))));
+  const rows = Math.ceil(count / columns);
+  const width = Math.floor((region.width - GRID_GAP_EMU * (columns - 1)) / columns);
+  const height = Math.floor((region.height - GRID_GAP_EMU * (rows - 1)) / rows);
+
+  return Array.from({ length: count }, (_, index) => ({
+    x: region.x + (index % columns) * (width + GRID_GAP_EMU),
+    y: region.y + Math.floor(index / columns) * (height + GRID_GAP_EMU),
+    width,
+    height
+  }));
+}
+
+// Top to bottom, then left to right; shapes overlapping by half their height share a row
+function compareReadingOrder(a, b) {
+  if (!a.bounds || !b.bounds) {
+    return Boolean(b.bounds) - Boolean(a.bounds);
+  }
+  const sameRow = Math.abs(a.bounds.y - b.bounds.y) < Math.min(a.bounds.height, b.bounds.height) / 2;
+  return sameRow ? a.bounds.x - b.bounds.x : a.bounds.y - b.bounds.y;
+}
+
+// Page size in EMU, defaulting to the standard 16:9 page
+function pageBounds(pageSize) {
+  const toEmu = dimension => (dimension?.unit === 'PT' ? dimension.magnitude * LayoutAnalyzer.EMU_PER_POINT : dimension?.magnitude);
+  return {
+    width: toEmu(pageSize?.width) || 9144000,
+    height: toEmu(pageSize?.height) || 5143500
+  };
+}
+
+function elementPropertiesFor(pageObjectId, bounds) {
+  return {
+    pageObjectId,
+    size: {
+      width: { magnitude: bounds.width, unit: 'EMU' },
+      height: { magnitude: bounds.height, unit: 'EMU' }
+    },
+    transform: { scaleX: 1, scaleY: 1, translateX: bounds.x, translateY: bounds.y, unit: 'EMU' }
+  };
+}
+
+/**
+ * Write `content.slots` values into a layout's `slot:<key>` shapes.
+ * Slot placeholders are filled on the slide's copy. Other layout shapes are
+ * not copied onto slides, so a text box (or image) is created in their place,
+ * with the slot's position, size and text style.
+ */
+function buildSlotRequests(slideId, layout, values, slidePlaceholderId) {
+  const requests = [];
+
+  (layout.slots || []).forEach((slot, index) => {
+    const value = values[slot.key];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    if (slot.placeholderType) {
+      const objectId = slidePlaceholderId(slot);
+      requests.push(slot.kind === 'image'
+        ? { replaceImage: { imageObjectId: objectId, url: String(value), imageReplaceMethod: 'CENTER_INSIDE' } }
+        : { insertText: { objectId, text: String(value), insertionIndex: 0 } });
+      return;
+    }
+    if (!slot.bounds) {
+      return;
+    }
+
+    const objectId = `${slideId}_s${index}`;
+    const elementProperties = elementPropertiesFor(slideId, slot.bounds);
+
+    if (slot.kind === 'image') {
+      requests.push({ createImage: { objectId, url: String(value), elementProperties } });
+      return;
+    }
+
+    requests.push(
+      { createShape: { objectId, shapeType: 'TEXT_BOX', elementProperties } },
+      { insertText: { objectId, text: String(value), insertionIndex: 0 } }
+    );
+
+    const { textStyle } = slot;
+    if (textStyle) {
+      const style = {};
+      if (textStyle.fontFamily) style.fontFamily = textStyle.fontFamily;
+      if (textStyle.fontSize) style.fontSize = { magnitude: textStyle.fontSize, unit: 'PT' };
+      if (textStyle.bold !== undefined) style.bold = textStyle.bold;
+      if (textStyle.italic !== undefined) style.italic = textStyle.italic;
+      if (textStyle.foregroundColor) style.foregroundColor = { opaqueColor: textStyle.foregroundColor };
+
+      if (Object.keys(style).length > 0) {
+        requests.push({
+          updateTextStyle: {
+            objectId,
+            style,
+            textRange: { type: 'ALL' },
+            fields: Object.keys(style).join(',')
+          }
+        });
+      }
+    }
+  });
+
+  return requests;
+}
+
+// Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
   res.status(500).json({
@@ -466,10 +1996,12 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`Google Slides service running on port ${port}`);
-  console.log(`Health check: http://localhost:${port}/health`);
-});
+// Start server (tests load the app without listening)
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Google Slides service running on port ${port}`);
+    console.log(`Health check: http://localhost:${port}/health`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
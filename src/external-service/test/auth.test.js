@@ -0,0 +1,97 @@
+/**
+ * Access to the service's default credentials: API keys, the impersonation
+ * allowlist, and what /health reveals
+ */
+
+const request = require('supertest');
+const AuthHandler = require('../../core/auth-handler');
+
+const SERVICE_ACCOUNT = { client_email: 'automation@project.iam.gserviceaccount.com', private_key: 'not-a-real-key' };
+const ENV = {
+  GOOGLE_SERVICE_ACCOUNT_KEY: JSON.stringify(SERVICE_ACCOUNT),
+  SERVICE_API_KEYS: 'first-key, second-key',
+  ALLOWED_IMPERSONATE_SUBJECTS: 'ann@example.com'
+};
+
+// Stands in for google.auth.JWT; never asked for a token here
+class FakeJWT {
+  constructor(options) {
+    this.options = options;
+  }
+}
+
+let app;
+let savedEnv;
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  savedEnv = { ...process.env };
+  Object.assign(process.env, ENV);
+  jest.isolateModules(() => {
+    app = require('../server');
+  });
+});
+
+afterAll(() => {
+  process.env = savedEnv;
+});
+
+describe('GET /health', () => {
+  test('names the credential type without the account behind it', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.body.auth).toEqual({ type: 'service_account' });
+    expect(JSON.stringify(res.body)).not.toContain(SERVICE_ACCOUNT.client_email);
+  });
+});
+
+describe('default credentials', () => {
+  test('are not used for callers without an API key', async () => {
+    const res = await request(app).post('/api/read-slides').send({ presentationId: 'deck' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/X-API-Key/);
+  });
+
+  test('reject an unknown API key', async () => {
+    const res = await request(app)
+      .post('/api/read-slides')
+      .set('X-API-Key', 'guess')
+      .send({ presentationId: 'deck' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ success: false, error: 'Invalid API key' });
+  });
+
+  test('refuse impersonation without an API key', async () => {
+    const res = await request(app)
+      .post('/api/read-slides')
+      .send({ presentationId: 'deck', impersonate: 'ann@example.com' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('refuse impersonating a user outside the allowlist', async () => {
+    const res = await request(app)
+      .post('/api/read-slides')
+      .set('X-API-Key', 'second-key')
+      .send({ presentationId: 'deck', impersonate: 'ceo@example.com' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/ceo@example\.com/);
+  });
+});
+
+describe('ServiceAccountProvider.forSubject', () => {
+  test('keeps a bounded number of delegates, dropping the least recently used', () => {
+    const provider = new AuthHandler.ServiceAccountProvider({ credentials: SERVICE_ACCOUNT, maxDelegates: 2 }, FakeJWT);
+
+    const ann = provider.forSubject('ann@example.com');
+    provider.forSubject('ben@example.com');
+    expect(provider.forSubject('ann@example.com')).toBe(ann);
+    provider.forSubject('cy@example.com');
+
+    expect([...provider.delegates.keys()]).toEqual(['ann@example.com', 'cy@example.com']);
+    expect(ann.jwtClient.options.subject).toBe('ann@example.com');
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Splitting overflowing body text (ContentMatcher.getBodyUnits)
+ */
+
+const ContentMatcher = require('../../core/content-matcher');
+
+const fitsTen = text => text.length <= 10;
+
+describe('ContentMatcher.getBodyUnits', () => {
+  test('keeps a paragraph of punctuation alone as one unit', () => {
+    const paragraph = '!'.repeat(30);
+
+    expect(ContentMatcher.getBodyUnits(paragraph, fitsTen)).toEqual([{ text: paragraph, newParagraph: true }]);
+  });
+
+  test('keeps punctuation before the first sentence', () => {
+    const units = ContentMatcher.getBodyUnits('...Wait. Then go', fitsTen);
+
+    expect(units.map(unit => unit.text)).toEqual(['...Wait.', 'Then go']);
+    expect(ContentMatcher.joinUnits(units)).toBe('...Wait. Then go');
+  });
+});
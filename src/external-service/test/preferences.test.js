@@ -0,0 +1,72 @@
+/**
+ * Saving learned preferences to PREFERENCES_FILE
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const API_KEY = 'test-key';
+const feedback = title => ({ templateKey: 'deck', content: { title }, chosenLayout: 'Title only' });
+
+let dir;
+let savedEnv;
+
+// A server instance of its own, saving to the given file
+const loadServer = preferencesFile => {
+  let app;
+  Object.assign(process.env, { SERVICE_API_KEYS: API_KEY, PREFERENCES_FILE: preferencesFile });
+  jest.isolateModules(() => {
+    app = require('../server');
+  });
+  return app;
+};
+
+const waitFor = async check => {
+  for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return check();
+};
+
+beforeAll(() => {
+  savedEnv = { ...process.env };
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preferences-'));
+});
+
+afterAll(() => {
+  process.env = savedEnv;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('saves feedback without blocking the request', async () => {
+  const file = path.join(dir, 'preferences.json');
+  const app = loadServer(file);
+  const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+
+  for (const title of ['One', 'Two', 'Three']) {
+    const res = await request(app).post('/api/feedback').set('X-API-Key', API_KEY).send(feedback(title));
+    expect(res.status).toBe(201);
+  }
+
+  const recordCount = () => {
+    const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    return saved?.templates?.deck?.records?.length || 0;
+  };
+  expect(await waitFor(() => recordCount() === 3)).toBe(true);
+  expect(writeFileSync).not.toHaveBeenCalled();
+  writeFileSync.mockRestore();
+});
+
+test('reports a failed save without failing the request', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const app = loadServer(path.join(dir, 'missing', 'preferences.json'));
+
+  const res = await request(app).post('/api/feedback').set('X-API-Key', API_KEY).send(feedback('One'));
+
+  expect(res.status).toBe(201);
+  expect(await waitFor(() => error.mock.calls.length > 0)).toBe(true);
+  expect(error.mock.calls[0][0]).toMatch(/save preferences/);
+  error.mockRestore();
+});
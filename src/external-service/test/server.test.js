@@ -0,0 +1,541 @@
+/**
+ * End-to-end tests: the service's routes against the in-memory Slides API
+ * emulator, loaded with the sample fixture deck
+ */
+
+const request = require('supertest');
+const SlidesEmulator = require('../emulator/slides-emulator');
+const createEmulatorApp = require('../emulator/app');
+const { loadSampleFixtures } = require('../emulator/fixtures');
+
+const PRESENTATION_ID = 'emulator-template';
+const ACCESS_TOKEN = 'test-token';
+const API_KEY = 'test-key';
+
+let emulator;
+let emulatorServer;
+let app;
+
+beforeAll(done => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  emulator = new SlidesEmulator({ presentations: loadSampleFixtures() });
+  emulatorServer = createEmulatorApp(emulator).listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${emulatorServer.address().port}`;
+    process.env.SLIDES_API_BASE_URL = `${baseUrl}/v1`;
+    process.env.DRIVE_API_BASE_URL = `${baseUrl}/drive/v3`;
+    process.env.SERVICE_API_KEYS = API_KEY;
+    app = require('../server');
+    done();
+  });
+});
+
+afterAll(done => {
+  emulatorServer.closeAllConnections();
+  emulatorServer.close(done);
+});
+
+beforeEach(() => {
+  emulator.reset();
+  loadSampleFixtures().forEach(presentation => emulator.loadPresentation(presentation));
+  return request(app).delete('/api/layout-cache').set('X-API-Key', API_KEY);
+});
+
+const post = (path, body) => request(app).post(path).send({ accessToken: ACCESS_TOKEN, ...body });
+
+describe('GET /health', () => {
+  test('reports the service as healthy', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('healthy');
+  });
+});
+
+describe('POST /api/extract-layouts', () => {
+  test('lists the deck layouts, then serves them from the cache', async () => {
+    const first = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+
+    expect(first.status).toBe(200);
+    expect(first.body.success).toBe(true);
+    expect(first.body.layouts.map(layout => layout.displayName)).toEqual(
+      expect.arrayContaining(['Title slide', 'Title and body', 'Section header'])
+    );
+    expect(first.body.templateSlides.map(template => template.name)).toEqual(['quote']);
+    expect(first.body.cache.source).toBe('fetched');
+
+    const second = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+    expect(second.body.cache.source).toBe('cache');
+  });
+
+  test('downloads only the template slides in full', async () => {
+    const SlidesClient = require('../../core/slides-client');
+    const getPresentation = jest.spyOn(SlidesClient.prototype, 'getPresentation');
+    const getPage = jest.spyOn(SlidesClient.prototype, 'getPage');
+
+    try {
+      const res = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+
+      expect(getPresentation.mock.calls[0][1].fields).toMatch(/slides\(objectId,slideProperties\.notesPage\)/);
+      expect(getPage.mock.calls.map(([, pageObjectId]) => pageObjectId)).toEqual([res.body.templateSlides[0].objectId]);
+      expect(res.body.templateSlides[0].tokens.length).toBeGreaterThan(0);
+    } finally {
+      getPresentation.mockRestore();
+      getPage.mockRestore();
+    }
+  });
+
+  test('rejects a request without a presentationId', async () => {
+    const res = await post('/api/extract-layouts', {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/presentationId/);
+  });
+
+  test('reports API failures', async () => {
+    const res = await post('/api/extract-layouts', { presentationId: 'missing-deck' });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ success: false, error: expect.stringMatching(/not found/i) });
+    expect(res.body.timestamp).toEqual(expect.any(String));
+  });
+
+  test('checks that a caller can read the deck before serving it from the cache', async () => {
+    await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+    emulator.injectFault({ status: 403, method: 'get', message: 'The caller does not have permission' });
+
+    const res = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ success: false, error: expect.stringMatching(/permission/) });
+    expect(res.body.layouts).toBeUndefined();
+  });
+
+  test('caps the retries a caller can ask for', async () => {
+    emulator.injectFault({ status: 503, method: 'get', times: 100 });
+
+    const res = await post('/api/extract-layouts', {
+      presentationId: PRESENTATION_ID,
+      options: { retry: { maxRetries: 1000, baseDelayMs: 0, maxDelayMs: 0, deadlineMs: 0 } }
+    });
+
+    expect(res.status).toBe(500);
+    expect(emulator.faults[0].times).toBe(100 - 7);
+  });
+});
+
+describe('/api/layout-cache', () => {
+  beforeEach(() => post('/api/extract-layouts', { presentationId: PRESENTATION_ID }));
+
+  test('requires a service API key', async () => {
+    const list = await request(app).get('/api/layout-cache');
+    const entry = await request(app).get(`/api/layout-cache/${PRESENTATION_ID}`);
+    const drop = await request(app).delete(`/api/layout-cache/${PRESENTATION_ID}`);
+
+    expect([list.status, entry.status, drop.status]).toEqual([401, 401, 401]);
+    expect(entry.body.entry).toBeUndefined();
+    const kept = await request(app).get('/api/layout-cache').set('X-API-Key', API_KEY);
+    expect(kept.body.size).toBe(1);
+  });
+
+  test('serves the cached entry to key holders', async () => {
+    const res = await request(app).get(`/api/layout-cache/${PRESENTATION_ID}`).set('X-API-Key', API_KEY);
+
+    expect(res.status).toBe(200);
+    expect(res.body.entry.presentationId).toBe(PRESENTATION_ID);
+  });
+});
+
+describe('POST /api/match-layout', () => {
+  let layouts;
+
+  beforeEach(async () => {
+    ({ body: { layouts } } = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID }));
+  });
+
+  test('picks a layout and explains the alternatives', async () => {
+    const res = await request(app).post('/api/match-layout').send({
+      content: { title: 'Results', body: 'Revenue grew in every region.' },
+      layouts
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.selectedLayout.displayName).toBe('Title and body');
+    expect(res.body.selection.mode).toBe('scored');
+    expect(res.body.alternatives.length).toBeGreaterThan(0);
+    expect(res.body.selectedLayout.scoreBreakdown.rules.length).toBeGreaterThan(0);
+  });
+
+  test('honours a forced layout', async () => {
+    const res = await request(app).post('/api/match-layout').send({
+      content: { title: 'Results' },
+      layouts,
+      options: { layout: 'Section header' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.selectedLayout.displayName).toBe('Section header');
+    expect(res.body.selection.mode).toBe('forced');
+  });
+
+  test('categorizes layouts by display name as the layout analyzer does', async () => {
+    const res = await request(app).post('/api/match-layout').send({
+      content: { title: 'Results' },
+      layouts,
+      options: { layout: 'Section header' }
+    });
+
+    expect(res.body.selectedLayout.scoreBreakdown.rules).toContainEqual(
+      expect.objectContaining({ rule: 'categoryScores', reason: expect.stringMatching(/suits sectionHeader layout/) })
+    );
+  });
+
+  test('keeps a category score set to 0 instead of falling back to general', async () => {
+    const res = await request(app).post('/api/match-layout').send({
+      content: { title: 'Steps', bullets: ['One', 'Two', 'Three', 'Four', 'Five', 'Six'] },
+      layouts,
+      options: {
+        layout: 'Title and two columns',
+        customWeights: { categoryScores: { 'list-heavy': { titleAndTwoColumns: 0 } } }
+      }
+    });
+
+    expect(res.body.selectedLayout.scoreBreakdown.rules.map(({ rule }) => rule)).not.toContain('categoryScores');
+  });
+
+  test('rejects a malformed layout selector with a 400', async () => {
+    const res = await request(app).post('/api/match-layout').send({
+      content: { title: 'Results' },
+      layouts,
+      options: { layout: '/[unclosed/' }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: expect.any(String) });
+  });
+
+  test('requires content and layouts', async () => {
+    const res = await request(app).post('/api/match-layout').send({ content: { title: 'x' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('content and layouts are required');
+  });
+});
+
+describe('layout feedback', () => {
+  const feedback = { templateKey: PRESENTATION_ID, content: { title: 'Results' }, chosenLayout: 'Title only' };
+  const withKey = req => req.set('X-API-Key', API_KEY);
+
+  afterEach(() => withKey(request(app).delete('/api/preferences')));
+
+  test('requires a service API key to record, read or reset preferences', async () => {
+    const recorded = await request(app).post('/api/feedback').send(feedback);
+    const read = await request(app).get('/api/preferences');
+    const reset = await request(app).delete('/api/preferences');
+
+    expect([recorded.status, read.status, reset.status]).toEqual([401, 401, 401]);
+    const exported = await withKey(request(app).get('/api/preferences'));
+    expect(exported.body.templates).toEqual({});
+  });
+
+  test('records feedback from key holders', async () => {
+    const recorded = await withKey(request(app).post('/api/feedback')).send(feedback);
+    const read = await withKey(request(app).get(`/api/preferences/${PRESENTATION_ID}`));
+
+    expect(recorded.status).toBe(201);
+    expect(read.status).toBe(200);
+    expect(Object.keys(read.body.templates)).toEqual([PRESENTATION_ID]);
+  });
+});
+
+describe('POST /api/create-slide and /api/read-slides', () => {
+  test('creates a slide that reads back as the same content', async () => {
+    const content = {
+      title: 'Plan',
+      body: 'Three steps:',
+      bullets: ['Research', { text: 'Build', children: ['API', 'UI'] }, 'Ship']
+    };
+    const created = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content,
+      options: { layout: 'Title and body' }
+    });
+
+    expect(created.status).toBe(200);
+    expect(created.body.success).toBe(true);
+    expect(created.body.layoutUsed.displayName).toBe('Title and body');
+    expect(created.body.createdSlides).toHaveLength(1);
+
+    const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID, slideIds: [created.body.slideId] });
+
+    expect(read.status).toBe(200);
+    expect(read.body.slides).toHaveLength(1);
+    expect(read.body.slides[0].layout.displayName).toBe('Title and body');
+    expect(read.body.slides[0].content).toEqual(content);
+  });
+
+  test('writes Markdown as styled text', async () => {
+    const created = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'Plan for **Q3**' },
+      options: { layout: 'Title only' }
+    });
+    const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID, slideIds: [created.body.slideId] });
+
+    expect(read.body.slides[0].content.title).toBe('Plan for Q3');
+  });
+
+  test('rejects a request without content', async () => {
+    const res = await post('/api/create-slide', { presentationId: PRESENTATION_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/content/);
+  });
+
+  test('rejects a malformed layout selector with a 400', async () => {
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'x' },
+      options: { layout: '/[unclosed/' }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, presentationId: PRESENTATION_ID });
+  });
+
+  test('reports a failed write without creating the slide', async () => {
+    const before = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+    emulator.injectFault({ status: 403, method: 'batchUpdate', message: 'The caller does not have permission' });
+
+    const res = await post('/api/create-slide', { presentationId: PRESENTATION_ID, content: { title: 'x' } });
+    const after = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ success: false, error: expect.stringMatching(/permission/) });
+    expect(after.body.slideCount).toBe(before.body.slideCount);
+  });
+
+  test('counts the elements a cloned template slide brings, not the batch requests', async () => {
+    const { body: { templateSlides } } = await post('/api/extract-layouts', { presentationId: PRESENTATION_ID });
+
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { quote: 'Ship it', author: 'Ann' },
+      options: { mode: 'templateSlide' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.elementsCreated).toBe(templateSlides[0].elementIds.length);
+  });
+
+  test('rejects cloning a template slide deleted since the deck was loaded', async () => {
+    const SlidesClient = require('../../core/slides-client');
+    const getSlideOrder = SlidesClient.prototype.getSlideOrder;
+    const spy = jest.spyOn(SlidesClient.prototype, 'getSlideOrder').mockImplementation(async function (...args) {
+      const { slides, revisionId } = await getSlideOrder.apply(this, args);
+      return { slides: slides.filter(slide => slide.objectId !== 's_tpl_quote'), revisionId };
+    });
+    const before = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+
+    try {
+      const res = await post('/api/create-slide', {
+        presentationId: PRESENTATION_ID,
+        content: { quote: 'Ship it', author: 'Ann' },
+        options: { mode: 'templateSlide' }
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/no longer in the presentation/);
+      const after = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+      expect(after.body.slideCount).toBe(before.body.slideCount);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('read-slides requires a presentationId', async () => {
+    const res = await post('/api/read-slides', {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/presentationId/);
+  });
+
+  test('read-slides skips unknown slide IDs', async () => {
+    const res = await post('/api/read-slides', { presentationId: PRESENTATION_ID, slideIds: ['no_such_slide'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.slides).toEqual([]);
+  });
+});
+
+describe('revision conflicts', () => {
+  // Apply the next batch, then answer as if a replay of it had met a newer
+  // revision: the slide exists although the write was reported as a conflict
+  const conflictAfterApplying = () => {
+    const batchUpdate = emulator.batchUpdate;
+    emulator.batchUpdate = function (...args) {
+      emulator.batchUpdate = batchUpdate;
+      batchUpdate.apply(this, args);
+      throw new SlidesEmulator.EmulatorError(400, 'FAILED_PRECONDITION', 'The required revision ID does not match the latest revision of the presentation.');
+    };
+  };
+
+  test('reports a slide the conflicting batch already created', async () => {
+    conflictAfterApplying();
+
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'Plan', body: 'Three steps' },
+      options: { layout: 'Title and body' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.createdSlides).toEqual([
+      expect.objectContaining({ slideId: res.body.slideId, layoutUsed: 'Title and body', continuation: false })
+    ]);
+    expect(res.body.elementsCreated).toBeGreaterThan(0);
+
+    const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+    expect(read.body.slides.filter(slide => slide.slideId === res.body.slideId)).toHaveLength(1);
+  });
+
+  test('recognizes its own batch when a replay follows a lost response', async () => {
+    const SlidesClient = require('../../core/slides-client');
+    const fetchWithDeadline = SlidesClient.prototype.fetchWithDeadline;
+    const spy = jest.spyOn(SlidesClient.prototype, 'fetchWithDeadline').mockImplementation(async function (url, ...args) {
+      const response = await fetchWithDeadline.call(this, url, ...args);
+      if (url.endsWith(':batchUpdate') && spy.mock.calls.filter(([called]) => called === url).length === 1) {
+        throw new Error('socket hang up');
+      }
+      return response;
+    });
+
+    try {
+      const res = await post('/api/create-slide', {
+        presentationId: PRESENTATION_ID,
+        content: { title: 'Plan' },
+        options: { layout: 'Title only' }
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.createdSlides).toHaveLength(1);
+      const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID });
+      expect(read.body.slides.filter(slide => slide.content.title === 'Plan')).toHaveLength(1);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('re-matches and writes again when the batch was not applied', async () => {
+    emulator.injectFault({ status: 400, method: 'batchUpdate', message: 'The required revision ID does not match.' });
+
+    const res = await post('/api/create-slide', { presentationId: PRESENTATION_ID, content: { title: 'Plan' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.batchUpdateResponse.conflictRetries).toBe(1);
+  });
+});
+
+describe('speaker notes', () => {
+  const countBatches = () => {
+    const calls = [];
+    const batchUpdate = emulator.batchUpdate;
+    emulator.batchUpdate = function (...args) {
+      calls.push(args[1].requests);
+      return batchUpdate.apply(this, args);
+    };
+    return calls;
+  };
+  const readNotes = async slideId => {
+    const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID, slideIds: [slideId] });
+    return read.body.slides[0].notes;
+  };
+
+  afterEach(() => {
+    delete emulator.batchUpdate;
+  });
+
+  test('writes notes of a cloned template slide in the creation batch', async () => {
+    const calls = countBatches();
+
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { quote: 'Ship it', author: 'Ann', notes: 'Pause *here*' },
+      options: { mode: 'templateSlide' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.notes).toEqual({ written: true, error: null });
+    expect(calls).toHaveLength(1);
+    expect(await readNotes(res.body.slideId)).toBe('Pause here');
+  });
+
+  test('clears the template tag from a clone without notes', async () => {
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { quote: 'Ship it', author: 'Ann' },
+      options: { mode: 'templateSlide' }
+    });
+
+    expect(res.body.notes).toBeNull();
+    expect(await readNotes(res.body.slideId)).toBeFalsy();
+  });
+
+  test('writes notes of a new slide after creating it', async () => {
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'Results', notes: 'Thank the **team**' }
+    });
+
+    expect(res.body.notes).toEqual({ written: true, error: null });
+    expect(await readNotes(res.body.slideId)).toBe('Thank the team');
+  });
+
+  test('reports failed notes apart from the created slide', async () => {
+    const batchUpdate = emulator.batchUpdate;
+    let calls = 0;
+    emulator.batchUpdate = function (...args) {
+      if (++calls === 2) {
+        throw new SlidesEmulator.EmulatorError(403, 'PERMISSION_DENIED', 'The caller does not have permission');
+      }
+      return batchUpdate.apply(this, args);
+    };
+
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'Results', notes: 'Thank the team' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.notes).toEqual({
+      written: false,
+      error: expect.stringMatching(/without their speaker notes.*permission/),
+      slideIds: [res.body.slideId]
+    });
+    const read = await post('/api/read-slides', { presentationId: PRESENTATION_ID, slideIds: [res.body.slideId] });
+    expect(read.body.slides).toHaveLength(1);
+  });
+
+  test('does not write notes over an edit made after the slide was created', async () => {
+    const batchUpdate = emulator.batchUpdate;
+    let calls = 0;
+    emulator.batchUpdate = function (presentationId, body) {
+      const response = batchUpdate.call(this, presentationId, body);
+      if (++calls === 1) {
+        // Someone else edits the deck between the two batches
+        batchUpdate.call(this, presentationId, { requests: [{ createSlide: { objectId: 'other_edit' } }] });
+      }
+      return response;
+    };
+
+    const res = await post('/api/create-slide', {
+      presentationId: PRESENTATION_ID,
+      content: { title: 'Results', notes: 'Thank the team' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.notes).toMatchObject({ written: false, slideIds: [res.body.slideId] });
+    expect(res.body.notes.error).toMatch(/revision/i);
+    expect(await readNotes(res.body.slideId)).toBeFalsy();
+  });
+});
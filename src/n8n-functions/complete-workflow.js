@@ -7,6 +7,8 @@
  * 3. Create slide with content
  * 
  * Expected input: $json with 'deckId' and 'content' properties
+ * Set options.mode to 'templateSlide' to clone a slide tagged
+ * "template:<name>" in its speaker notes instead of using a layout.
  * Required credentials: Google OAuth2 API in n8n
  */
 
@@ -92,6 +94,49 @@ class LayoutAnalyzer {
 
     return placeholders;
   }
+
+  // Slides tagged "template:<name>" in their speaker notes
+  static extractTemplateSlides(presentation) {
+    return (presentation.slides || []).map((slide, slideIndex) => {
+      const notesPage = slide.slideProperties?.notesPage;
+      const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+      const notes = (notesPage?.pageElements || []).find(element => element.objectId === notesId);
+      const match = /(?:^|\s)template:([A-Za-z0-9_-]+)/.exec(this.getText(notes));
+      if (!match) {
+        return null;
+      }
+
+      const elements = this.flattenElements(slide.pageElements);
+      const tokens = new Set();
+      elements.forEach(element => {
+        for (const token of this.getText(element).matchAll(/\{\{([A-Za-z0-9_.-]+)\}\}/g)) {
+          tokens.add(token[1]);
+        }
+      });
+
+      return {
+        objectId: slide.objectId,
+        displayName: match[1],
+        slideIndex: slideIndex + 1,
+        skipped: Boolean(slide.slideProperties?.isSkipped),
+        tokens: [...tokens],
+        elementIds: elements.map(element => element.objectId),
+        notesObjectId: slide.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId || null
+      };
+    }).filter(Boolean);
+  }
+
+  static getText(element) {
+    return (element?.shape?.text?.textElements || [])
+      .map(textElement => textElement.textRun?.content || '')
+      .join('');
+  }
+
+  static flattenElements(elements) {
+    return (elements || []).flatMap(element =>
+      [element, ...this.flattenElements(element.elementGroup?.children)]
+    );
+  }
 }
 
 // Content Matching Functions
@@ -188,19 +233,183 @@ class ContentMatcher {
   }
 }
 
+// Markdown subset (bold, italic, inline code, links, line breaks, lists) as
+// text plus style and list ranges. List paragraphs keep a leading tab per
+// nesting level, which createParagraphBullets turns into levels and removes,
+// so styles are applied first and lists last-first.
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const LINE_BREAK = '\u000b';
+const CODE_FONT = 'Roboto Mono';
+
+function markdownParagraphs(markdown, enabled = true) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  if (!enabled) return lines.map(text => ({ text, level: 0, list: null }));
+
+  const paragraphs = [];
+  let hardBreak = false;
+  lines.forEach(line => {
+    const item = line.match(LIST_ITEM_PATTERN);
+    const previous = paragraphs[paragraphs.length - 1];
+    if (hardBreak && !item && line.trim()) {
+      previous.text += LINE_BREAK + line.trim();
+    } else if (item) {
+      const maxLevel = previous?.list ? previous.level + 1 : 0;
+      const level = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), maxLevel);
+      paragraphs.push({ text: item[3], level, list: /\d/.test(item[2]) ? 'ordered' : 'bullet' });
+    } else {
+      paragraphs.push({ text: line, level: 0, list: null });
+    }
+    // Two trailing spaces or a backslash: line break, same paragraph
+    hardBreak = / {2,}$|\\$/.test(line);
+    if (hardBreak) {
+      const last = paragraphs[paragraphs.length - 1];
+      last.text = last.text.replace(/(\s*\\|\s+)$/, '');
+    }
+  });
+  return paragraphs;
+}
+
+// Styled segments of one paragraph; unclosed markers stay as text
+function parseInlineMarkdown(markdown, style = {}) {
+  const source = String(markdown ?? '');
+  const segments = [];
+  const push = (text, segmentStyle = style) => segments.push({ text, style: segmentStyle });
+
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const wordBefore = i > 0 && /\w/.test(source[i - 1]);
+    let match;
+    if ((match = rest.match(/^\\([\\`*_[\]()#+\-.!<>])/))) {
+      push(match[1]);
+    } else if ((match = rest.match(/^`([^`]+)`/))) {
+      push(match[1], { ...style, fontFamily: CODE_FONT });
+    } else if ((match = rest.match(/^\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, bold: true, italic: true }));
+    } else if ((match = rest.match(/^\*\*(?=\S)([\s\S]*?\S)\*\*/)) ||
+               (!wordBefore && (match = rest.match(/^__(?=\S)([\s\S]*?\S)__(?!\w)/)))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, bold: true }));
+    } else if ((match = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/)) ||
+               (!wordBefore && (match = rest.match(/^_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/)))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, italic: true }));
+    } else if ((match = rest.match(/^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)/))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, link: { url: match[2] } }));
+    } else if ((match = rest.match(/^<br\s*\/?>/i))) {
+      push(LINE_BREAK);
+    } else {
+      match = [source[i]];
+      push(source[i]);
+    }
+    i += match[0].length;
+  }
+  return segments.filter(segment => segment.text);
+}
+
+function buildRichText(paragraphs, inline = true) {
+  let text = '';
+  const styles = [];
+  const lists = [];
+  let run = null;
+
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) text += '\n';
+    const start = text.length;
+    if (paragraph.list) text += '\t'.repeat(paragraph.level || 0);
+
+    const segments = inline ? parseInlineMarkdown(paragraph.text) : [{ text: paragraph.text, style: {} }];
+    segments.forEach(segment => {
+      const segmentStart = text.length;
+      text += segment.text;
+      if (Object.keys(segment.style).length === 0) return;
+      const last = styles[styles.length - 1];
+      if (last && last.endIndex === segmentStart && JSON.stringify(last.style) === JSON.stringify(segment.style)) {
+        last.endIndex = text.length;
+      } else {
+        styles.push({ startIndex: segmentStart, endIndex: text.length, style: segment.style, fields: Object.keys(segment.style).join(',') });
+      }
+    });
+
+    if (!paragraph.list) {
+      run = null;
+      return;
+    }
+    // A top-level item of the other kind starts a new list
+    const ordered = paragraph.list === 'ordered';
+    if (!run || (!paragraph.level && run.ordered !== ordered)) {
+      run = { startIndex: start, endIndex: text.length, ordered };
+      lists.push(run);
+    } else {
+      run.endIndex = text.length;
+    }
+  });
+  return { text, styles, lists };
+}
+
+function parseMarkdown(markdown, options = {}) {
+  const enabled = options.markdown !== false;
+  return buildRichText(markdownParagraphs(markdown, enabled), enabled);
+}
+
+function prepareTextRequests(objectId, { text, styles, lists }, options = {}) {
+  if (!text) return [];
+  const range = ({ startIndex, endIndex }) => ({ type: 'FIXED_RANGE', startIndex, endIndex });
+
+  return [
+    { insertText: { objectId, text, insertionIndex: 0 } },
+    ...styles.map(({ style, fields, ...indices }) => ({ updateTextStyle: { objectId, textRange: range(indices), style, fields } })),
+    ...[...lists].reverse().map(list => ({
+      createParagraphBullets: {
+        objectId,
+        textRange: range(list),
+        bulletPreset: list.ordered
+          ? options.numberedPreset || 'NUMBERED_DIGIT_ALPHA_ROMAN'
+          : options.bulletPreset || 'BULLET_DISC_CIRCLE_SQUARE'
+      }
+    }))
+  ];
+}
+
+// Bullets are strings, or { text, children } for nested items; leading tabs
+// in a string also set its level
+function flattenBullets(bullets = [], level = 0) {
+  return (bullets || []).flatMap(item => (item && typeof item === 'object'
+    ? [{ text: String(item.text ?? ''), level }, ...flattenBullets(item.children, level + 1)]
+    : [{ text: String(item ?? '').replace(/^\t+/, ''), level: level + String(item ?? '').match(/^\t*/)[0].length }]));
+}
+
+// Body text (Markdown), then content.bullets as list items in the same shape
+function prepareBodyRequests(objectId, content, options = {}) {
+  const enabled = options.markdown !== false;
+  const bullets = flattenBullets(content.bullets).map(({ text, level }) => ({ text: text.replace(/\n/g, ' '), level, list: 'bullet' }));
+  const paragraphs = [...(content.body ? markdownParagraphs(content.body, enabled) : []), ...bullets];
+  return prepareTextRequests(objectId, buildRichText(paragraphs, enabled), options);
+}
+
 // Slide Creation Functions
 function prepareSlideRequests(layout, content, slideId) {
   const requests = [];
   
   // Create slide
-  requests.push({
+  const createSlideRequest = {
     createSlide: {
       objectId: slideId,
       slideLayoutReference: {
         layoutId: layout.objectId
       }
     }
-  });
+  };
+  requests.push(createSlideRequest);
+
+  // Write into the slide's copies of the layout placeholders, not the layout's own
+  const placeholderIdMappings = [];
+  const slidePlaceholderId = placeholder => {
+    let mapping = placeholderIdMappings.find(m => m.layoutPlaceholderObjectId === placeholder.objectId);
+    if (!mapping) {
+      mapping = { layoutPlaceholderObjectId: placeholder.objectId, objectId: `${slideId}_p${placeholderIdMappings.length}` };
+      placeholderIdMappings.push(mapping);
+    }
+    return mapping.objectId;
+  };
 
   // Group placeholders by type
   const placeholdersByType = {};
@@ -210,60 +419,162 @@ function prepareSlideRequests(layout, content, slideId) {
     }
     placeholdersByType[placeholder.type].push(placeholder);
   });
+  const titlePlaceholders = placeholdersByType.TITLE || placeholdersByType.CENTERED_TITLE;
 
   // Insert title
-  if (content.title && placeholdersByType.TITLE) {
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.TITLE[0].objectId,
-        text: content.title,
-        insertionIndex: 0
-      }
-    });
+  if (content.title && titlePlaceholders) {
+    requests.push(...prepareTextRequests(slidePlaceholderId(titlePlaceholders[0]), parseMarkdown(content.title, options), options));
   }
 
-  // Insert body content
-  if (content.body && placeholdersByType.BODY) {
-    let bodyText = content.body;
-    
-    // Handle bullets
-    if (content.bullets && content.bullets.length > 0) {
-      bodyText = content.bullets.map(bullet => `• ${bullet}`).join('\n');
-    }
-    
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.BODY[0].objectId,
-        text: bodyText,
-        insertionIndex: 0
-      }
-    });
+  // Insert body content, then bullets as a native list
+  const hasBullets = Boolean(content.bullets && content.bullets.length > 0);
+  if ((content.body || hasBullets) && placeholdersByType.BODY) {
+    requests.push(...prepareBodyRequests(slidePlaceholderId(placeholdersByType.BODY[0]), content, options));
   }
 
   // Insert subtitle
   if (content.subtitle && placeholdersByType.SUBTITLE) {
-    requests.push({
-      insertText: {
-        objectId: placeholdersByType.SUBTITLE[0].objectId,
-        text: content.subtitle,
-        insertionIndex: 0
-      }
-    });
+    requests.push(...prepareTextRequests(slidePlaceholderId(placeholdersByType.SUBTITLE[0]), parseMarkdown(content.subtitle, options), options));
   }
 
   // Replace image
   if (content.imageUrl && placeholdersByType.PICTURE) {
     requests.push({
       replaceImage: {
-        imageObjectId: placeholdersByType.PICTURE[0].objectId,
+        imageObjectId: slidePlaceholderId(placeholdersByType.PICTURE[0]),
         url: content.imageUrl
       }
     });
   }
 
+  if (placeholderIdMappings.length > 0) {
+    createSlideRequest.createSlide.placeholderIdMappings = placeholderIdMappings;
+  }
+
   return requests;
 }
 
+// Template Slide Functions
+function markdownToPlainText(markdown) {
+  return markdownParagraphs(markdown)
+    .map(paragraph => {
+      const text = parseInlineMarkdown(paragraph.text).map(segment => segment.text).join('');
+      return paragraph.list ? `${'  '.repeat(paragraph.level)}• ${text}` : text;
+    })
+    .join('\n');
+}
+
+function getTokenValues(content) {
+  const bullets = flattenBullets(content.bullets).map(({ text, level }) => `${'  '.repeat(level)}• ${text}`).join('\n');
+  const values = {
+    title: content.title,
+    subtitle: content.subtitle,
+    body: content.body || bullets,
+    bullets
+  };
+  (content.columns || []).forEach((column, index) => {
+    values[`column${index + 1}`] = Array.isArray(column) ? column.join('\n') : column;
+  });
+  // Tokens take plain text, so Markdown is reduced to its text
+  if (options.markdown !== false) {
+    Object.keys(values).filter(key => values[key]).forEach(key => {
+      values[key] = markdownToPlainText(values[key]);
+    });
+  }
+  Object.assign(values, content.slots || {});
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+}
+
+// Pick the template whose tokens the content fills best
+function selectTemplateSlide(content, templates) {
+  const values = getTokenValues(content);
+  const scored = templates.map(template => {
+    const filled = template.tokens.filter(token => values[token]).length;
+    return { ...template, score: Math.max(0, Math.min(100, 10 * filled - 5 * (template.tokens.length - filled))) };
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  const best = scored[0];
+  const empty = best.tokens.filter(token => !values[token]);
+  const reasons = [`Template fills ${best.tokens.length - empty.length} of ${best.tokens.length} tokens`];
+  if (empty.length > 0) {
+    reasons.push(`Tokens left empty: ${empty.join(', ')}`);
+  }
+  reasons.push(`Score: ${best.score}`);
+
+  return { bestLayout: best, reasoning: reasons.join(' | ') };
+}
+
+// Clone the template in front of the template slides and fill its tokens
+function prepareTemplateSlideRequests(template, content, slideId, position, templates) {
+  const objectIds = { [template.objectId]: slideId };
+  template.elementIds.forEach((elementId, index) => {
+    objectIds[elementId] = `${slideId}_e${index}`;
+  });
+  const notesId = template.notesObjectId ? `${slideId}_notes` : null;
+  if (notesId) {
+    objectIds[template.notesObjectId] = notesId;
+  }
+
+  const values = getTokenValues(content);
+  const requests = [
+    { duplicateObject: { objectId: template.objectId, objectIds } },
+    { updateSlideProperties: { objectId: slideId, slideProperties: { isSkipped: false }, fields: 'isSkipped' } },
+    // insertionIndex counts the clone, which sits right after its template
+    { updateSlidesPosition: { slideObjectIds: [slideId], insertionIndex: position < template.slideIndex ? position : position + 1 } },
+    ...template.tokens.map(token => ({
+      replaceAllText: {
+        containsText: { text: `{{${token}}}`, matchCase: true },
+        replaceText: values[token] || '',
+        pageObjectIds: [slideId]
+      }
+    }))
+  ];
+
+  // The clone's notes carry the template's `template:` tag; replace them
+  if (notesId) {
+    requests.push({ deleteText: { objectId: notesId, textRange: { type: 'ALL' } } });
+    if (content.notes) {
+      requests.push(...prepareTextRequests(notesId, parseMarkdown(String(content.notes), options), options));
+    }
+  }
+
+  // Templates stay hidden
+  templates.filter(other => !other.skipped).forEach(other => {
+    requests.push({ updateSlideProperties: { objectId: other.objectId, slideProperties: { isSkipped: true }, fields: 'isSkipped' } });
+  });
+
+  return requests;
+}
+
+// Speaker notes (Markdown) of a slide made by createSlide: its notes shape
+// ID is only known once the slide exists, so they follow in a second batch,
+// pinned to the revision the first produced. The slide is there by then, so
+// a failure (e.g. an edit in between) is reported rather than thrown.
+async function writeSpeakerNotes(slideId, notes, revisionId) {
+  try {
+    const page = await makeRequest(
+      `https://slides.googleapis.com/v1/presentations/${deckId}/pages/${slideId}`
+    );
+    const notesId = page.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId;
+    if (!notesId) {
+      throw new Error(`Slide ${slideId} has no speaker notes shape`);
+    }
+    await makeRequest(
+      `https://slides.googleapis.com/v1/presentations/${deckId}:batchUpdate`,
+      'POST',
+      {
+        requests: prepareTextRequests(notesId, parseMarkdown(String(notes), options), options),
+        ...(revisionId ? { writeControl: { requiredRevisionId: revisionId } } : {})
+      }
+    );
+    return { written: true, error: null };
+  } catch (error) {
+    return { written: false, error: `Slide was created without its speaker notes: ${error.message}`, slideIds: [slideId] };
+  }
+}
+
 // Main workflow execution
 async function executeCompleteWorkflow() {
   const workflow = {
@@ -281,20 +592,28 @@ async function executeCompleteWorkflow() {
       `https://slides.googleapis.com/v1/presentations/${deckId}`
     );
     
+    const templateMode = options.mode === 'templateSlide';
     const layouts = LayoutAnalyzer.extractLayouts(presentation);
+    const templates = LayoutAnalyzer.extractTemplateSlides(presentation);
     
-    if (layouts.length === 0) {
+    if (templateMode && templates.length === 0) {
+      throw new Error('No template slides found (tag a slide with "template:<name>" in its speaker notes)');
+    }
+    if (!templateMode && layouts.length === 0) {
       throw new Error('No layouts found in presentation');
     }
     
     workflow.results.layoutsFound = layouts.length;
+    workflow.results.templateSlidesFound = templates.length;
     workflow.results.presentationTitle = presentation.title;
 
     // Step 2: Analyze content and select layout
     workflow.step = 2;
     workflow.status = 'selecting_layout';
     
-    const matchResult = ContentMatcher.findBestLayout(content, layouts);
+    const matchResult = templateMode
+      ? selectTemplateSlide(content, templates)
+      : ContentMatcher.findBestLayout(content, layouts);
     const selectedLayout = matchResult.bestLayout;
     
     workflow.results.contentAnalysis = matchResult.contentAnalysis;
@@ -310,7 +629,15 @@ async function executeCompleteWorkflow() {
     workflow.status = 'creating_slide';
     
     const slideId = generateId();
-    const requests = prepareSlideRequests(selectedLayout, content, slideId);
+    const requests = templateMode
+      ? prepareTemplateSlideRequests(
+        selectedLayout,
+        content,
+        slideId,
+        options.insertIndex ?? Math.min(...templates.map(template => template.slideIndex - 1)),
+        templates
+      )
+      : prepareSlideRequests(selectedLayout, content, slideId);
     
     const batchResponse = await makeRequest(
       `https://slides.googleapis.com/v1/presentations/${deckId}:batchUpdate`,
@@ -318,6 +645,12 @@ async function executeCompleteWorkflow() {
       { requests }
     );
 
+    // Clones get their notes in the batch above
+    let notes = null;
+    if (content.notes) {
+      notes = templateMode ? { written: true, error: null } : await writeSpeakerNotes(slideId, content.notes, batchResponse.writeControl?.requiredRevisionId);
+    }
+
     // Step 4: Finalize results
     workflow.step = 4;
     workflow.status = 'completed';
@@ -327,7 +660,7 @@ async function executeCompleteWorkflow() {
     workflow.results.slideCreated = {
       slideId,
       slideUrl,
-      elementsCreated: requests.length - 1, // Exclude createSlide request
+      elementsCreated: templateMode ? selectedLayout.elementIds.length : requests.length - 1, // Exclude createSlide request
       batchUpdateSuccess: Boolean(batchResponse.replies)
     };
 
@@ -337,7 +670,9 @@ async function executeCompleteWorkflow() {
       slideId,
       slideUrl,
       presentationId: deckId,
+      mode: templateMode ? 'templateSlide' : 'layout',
       layoutUsed: selectedLayout.displayName,
+      notes,
       contentAnalysis: matchResult.contentAnalysis,
       reasoning: matchResult.reasoning,
       confidence: selectedLayout.score > 70 ? 'high' : 
@@ -16,6 +16,7 @@ const accessToken = credentials.access_token;
 const deckId = $json.deckId;
 const layout = $json.layout || $json.selectedLayout;
 const content = $json.content;
+const options = $json.options || {};
 
 if (!deckId) {
   throw new Error('deckId is required in input data');
@@ -57,19 +58,26 @@ async function createSlideWithContent() {
   const requests = [];
   
   // 1. Create slide with layout
-  requests.push({
+  const createSlideRequest = {
     createSlide: {
       objectId: slideId,
       slideLayoutReference: {
         layoutId: layout.objectId
       }
     }
-  });
+  };
+  requests.push(createSlideRequest);
 
   // 2. Prepare content insertion requests
-  const contentRequests = prepareContentRequests(layout, content, slideId);
+  const placeholderIdMappings = [];
+  const contentRequests = prepareContentRequests(layout, content, slideId, placeholderIdMappings);
   requests.push(...contentRequests);
 
+  // Content targets the slide's copies of the layout placeholders
+  if (placeholderIdMappings.length > 0) {
+    createSlideRequest.createSlide.placeholderIdMappings = placeholderIdMappings;
+  }
+
   // 3. Execute batch update
   const batchResponse = await makeRequest(
     `https://slides.googleapis.com/v1/presentations/${deckId}:batchUpdate`,
@@ -77,17 +85,208 @@ async function createSlideWithContent() {
     { requests }
   );
 
+  // 4. Speaker notes: the notes shape ID is only known once the slide exists
+  const notes = content.notes ? await writeSpeakerNotes(slideId, content.notes, batchResponse.writeControl?.requiredRevisionId) : null;
+
   return {
     slideId,
     batchResponse,
-    contentRequests
+    contentRequests,
+    notes
   };
 }
 
-// Prepare content insertion requests based on layout placeholders
-function prepareContentRequests(layout, content, slideId) {
+// Markdown subset (bold, italic, inline code, links, line breaks, lists) as
+// text plus style and list ranges. List paragraphs keep a leading tab per
+// nesting level, which createParagraphBullets turns into levels and removes,
+// so styles are applied first and lists last-first.
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const LINE_BREAK = '\u000b';
+const CODE_FONT = 'Roboto Mono';
+
+function markdownParagraphs(markdown, enabled = true) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  if (!enabled) return lines.map(text => ({ text, level: 0, list: null }));
+
+  const paragraphs = [];
+  let hardBreak = false;
+  lines.forEach(line => {
+    const item = line.match(LIST_ITEM_PATTERN);
+    const previous = paragraphs[paragraphs.length - 1];
+    if (hardBreak && !item && line.trim()) {
+      previous.text += LINE_BREAK + line.trim();
+    } else if (item) {
+      const maxLevel = previous?.list ? previous.level + 1 : 0;
+      const level = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), maxLevel);
+      paragraphs.push({ text: item[3], level, list: /\d/.test(item[2]) ? 'ordered' : 'bullet' });
+    } else {
+      paragraphs.push({ text: line, level: 0, list: null });
+    }
+    // Two trailing spaces or a backslash: line break, same paragraph
+    hardBreak = / {2,}$|\\$/.test(line);
+    if (hardBreak) {
+      const last = paragraphs[paragraphs.length - 1];
+      last.text = last.text.replace(/(\s*\\|\s+)$/, '');
+    }
+  });
+  return paragraphs;
+}
+
+// Styled segments of one paragraph; unclosed markers stay as text
+function parseInlineMarkdown(markdown, style = {}) {
+  const source = String(markdown ?? '');
+  const segments = [];
+  const push = (text, segmentStyle = style) => segments.push({ text, style: segmentStyle });
+
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const wordBefore = i > 0 && /\w/.test(source[i - 1]);
+    let match;
+    if ((match = rest.match(/^\\([\\`*_[\]()#+\-.!<>])/))) {
+      push(match[1]);
+    } else if ((match = rest.match(/^`([^`]+)`/))) {
+      push(match[1], { ...style, fontFamily: CODE_FONT });
+    } else if ((match = rest.match(/^\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, bold: true, italic: true }));
+    } else if ((match = rest.match(/^\*\*(?=\S)([\s\S]*?\S)\*\*/)) ||
+               (!wordBefore && (match = rest.match(/^__(?=\S)([\s\S]*?\S)__(?!\w)/)))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, bold: true }));
+    } else if ((match = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/)) ||
+               (!wordBefore && (match = rest.match(/^_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/)))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, italic: true }));
+    } else if ((match = rest.match(/^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)/))) {
+      segments.push(...parseInlineMarkdown(match[1], { ...style, link: { url: match[2] } }));
+    } else if ((match = rest.match(/^<br\s*\/?>/i))) {
+      push(LINE_BREAK);
+    } else {
+      match = [source[i]];
+      push(source[i]);
+    }
+    i += match[0].length;
+  }
+  return segments.filter(segment => segment.text);
+}
+
+function buildRichText(paragraphs, inline = true) {
+  let text = '';
+  const styles = [];
+  const lists = [];
+  let run = null;
+
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) text += '\n';
+    const start = text.length;
+    if (paragraph.list) text += '\t'.repeat(paragraph.level || 0);
+
+    const segments = inline ? parseInlineMarkdown(paragraph.text) : [{ text: paragraph.text, style: {} }];
+    segments.forEach(segment => {
+      const segmentStart = text.length;
+      text += segment.text;
+      if (Object.keys(segment.style).length === 0) return;
+      const last = styles[styles.length - 1];
+      if (last && last.endIndex === segmentStart && JSON.stringify(last.style) === JSON.stringify(segment.style)) {
+        last.endIndex = text.length;
+      } else {
+        styles.push({ startIndex: segmentStart, endIndex: text.length, style: segment.style, fields: Object.keys(segment.style).join(',') });
+      }
+    });
+
+    if (!paragraph.list) {
+      run = null;
+      return;
+    }
+    // A top-level item of the other kind starts a new list
+    const ordered = paragraph.list === 'ordered';
+    if (!run || (!paragraph.level && run.ordered !== ordered)) {
+      run = { startIndex: start, endIndex: text.length, ordered };
+      lists.push(run);
+    } else {
+      run.endIndex = text.length;
+    }
+  });
+  return { text, styles, lists };
+}
+
+function parseMarkdown(markdown, options = {}) {
+  const enabled = options.markdown !== false;
+  return buildRichText(markdownParagraphs(markdown, enabled), enabled);
+}
+
+function prepareTextRequests(objectId, { text, styles, lists }, options = {}) {
+  if (!text) return [];
+  const range = ({ startIndex, endIndex }) => ({ type: 'FIXED_RANGE', startIndex, endIndex });
+
+  return [
+    { insertText: { objectId, text, insertionIndex: 0 } },
+    ...styles.map(({ style, fields, ...indices }) => ({ updateTextStyle: { objectId, textRange: range(indices), style, fields } })),
+    ...[...lists].reverse().map(list => ({
+      createParagraphBullets: {
+        objectId,
+        textRange: range(list),
+        bulletPreset: list.ordered
+          ? options.numberedPreset || 'NUMBERED_DIGIT_ALPHA_ROMAN'
+          : options.bulletPreset || 'BULLET_DISC_CIRCLE_SQUARE'
+      }
+    }))
+  ];
+}
+
+// Bullets are strings, or { text, children } for nested items; leading tabs
+// in a string also set its level
+function flattenBullets(bullets = [], level = 0) {
+  return (bullets || []).flatMap(item => (item && typeof item === 'object'
+    ? [{ text: String(item.text ?? ''), level }, ...flattenBullets(item.children, level + 1)]
+    : [{ text: String(item ?? '').replace(/^\t+/, ''), level: level + String(item ?? '').match(/^\t*/)[0].length }]));
+}
+
+// Body text (Markdown), then content.bullets as list items in the same shape
+function prepareBodyRequests(objectId, content, options = {}) {
+  const enabled = options.markdown !== false;
+  const bullets = flattenBullets(content.bullets).map(({ text, level }) => ({ text: text.replace(/\n/g, ' '), level, list: 'bullet' }));
+  const paragraphs = [...(content.body ? markdownParagraphs(content.body, enabled) : []), ...bullets];
+  return prepareTextRequests(objectId, buildRichText(paragraphs, enabled), options);
+}
+
+// Pinned to the revision the creation batch produced. The slide exists by
+// then, so a failure (e.g. an edit in between) is reported rather than thrown
+async function writeSpeakerNotes(slideId, notes, revisionId) {
+  try {
+    const page = await makeRequest(
+      `https://slides.googleapis.com/v1/presentations/${deckId}/pages/${slideId}`
+    );
+    const notesId = page.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId;
+    if (!notesId) {
+      throw new Error(`Slide ${slideId} has no speaker notes shape`);
+    }
+    await makeRequest(
+      `https://slides.googleapis.com/v1/presentations/${deckId}:batchUpdate`,
+      'POST',
+      {
+        requests: prepareTextRequests(notesId, parseMarkdown(String(notes), options), options),
+        ...(revisionId ? { writeControl: { requiredRevisionId: revisionId } } : {})
+      }
+    );
+    return { written: true, error: null };
+  } catch (error) {
+    return { written: false, error: `Slide was created without its speaker notes: ${error.message}`, slideIds: [slideId] };
+  }
+}
+
+// Prepare content insertion requests based on layout placeholders.
+// Writing to the layout's own placeholder IDs would edit the layout, so each
+// placeholder used gets a slide-level ID recorded in placeholderIdMappings.
+function prepareContentRequests(layout, content, slideId, placeholderIdMappings = []) {
   const requests = [];
   const placeholders = layout.placeholders || [];
+  const slidePlaceholderId = placeholder => {
+    let mapping = placeholderIdMappings.find(m => m.layoutPlaceholderObjectId === placeholder.objectId);
+    if (!mapping) {
+      mapping = { layoutPlaceholderObjectId: placeholder.objectId, objectId: `${slideId}_p${placeholderIdMappings.length}` };
+      placeholderIdMappings.push(mapping);
+    }
+    return mapping.objectId;
+  };
   
   // Group placeholders by type for easier processing
   const placeholdersByType = {};
@@ -99,46 +298,23 @@ function prepareContentRequests(layout, content, slideId) {
   });
 
   // Insert title content
-  if (content.title && placeholdersByType.TITLE) {
-    const titlePlaceholder = placeholdersByType.TITLE[0];
-    requests.push({
-      insertText: {
-        objectId: titlePlaceholder.objectId,
-        text: content.title,
-        insertionIndex: 0
-      }
-    });
+  const titlePlaceholders = placeholdersByType.TITLE || placeholdersByType.CENTERED_TITLE;
+  if (content.title && titlePlaceholders) {
+    const titlePlaceholder = titlePlaceholders[0];
+    requests.push(...prepareTextRequests(slidePlaceholderId(titlePlaceholder), parseMarkdown(content.title, options), options));
   }
 
-  // Insert body content
-  if (content.body && placeholdersByType.BODY) {
+  // Insert body content, then bullets as a native list
+  const hasBullets = Boolean(content.bullets && content.bullets.length > 0);
+  if ((content.body || hasBullets) && placeholdersByType.BODY) {
     const bodyPlaceholder = placeholdersByType.BODY[0];
-    let bodyText = content.body;
-    
-    // Handle bullet points
-    if (content.bullets && content.bullets.length > 0) {
-      bodyText = content.bullets.map(bullet => `• ${bullet}`).join('\n');
-    }
-    
-    requests.push({
-      insertText: {
-        objectId: bodyPlaceholder.objectId,
-        text: bodyText,
-        insertionIndex: 0
-      }
-    });
+    requests.push(...prepareBodyRequests(slidePlaceholderId(bodyPlaceholder), content, options));
   }
 
   // Insert subtitle content
   if (content.subtitle && placeholdersByType.SUBTITLE) {
     const subtitlePlaceholder = placeholdersByType.SUBTITLE[0];
-    requests.push({
-      insertText: {
-        objectId: subtitlePlaceholder.objectId,
-        text: content.subtitle,
-        insertionIndex: 0
-      }
-    });
+    requests.push(...prepareTextRequests(slidePlaceholderId(subtitlePlaceholder), parseMarkdown(content.subtitle, options), options));
   }
 
   // Handle image insertion
@@ -146,54 +322,114 @@ function prepareContentRequests(layout, content, slideId) {
     const imagePlaceholder = placeholdersByType.PICTURE[0];
     requests.push({
       replaceImage: {
-        imageObjectId: imagePlaceholder.objectId,
+        imageObjectId: slidePlaceholderId(imagePlaceholder),
         url: content.imageUrl
       }
     });
   }
 
   // Handle multiple column content
-  if (content.columns && placeholdersByType.CONTENT) {
+  // Stock two-column layouts use a pair of BODY placeholders
+  const columnPlaceholders = placeholdersByType.CONTENT ||
+    (!content.body && !hasBullets && placeholdersByType.BODY?.length > 1 ? placeholdersByType.BODY : null);
+  if (content.columns && columnPlaceholders) {
     content.columns.forEach((columnContent, index) => {
-      if (placeholdersByType.CONTENT[index]) {
-        requests.push({
-          insertText: {
-            objectId: placeholdersByType.CONTENT[index].objectId,
-            text: columnContent,
-            insertionIndex: 0
-          }
-        });
+      if (columnPlaceholders[index]) {
+        requests.push(...prepareTextRequests(slidePlaceholderId(columnPlaceholders[index]), parseMarkdown(columnContent, options), options));
       }
     });
   }
 
+  // Named-shape slots addressed by key
+  if (content.slots) {
+    requests.push(...prepareSlotRequests(layout, content.slots, slideId, slidePlaceholderId));
+  }
+
   // Apply text formatting if specified
   if (content.formatting) {
-    const formatRequests = applyTextFormatting(placeholders, content.formatting);
+    const formatRequests = applyTextFormatting(
+      placeholders.filter(placeholder => placeholderIdMappings.some(m => m.layoutPlaceholderObjectId === placeholder.objectId)),
+      content.formatting,
+      slidePlaceholderId
+    );
     requests.push(...formatRequests);
   }
 
   return requests;
 }
 
-// Apply text formatting to placeholders
-function applyTextFormatting(placeholders, formatting) {
+// Fill the layout's `slot:<key>` shapes. Slot placeholders are filled on the
+// slide's copy; other layout shapes are not copied onto slides, so a text box
+// or image is created over the slot with its position, size and text style.
+function prepareSlotRequests(layout, values, slideId, slidePlaceholderId) {
+  const requests = [];
+
+  (layout.slots || []).forEach((slot, index) => {
+    const value = values[slot.key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (slot.placeholderType) {
+      const objectId = slidePlaceholderId(slot);
+      requests.push(slot.kind === 'image'
+        ? { replaceImage: { imageObjectId: objectId, url: String(value) } }
+        : { insertText: { objectId, text: String(value), insertionIndex: 0 } });
+      return;
+    }
+    if (!slot.bounds) return;
+
+    const objectId = `${slideId}_s${index}`;
+    const elementProperties = {
+      pageObjectId: slideId,
+      size: {
+        width: { magnitude: slot.bounds.width, unit: 'EMU' },
+        height: { magnitude: slot.bounds.height, unit: 'EMU' }
+      },
+      transform: { scaleX: 1, scaleY: 1, translateX: slot.bounds.x, translateY: slot.bounds.y, unit: 'EMU' }
+    };
+
+    if (slot.kind === 'image') {
+      requests.push({ createImage: { objectId, url: String(value), elementProperties } });
+      return;
+    }
+
+    requests.push(
+      { createShape: { objectId, shapeType: 'TEXT_BOX', elementProperties } },
+      { insertText: { objectId, text: String(value), insertionIndex: 0 } }
+    );
+
+    const textStyle = slot.textStyle || {};
+    const style = {};
+    if (textStyle.fontFamily) style.fontFamily = textStyle.fontFamily;
+    if (textStyle.fontSize) style.fontSize = { magnitude: textStyle.fontSize, unit: 'PT' };
+    if (textStyle.bold !== undefined) style.bold = textStyle.bold;
+    if (textStyle.italic !== undefined) style.italic = textStyle.italic;
+    if (textStyle.foregroundColor) style.foregroundColor = { opaqueColor: textStyle.foregroundColor };
+    if (Object.keys(style).length > 0) {
+      requests.push({
+        updateTextStyle: { objectId, style, textRange: { type: 'ALL' }, fields: Object.keys(style).join(',') }
+      });
+    }
+  });
+
+  return requests;
+}
+
+// Apply text formatting to the placeholders that received text
+function applyTextFormatting(placeholders, formatting, slidePlaceholderId) {
   const requests = [];
   
   placeholders.forEach(placeholder => {
-    if (placeholder.type === 'TITLE' && formatting.title) {
+    if ((placeholder.type === 'TITLE' || placeholder.type === 'CENTERED_TITLE') && formatting.title) {
       requests.push({
         updateTextStyle: {
-          objectId: placeholder.objectId,
+          objectId: slidePlaceholderId(placeholder),
           style: {
             fontSize: formatting.title.fontSize ? {
               magnitude: formatting.title.fontSize,
               unit: 'PT'
             } : undefined,
             foregroundColor: formatting.title.color ? {
-              opaqueColor: {
-                rgbColor: parseColor(formatting.title.color)
-              }
+              opaqueColor: parseColor(formatting.title.color)
             } : undefined,
             bold: formatting.title.bold,
             italic: formatting.title.italic
@@ -206,16 +442,14 @@ function applyTextFormatting(placeholders, formatting) {
     if (placeholder.type === 'BODY' && formatting.body) {
       requests.push({
         updateTextStyle: {
-          objectId: placeholder.objectId,
+          objectId: slidePlaceholderId(placeholder),
           style: {
             fontSize: formatting.body.fontSize ? {
               magnitude: formatting.body.fontSize,
               unit: 'PT'
             } : undefined,
             foregroundColor: formatting.body.color ? {
-              opaqueColor: {
-                rgbColor: parseColor(formatting.body.color)
-              }
+              opaqueColor: parseColor(formatting.body.color)
             } : undefined,
             bold: formatting.body.bold,
             italic: formatting.body.italic
@@ -229,15 +463,30 @@ function applyTextFormatting(placeholders, formatting) {
   return requests;
 }
 
-// Parse color string to RGB object
+// Theme color names accepted in formatting, e.g. "accent1" or "dark2"
+const THEME_COLORS = [
+  'DARK1', 'LIGHT1', 'DARK2', 'LIGHT2',
+  'ACCENT1', 'ACCENT2', 'ACCENT3', 'ACCENT4', 'ACCENT5', 'ACCENT6',
+  'HYPERLINK', 'FOLLOWED_HYPERLINK', 'TEXT1', 'BACKGROUND1', 'TEXT2', 'BACKGROUND2'
+];
+
+// Parse color string to an OpaqueColor. Theme colors follow the template's
+// color scheme, so slides stay on-brand when the template changes.
 function parseColor(colorString) {
+  const themeColor = colorString.trim().toUpperCase().replace(/[\s-]/g, '_');
+  if (THEME_COLORS.includes(themeColor)) {
+    return { themeColor };
+  }
+
   // Handle hex colors
   if (colorString.startsWith('#')) {
     const hex = colorString.slice(1);
     return {
-      red: parseInt(hex.substr(0, 2), 16) / 255,
-      green: parseInt(hex.substr(2, 2), 16) / 255,
-      blue: parseInt(hex.substr(4, 2), 16) / 255
+      rgbColor: {
+        red: parseInt(hex.substr(0, 2), 16) / 255,
+        green: parseInt(hex.substr(2, 2), 16) / 255,
+        blue: parseInt(hex.substr(4, 2), 16) / 255
+      }
     };
   }
   
@@ -245,14 +494,16 @@ function parseColor(colorString) {
   const rgbMatch = colorString.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
   if (rgbMatch) {
     return {
-      red: parseInt(rgbMatch[1]) / 255,
-      green: parseInt(rgbMatch[2]) / 255,
-      blue: parseInt(rgbMatch[3]) / 255
+      rgbColor: {
+        red: parseInt(rgbMatch[1]) / 255,
+        green: parseInt(rgbMatch[2]) / 255,
+        blue: parseInt(rgbMatch[3]) / 255
+      }
     };
   }
   
   // Default to black
-  return { red: 0, green: 0, blue: 0 };
+  return { rgbColor: { red: 0, green: 0, blue: 0 } };
 }
 
 // Get update fields for text styling
@@ -284,6 +535,7 @@ try {
       displayName: layout.displayName
     },
     elementsCreated: result.contentRequests.length,
+    notes: result.notes,
     batchUpdateResponse: result.batchResponse,
     timestamp: new Date().toISOString()
   };
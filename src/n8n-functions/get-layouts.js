@@ -2,10 +2,16 @@
  * n8n Function Node: Extract Presentation Layouts
  * 
  * This function retrieves a Google Slides presentation and extracts
- * all available layouts with their placeholders and metadata.
+ * all available layouts with their placeholders, `slot:<key>` shapes and
+ * metadata, the slides tagged `template:<name>` in their speaker notes, and
+ * the theme (color scheme, fonts, backgrounds) of its masters.
  * 
  * Expected input: $json with 'deckId' property
+ *   Optional: 'refreshLayouts' (bypass the cache), 'cacheTtlMs'
  * Required credentials: Google OAuth2 API in n8n
+ *
+ * Layouts are cached in the workflow's static data (see core/layout-cache.js),
+ * so repeated executions only re-check the presentation revision.
  */
 
 // Get OAuth2 access token from n8n credentials
@@ -25,10 +31,11 @@ class SlidesClient {
     this.baseUrl = 'https://slides.googleapis.com/v1';
   }
 
-  async getPresentation(presentationId) {
+  async getPresentation(presentationId, fields = null) {
     const response = await $request({
       method: 'GET',
       url: `${this.baseUrl}/presentations/${presentationId}`,
+      qs: fields ? { fields } : {},
       headers: {
         'Authorization': `Bearer ${this.accessToken}`,
         'Content-Type': 'application/json'
@@ -37,9 +44,105 @@ class SlidesClient {
     });
     return response;
   }
+
+  async getPage(presentationId, pageObjectId) {
+    return await $request({
+      method: 'GET',
+      url: `${this.baseUrl}/presentations/${presentationId}/pages/${pageObjectId}`,
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      json: true
+    });
+  }
+}
+
+// LayoutCache class (inline for n8n)
+class LayoutCache {
+  constructor({ analyze, ttlMs = 5 * 60 * 1000, maxEntries = 50, store = null, version = null, needsPage = null } = {}) {
+    this.analyze = analyze;
+    this.needsPage = needsPage;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.version = version;
+    this.store = store || {};
+    this.store.entries = this.store.entries || {};
+  }
+
+  async resolve(presentationId, fetchPresentation, { forceRefresh = false, fetchPage = null } = {}) {
+    const entry = this.store.entries[presentationId];
+    const now = Date.now();
+
+    if (entry && !forceRefresh && (entry.version ?? null) === this.version) {
+      if (now - entry.validatedAt < this.ttlMs) {
+        return { entry: this.touch(entry), source: 'cache' };
+      }
+
+      const { revisionId } = await fetchPresentation(LayoutCache.REVISION_FIELDS);
+      if (revisionId && revisionId === entry.revisionId) {
+        entry.validatedAt = now;
+        return { entry: this.touch(entry), source: 'revalidated' };
+      }
+    }
+
+    const presentation = await fetchPresentation(LayoutCache.LAYOUT_FIELDS);
+    if (this.needsPage && fetchPage && presentation.slides) {
+      presentation.slides = await Promise.all(presentation.slides.map(slide =>
+        this.needsPage(slide) ? fetchPage(slide.objectId) : slide
+      ));
+    }
+    return { entry: this.set(presentationId, presentation), source: 'fetched' };
+  }
+
+  set(presentationId, presentation) {
+    const now = Date.now();
+    const entry = {
+      presentationId,
+      title: presentation.title,
+      revisionId: presentation.revisionId || null,
+      pageSize: presentation.pageSize || null,
+      ...this.analyze(presentation),
+      version: this.version,
+      fetchedAt: now,
+      validatedAt: now,
+      lastAccessedAt: now,
+      hits: 0
+    };
+
+    this.store.entries[presentationId] = entry;
+    this.evict();
+    return entry;
+  }
+
+  touch(entry) {
+    entry.lastAccessedAt = Date.now();
+    entry.hits++;
+    return entry;
+  }
+
+  evict() {
+    const entries = Object.values(this.store.entries);
+    if (entries.length <= this.maxEntries) {
+      return;
+    }
+
+    entries
+      .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt)
+      .slice(0, entries.length - this.maxEntries)
+      .forEach(entry => {
+        delete this.store.entries[entry.presentationId];
+      });
+  }
 }
 
+// Slides come with their notes page only; tagged template slides are fetched in full
+LayoutCache.LAYOUT_FIELDS = 'presentationId,title,revisionId,pageSize,layouts,masters,slides(objectId,slideProperties.notesPage)';
+LayoutCache.REVISION_FIELDS = 'revisionId';
+
 // LayoutAnalyzer class (inline for n8n)
+// Placeholder geometry, autofit and text style are resolved through
+// parentObjectId, since layouts often inherit them from the master
 class LayoutAnalyzer {
   static extractLayouts(presentation) {
     const layouts = [];
@@ -48,12 +151,15 @@ class LayoutAnalyzer {
       return layouts;
     }
 
+    const inheritance = this.buildInheritanceIndex(presentation);
+
     presentation.layouts.forEach(layout => {
       const layoutInfo = {
         objectId: layout.objectId,
         layoutProperties: layout.layoutProperties,
         displayName: layout.layoutProperties?.displayName || 'Unnamed Layout',
-        placeholders: this.extractPlaceholders(layout)
+        placeholders: this.extractPlaceholders(layout, inheritance),
+        slots: this.extractSlots(layout, inheritance)
       };
       
       layouts.push(layoutInfo);
@@ -62,7 +168,7 @@ class LayoutAnalyzer {
     return layouts;
   }
 
-  static extractPlaceholders(layout) {
+  static extractPlaceholders(layout, inheritance) {
     const placeholders = [];
     
     if (!layout.pageElements) {
@@ -71,16 +177,18 @@ class LayoutAnalyzer {
 
     layout.pageElements.forEach(element => {
       if (element.shape && element.shape.placeholder) {
+        const chain = this.getInheritanceChain(element, inheritance, this.getMasterObjectId(layout));
+        const geometrySource = chain.find(link => link.size && link.transform);
+
         const placeholder = {
           objectId: element.objectId,
           type: element.shape.placeholder.type,
           index: element.shape.placeholder.index,
-          bounds: element.size && element.transform ? {
-            x: element.transform.translateX || 0,
-            y: element.transform.translateY || 0,
-            width: element.size.width?.magnitude || 0,
-            height: element.size.height?.magnitude || 0
-          } : null
+          bounds: geometrySource ? this.getBounds(geometrySource) : null,
+          boundsInheritedFrom: geometrySource && geometrySource !== element ? geometrySource.objectId : null,
+          parentObjectId: element.shape.placeholder.parentObjectId,
+          autofit: this.resolveAutofit(chain),
+          textStyle: this.resolveTextStyle(chain)
         };
         
         placeholders.push(placeholder);
@@ -90,6 +198,295 @@ class LayoutAnalyzer {
     return placeholders;
   }
 
+  // Text boxes, images or placeholders tagged `slot:<key>` in alt text or objectId
+  static extractSlots(page, inheritance) {
+    const slots = [];
+
+    this.flattenElements(page.pageElements).forEach(element => {
+      const tag = this.findSlotTag(element);
+      if (!tag || !(element.shape || element.image)) return;
+
+      const placeholder = element.shape?.placeholder || element.image?.placeholder;
+      const chain = element.shape?.placeholder
+        ? this.getInheritanceChain(element, inheritance, this.getMasterObjectId(page))
+        : [element];
+      const geometrySource = chain.find(link => link.size && link.transform);
+
+      slots.push({
+        key: tag.key,
+        objectId: element.objectId,
+        kind: element.image || placeholder?.type === 'PICTURE' ? 'image' : 'text',
+        placeholderType: placeholder?.type || null,
+        taggedBy: tag.field,
+        bounds: geometrySource ? this.getBounds(geometrySource) : null,
+        textStyle: element.shape ? this.resolveTextStyle(chain) : null
+      });
+    });
+
+    return slots;
+  }
+
+  static findSlotTag(element) {
+    for (const field of ['title', 'description', 'objectId']) {
+      const match = /(?:^|\s)slot:([A-Za-z0-9_-]+)/.exec(element[field] || '');
+      if (match) return { key: match[1], field };
+    }
+    return null;
+  }
+
+  // Slides with a `template:<name>` line in their speaker notes
+  static extractTemplateSlides(presentation) {
+    const inheritance = this.buildInheritanceIndex(presentation);
+    const templates = [];
+
+    (presentation.slides || []).forEach((slide, index) => {
+      const match = /(?:^|\s)template:([A-Za-z0-9_-]+)/.exec(this.getNotesText(slide));
+      if (!match) return;
+
+      templates.push({
+        objectId: slide.objectId,
+        name: match[1],
+        displayName: match[1],
+        slideIndex: index + 1,
+        skipped: Boolean(slide.slideProperties?.isSkipped),
+        layoutObjectId: slide.slideProperties?.layoutObjectId || null,
+        placeholders: this.extractPlaceholders(slide, inheritance),
+        slots: this.extractSlots(slide, inheritance),
+        tokens: this.extractTokens(slide),
+        elementIds: this.flattenElements(slide.pageElements).map(element => element.objectId),
+        notesObjectId: slide.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId || null,
+        textElementIds: this.flattenElements(slide.pageElements)
+          .filter(element => element.shape?.text?.textElements?.some(run => run.textRun?.content?.trim()))
+          .map(element => element.objectId)
+      });
+    });
+
+    return templates;
+  }
+
+  // `{{token}}` names in a slide's text
+  static extractTokens(page) {
+    const tokens = [];
+    this.flattenElements(page.pageElements).forEach(element => {
+      const text = (element.shape?.text?.textElements || []).map(run => run.textRun?.content || '').join('');
+      for (const match of text.matchAll(/\{\{([A-Za-z0-9_.-]+)\}\}/g)) {
+        if (!tokens.includes(match[1])) tokens.push(match[1]);
+      }
+    });
+    return tokens;
+  }
+
+  static getNotesText(slide) {
+    const notesPage = slide.slideProperties?.notesPage;
+    const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+    const shape = (notesPage?.pageElements || []).find(element => element.objectId === notesId)?.shape;
+    return (shape?.text?.textElements || []).map(element => element.textRun?.content || '').join('');
+  }
+
+  static getMasterObjectId(page) {
+    return page.layoutProperties?.masterObjectId || page.slideProperties?.masterObjectId;
+  }
+
+  static flattenElements(elements = []) {
+    const flat = [];
+    elements.forEach(element => {
+      if (element.elementGroup) {
+        flat.push(...this.flattenElements(element.elementGroup.children));
+      } else {
+        flat.push(element);
+      }
+    });
+    return flat;
+  }
+
+  static buildInheritanceIndex(presentation) {
+    const elements = {};
+    const masterPlaceholders = {};
+
+    (presentation.masters || []).forEach(master => {
+      const byType = masterPlaceholders[master.objectId] = {};
+      (master.pageElements || []).forEach(element => {
+        if (element.shape?.placeholder) {
+          elements[element.objectId] = element;
+          byType[element.shape.placeholder.type] = byType[element.shape.placeholder.type] || element;
+        }
+      });
+    });
+
+    (presentation.layouts || []).forEach(layout => {
+      (layout.pageElements || []).forEach(element => {
+        if (element.shape?.placeholder) {
+          elements[element.objectId] = element;
+        }
+      });
+    });
+
+    return { elements, masterPlaceholders };
+  }
+
+  static getInheritanceChain(element, inheritance, masterObjectId) {
+    const chain = [element];
+    let current = element;
+
+    while (current.shape?.placeholder?.parentObjectId) {
+      const parent = inheritance.elements[current.shape.placeholder.parentObjectId];
+      if (!parent || chain.includes(parent)) {
+        break;
+      }
+      chain.push(parent);
+      current = parent;
+    }
+
+    const byType = inheritance.masterPlaceholders[masterObjectId];
+    if (byType && (chain.length === 1 || !chain.some(link => link.size && link.transform))) {
+      const type = element.shape.placeholder.type;
+      const fallback = byType[type] || byType[LayoutAnalyzer.FALLBACK_TYPES[type]];
+      if (fallback && !chain.includes(fallback)) {
+        chain.push(fallback);
+      }
+    }
+
+    return chain;
+  }
+
+  static getBounds(element) {
+    const { size, transform } = element;
+    const toEmu = unit => unit === 'PT' ? 12700 : 1;
+
+    return {
+      x: (transform.translateX || 0) * toEmu(transform.unit),
+      y: (transform.translateY || 0) * toEmu(transform.unit),
+      width: (size.width?.magnitude || 0) * toEmu(size.width?.unit) * (transform.scaleX || 1),
+      height: (size.height?.magnitude || 0) * toEmu(size.height?.unit) * (transform.scaleY || 1)
+    };
+  }
+
+  static resolveAutofit(chain) {
+    const source = chain.find(link => link.shape?.shapeProperties?.autofit?.autofitType);
+    if (!source) {
+      return null;
+    }
+
+    const { autofitType, fontScale, lineSpacingReduction } = source.shape.shapeProperties.autofit;
+    return {
+      autofitType,
+      fontScale: fontScale !== undefined ? fontScale : 1,
+      lineSpacingReduction: lineSpacingReduction || 0
+    };
+  }
+
+  static resolveTextStyle(chain) {
+    const style = {};
+
+    chain.slice().reverse().forEach(link => {
+      const run = (link.shape?.text?.textElements || []).find(element => element.textRun);
+      const runStyle = run?.textRun.style || {};
+
+      if (runStyle.fontFamily) style.fontFamily = runStyle.fontFamily;
+      if (runStyle.fontSize?.magnitude) style.fontSize = runStyle.fontSize.magnitude;
+      if (runStyle.bold !== undefined) style.bold = runStyle.bold;
+      if (runStyle.italic !== undefined) style.italic = runStyle.italic;
+      if (runStyle.foregroundColor?.opaqueColor) style.foregroundColor = runStyle.foregroundColor.opaqueColor;
+    });
+
+    return Object.keys(style).length > 0 ? style : null;
+  }
+
+  static extractTheme(presentation) {
+    const layouts = this.extractLayouts(presentation);
+
+    const masters = (presentation.masters || []).map(master => {
+      const colorScheme = {};
+      (master.pageProperties?.colorScheme?.colors || []).forEach(({ type, color }) => {
+        colorScheme[type] = this.toHex(color);
+      });
+
+      const fonts = {};
+      (master.pageElements || []).forEach(element => {
+        const type = element.shape?.placeholder?.type;
+        const style = type && this.resolveTextStyle([element]);
+        if (style && !fonts[type]) {
+          fonts[type] = this.describeTextStyle(style, colorScheme);
+        }
+      });
+
+      // Layout-only types (e.g. CENTERED_TITLE, SUBTITLE) as resolved through inheritance
+      layouts
+        .filter(layout => layout.layoutProperties?.masterObjectId === master.objectId)
+        .forEach(layout => layout.placeholders.forEach(placeholder => {
+          if (placeholder.textStyle && !fonts[placeholder.type]) {
+            fonts[placeholder.type] = this.describeTextStyle(placeholder.textStyle, colorScheme);
+          }
+        }));
+
+      const layoutBackgrounds = {};
+      (presentation.layouts || [])
+        .filter(layout => layout.layoutProperties?.masterObjectId === master.objectId)
+        .forEach(layout => {
+          const fill = this.describeFill(layout.pageProperties?.pageBackgroundFill, colorScheme);
+          if (fill) {
+            layoutBackgrounds[layout.objectId] = fill;
+          }
+        });
+
+      return {
+        objectId: master.objectId,
+        displayName: master.masterProperties?.displayName || null,
+        colorScheme,
+        fonts,
+        background: this.describeFill(master.pageProperties?.pageBackgroundFill, colorScheme),
+        layoutBackgrounds
+      };
+    });
+
+    const primary = masters[0] || { colorScheme: {}, fonts: {}, background: null };
+    return {
+      colorScheme: primary.colorScheme,
+      fonts: primary.fonts,
+      headingFont: primary.fonts.TITLE?.fontFamily || null,
+      bodyFont: primary.fonts.BODY?.fontFamily || null,
+      background: primary.background,
+      masters
+    };
+  }
+
+  static describeFill(fill, colorScheme = {}) {
+    if (!fill || fill.propertyState === 'INHERIT') {
+      return null;
+    }
+    if (fill.propertyState === 'NOT_RENDERED') {
+      return { type: 'none' };
+    }
+    if (fill.stretchedPictureFill) {
+      return { type: 'picture', contentUrl: fill.stretchedPictureFill.contentUrl || null };
+    }
+    if (fill.solidFill) {
+      return {
+        type: 'solid',
+        ...this.describeColor(fill.solidFill.color, colorScheme),
+        alpha: fill.solidFill.alpha !== undefined ? fill.solidFill.alpha : 1
+      };
+    }
+    return null;
+  }
+
+  static describeTextStyle(style, colorScheme) {
+    const { foregroundColor, ...rest } = style;
+    return foregroundColor ? { ...rest, ...this.describeColor(foregroundColor, colorScheme) } : rest;
+  }
+
+  static describeColor(color = {}, colorScheme = {}) {
+    if (color.themeColor) {
+      return { color: colorScheme[color.themeColor] || null, themeColor: color.themeColor };
+    }
+    return { color: color.rgbColor ? this.toHex(color.rgbColor) : null, themeColor: null };
+  }
+
+  static toHex(rgbColor = {}) {
+    const channel = value => Math.round((value || 0) * 255).toString(16).padStart(2, '0');
+    return `#${channel(rgbColor.red)}${channel(rgbColor.green)}${channel(rgbColor.blue)}`.toUpperCase();
+  }
+
   static categorizeLayouts(layouts) {
     const categories = {
       titleOnly: [],
@@ -117,17 +514,15 @@ class LayoutAnalyzer {
   static determineLayoutCategory(placeholderTypes, displayName = '') {
     const nameUpper = displayName.toUpperCase();
     
-    if (nameUpper.includes('TITLE_ONLY') || nameUpper.includes('TITLE ONLY')) {
-      return 'titleOnly';
-    }
-    if (nameUpper.includes('SECTION_HEADER') || nameUpper.includes('SECTION HEADER')) {
-      return 'sectionHeader';
-    }
-    if (nameUpper.includes('TWO_COLUMNS') || nameUpper.includes('TWO COLUMNS')) {
-      return 'titleAndTwoColumns';
-    }
-    if (nameUpper.includes('BLANK')) {
-      return 'blank';
+    // Display names in any known language, as whole words ('VIDE' is not 'VIDEO')
+    const named = ['titleOnly', 'sectionHeader', 'titleAndTwoColumns', 'blank'].find(category =>
+      Object.values(LayoutAnalyzer.LAYOUT_NAMES).some(names => (names[category] || []).some(name => {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(nameUpper);
+      }))
+    );
+    if (named) {
+      return named;
     }
 
     const hasTitle = placeholderTypes.includes('TITLE') || placeholderTypes.includes('CENTERED_TITLE');
@@ -157,20 +552,68 @@ class LayoutAnalyzer {
   }
 }
 
+LayoutAnalyzer.FALLBACK_TYPES = { CENTERED_TITLE: 'TITLE', SUBTITLE: 'BODY' };
+// Display names of predefined layouts per locale (LayoutNames.LOCALES in
+// core); add a locale here and in match-layout.js
+LayoutAnalyzer.LAYOUT_NAMES = {
+  en: {
+    titleOnly: ['TITLE_ONLY', 'TITLE ONLY'], sectionHeader: ['SECTION_HEADER', 'SECTION HEADER'],
+    titleAndTwoColumns: ['TWO_COLUMNS', 'TWO COLUMNS'], blank: ['BLANK']
+  },
+  fr: {
+    titleOnly: ['TITRE SEUL'], sectionHeader: ['TITRE DE SECTION', 'EN-TÊTE DE SECTION'],
+    titleAndTwoColumns: ['DEUX COLONNES'], blank: ['VIDE']
+  },
+  de: {
+    titleOnly: ['NUR TITEL'], sectionHeader: ['ABSCHNITTSÜBERSCHRIFT', 'ABSCHNITTSTITEL'],
+    titleAndTwoColumns: ['ZWEI SPALTEN'], blank: ['LEER']
+  }
+};
+
+LayoutAnalyzer.VERSION = 7;
+
 // Main execution
 try {
   const client = new SlidesClient(accessToken);
-  const presentation = await client.getPresentation(deckId);
-  
-  const layouts = LayoutAnalyzer.extractLayouts(presentation);
-  const categorizedLayouts = LayoutAnalyzer.categorizeLayouts(layouts);
+  const staticData = $getWorkflowStaticData('global');
+  staticData.layoutCache = staticData.layoutCache || {};
+
+  const cache = new LayoutCache({
+    store: staticData.layoutCache,
+    ttlMs: $json.cacheTtlMs,
+    version: LayoutAnalyzer.VERSION,
+    needsPage: slide => /(?:^|\s)template:[A-Za-z0-9_-]+/.test(LayoutAnalyzer.getNotesText(slide)),
+    analyze: presentation => {
+      const layouts = LayoutAnalyzer.extractLayouts(presentation);
+      return {
+        layouts,
+        categorizedLayouts: LayoutAnalyzer.categorizeLayouts(layouts),
+        templateSlides: LayoutAnalyzer.extractTemplateSlides(presentation),
+        theme: LayoutAnalyzer.extractTheme(presentation)
+      };
+    }
+  });
+
+  const { entry, source } = await cache.resolve(
+    deckId,
+    fields => client.getPresentation(deckId, fields),
+    {
+      forceRefresh: Boolean($json.refreshLayouts),
+      fetchPage: pageObjectId => client.getPage(deckId, pageObjectId)
+    }
+  );
+  const { layouts, categorizedLayouts, templateSlides, theme } = entry;
   
   return {
     success: true,
     presentationId: deckId,
-    presentationTitle: presentation.title,
+    presentationTitle: entry.title,
+    revisionId: entry.revisionId,
+    cacheSource: source,
     layouts: layouts,
     categorizedLayouts: categorizedLayouts,
+    templateSlides: templateSlides,
+    theme: theme,
     stats: {
       totalLayouts: layouts.length,
       categoryCounts: Object.keys(categorizedLayouts).reduce((acc, key) => {
@@ -5,11 +5,14 @@
  * layout from available options.
  * 
  * Expected input: $json with 'content' and 'layouts' properties
+ * Optional: $json.options.scoringProfile with partial scoring weights
+ * ({ categoryScores, bonuses, penalties }) overriding the defaults
  */
 
 // Get input data
 const content = $json.content;
 const layouts = $json.layouts || $json.categorizedLayouts;
+const options = $json.options || {};
 
 if (!content) {
   throw new Error('content is required in input data');
@@ -18,9 +21,80 @@ if (!layouts) {
   throw new Error('layouts data is required in input data');
 }
 
+// Default scoring weights (see ContentMatcher.DEFAULT_SCORING_PROFILE in core)
+const DEFAULT_SCORING_PROFILE = {
+  categoryScores: {
+    'section': { 'sectionHeader': 40, 'titleOnly': 30, 'titleAndBody': 20 },
+    'quote': { 'sectionHeader': 35, 'titleOnly': 30, 'titleAndBody': 25 },
+    'image-focused': { 'blank': 40, 'titleOnly': 35, 'titleAndBody': 20 },
+    'comparison': { 'titleAndTwoColumns': 40, 'titleAndBody': 25, 'blank': 20 },
+    'list-heavy': { 'titleAndBody': 35, 'titleAndTwoColumns': 30, 'blank': 20 },
+    'general': {
+      'titleAndBody': 35, 'titleOnly': 25, 'sectionHeader': 20,
+      'titleAndTwoColumns': 15, 'blank': 10
+    }
+  },
+  bonuses: {
+    titlePlaceholder: 20, bodyPlaceholder: 15, picturePlaceholder: 10, pictureCount: 10,
+    slot: 10, maxSlots: 30, filledToken: 10, maxFilledTokens: 30,
+    preference: 10, maxPreference: 30
+  },
+  penalties: {
+    unusedTitlePlaceholder: 5, unusedBodyPlaceholder: 5, unusedPicturePlaceholder: 5,
+    gridImage: 5, maxGridImages: 15, longContentTitleOnly: 15,
+    shortContentTwoColumns: 10, emptyToken: 5, unplacedText: 25, overflow: 10,
+    overflowPerExtraFill: 10, maxOverflow: 20, overflowFixedByFont: 5, nearlyFull: 2
+  }
+};
+
+// Keywords per locale (see ContentMatcher.LOCALES in core); add a locale or
+// words here. stopwords and letters detect the locale when content has none.
+// layoutNames copy LayoutNames.LOCALES in core, as get-layouts.js does.
+const LOCALES = {
+  en: {
+    stopwords: ['the', 'and', 'of', 'to', 'is', 'for', 'with', 'our', 'we', 'this', 'are'],
+    letters: '', quoteMarks: '"\'',
+    keywords: {
+      agenda: ['agenda'], quote: ['quote'], section: ['section', 'chapter'],
+      comparison: ['vs', 'versus'], closing: ['thank', 'conclusion']
+    },
+    layoutNames: {
+      titleOnly: ['TITLE_ONLY', 'TITLE ONLY'], sectionHeader: ['SECTION_HEADER', 'SECTION HEADER'],
+      titleAndTwoColumns: ['TWO_COLUMNS', 'TWO COLUMNS'], blank: ['BLANK']
+    }
+  },
+  fr: {
+    stopwords: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'du', 'pour', 'nous', 'dans', 'avec', 'sur', 'au', 'aux'],
+    letters: 'éèêàçùœ', quoteMarks: '«»"“”',
+    keywords: {
+      agenda: ['ordre du jour', 'sommaire', 'programme', 'agenda'], quote: ['citation'],
+      section: ['partie', 'chapitre', 'section'],
+      comparison: ['vs', 'versus', 'contre', 'comparaison', 'comparatif'], closing: ['merci', 'conclusion']
+    },
+    layoutNames: {
+      titleOnly: ['TITRE SEUL'], sectionHeader: ['TITRE DE SECTION', 'EN-TÊTE DE SECTION'],
+      titleAndTwoColumns: ['DEUX COLONNES'], blank: ['VIDE']
+    }
+  },
+  de: {
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'wir', 'ein', 'eine', 'den', 'auf', 'von', 'im'],
+    letters: 'äöüß', quoteMarks: '„“”"»«',
+    keywords: {
+      agenda: ['tagesordnung', 'agenda', 'inhaltsverzeichnis', 'übersicht'], quote: ['zitat'],
+      section: ['abschnitt', 'kapitel'], comparison: ['vs', 'versus', 'gegenüber', 'vergleich'],
+      closing: ['danke', 'vielen dank', 'fazit', 'zusammenfassung']
+    },
+    layoutNames: {
+      titleOnly: ['NUR TITEL'], sectionHeader: ['ABSCHNITTSÜBERSCHRIFT', 'ABSCHNITTSTITEL'],
+      titleAndTwoColumns: ['ZWEI SPALTEN'], blank: ['LEER']
+    }
+  }
+};
+
 // ContentMatcher class (inline for n8n)
 class ContentMatcher {
-  static findBestLayout(content, layouts) {
+  // selector: layout objectId, display name, '/regex/flags', 'category:<name>', or a fallback list of them
+  static findBestLayout(content, layouts, profile = DEFAULT_SCORING_PROFILE, selector = content.layout) {
     // Flatten categorized layouts if needed
     let layoutArray = layouts;
     if (typeof layouts === 'object' && !Array.isArray(layouts)) {
@@ -37,21 +111,60 @@ class ContentMatcher {
     }
 
     const contentAnalysis = this.analyzeContent(content);
-    const scoredLayouts = layoutArray.map(layout => ({
-      ...layout,
-      score: this.calculateLayoutScore(contentAnalysis, layout)
-    }));
+    const scoredLayouts = layoutArray.map(layout => {
+      const fit = this.assessFit(content, layout);
+      const scoreBreakdown = this.calculateLayoutScore(contentAnalysis, layout, fit, profile);
+      return { ...layout, score: scoreBreakdown.total, scoreBreakdown, fit };
+    });
 
     scoredLayouts.sort((a, b) => b.score - a.score);
+
+    // The first selector in the chain that matches forces the layout (the best scored of its matches)
+    const chain = selector === undefined || selector === null ? [] : [].concat(selector);
+    const matchers = chain.map(entry => this.parseLayoutSelector(entry));
+    const selection = { mode: 'scored', selector: null, fallbackIndex: null, requested: chain.length ? chain.map(String) : null };
+    let bestLayout = scoredLayouts[0];
+    for (let index = 0; index < matchers.length; index++) {
+      const match = scoredLayouts.find(matchers[index]);
+      if (match) {
+        Object.assign(selection, { mode: 'forced', selector: selection.requested[index], fallbackIndex: index });
+        bestLayout = match;
+        break;
+      }
+    }
+    const reasoning = this.generateReasoning(contentAnalysis, bestLayout);
     
     return {
-      bestLayout: scoredLayouts[0],
-      alternatives: scoredLayouts.slice(1, 3),
+      bestLayout,
+      alternatives: scoredLayouts.filter(layout => layout !== bestLayout).slice(0, 2),
+      ranking: scoredLayouts.map(({ objectId, displayName, score }) => ({ objectId, displayName, score })),
       contentAnalysis,
-      reasoning: this.generateReasoning(contentAnalysis, scoredLayouts[0])
+      fit: bestLayout.fit,
+      selection,
+      reasoning: selection.mode === 'forced' ? `Forced by layout selector "${selection.selector}"; ${reasoning}` : reasoning
     };
   }
 
+  static parseLayoutSelector(selector) {
+    if (selector instanceof RegExp) {
+      const regex = new RegExp(selector.source, selector.flags.replace(/[gy]/g, ''));
+      return layout => regex.test(layout.displayName || '');
+    }
+    if (typeof selector !== 'string' || selector.length === 0) {
+      throw new Error(`Layout selector must be a non-empty string or RegExp, got ${JSON.stringify(selector)}`);
+    }
+    if (selector.startsWith('category:')) {
+      const category = selector.slice('category:'.length);
+      return layout => this.getLayoutCategory(layout) === category;
+    }
+    const pattern = selector.match(/^\/(.+)\/([a-z]*)$/);
+    if (pattern) {
+      const regex = new RegExp(pattern[1], pattern[2].replace(/[gy]/g, ''));
+      return layout => regex.test(layout.displayName || '');
+    }
+    return layout => layout.objectId === selector || layout.displayName === selector;
+  }
+
   static analyzeContent(content) {
     const analysis = {
       hasTitle: Boolean(content.title && content.title.trim()),
@@ -59,8 +172,10 @@ class ContentMatcher {
       hasImage: Boolean(content.imageUrl || content.images?.length),
       hasBullets: Boolean(content.bullets?.length || content.bulletPoints?.length),
       hasMultipleColumns: Boolean(content.columns?.length > 1),
+      slotKeys: this.getSlotKeys(content),
       contentLength: 'short',
       contentType: 'general',
+      locale: this.resolveLocale(content),
       imageCount: 0,
       bulletCount: 0
     };
@@ -72,101 +187,210 @@ class ContentMatcher {
       analysis.contentLength = 'medium';
     }
 
-    if (content.imageUrl) analysis.imageCount = 1;
-    if (content.images) analysis.imageCount = content.images.length;
-    if (content.bullets) analysis.bulletCount = content.bullets.length;
+    // content.images entries are URLs or { url, caption }
+    const images = content.images?.length ? content.images : (content.imageUrl ? [content.imageUrl] : []);
+    analysis.imageCount = images.filter(image => (typeof image === 'string' ? image : image?.url)).length;
+    if (content.bullets) analysis.bulletCount = this.getBulletItems(content.bullets).length;
     if (content.bulletPoints) analysis.bulletCount = content.bulletPoints.length;
 
     analysis.contentType = this.determineContentType(content, analysis);
     return analysis;
   }
 
+  static getSlotKeys(content) {
+    return Object.keys(content.slots || {}).filter(key =>
+      content.slots[key] !== null && content.slots[key] !== undefined && content.slots[key] !== ''
+    );
+  }
+
+  static getCoveredSlots(contentAnalysis, layout) {
+    return (contentAnalysis.slotKeys || []).filter(key => (layout.slots || []).some(slot => slot.key === key));
+  }
+
   static determineContentType(content, analysis) {
     const title = (content.title || '').toLowerCase();
     const body = (content.body || '').toLowerCase();
+    const locales = [...new Set([analysis.locale || 'en', 'en'])];
+    const has = (text, type) => locales.some(locale => this.findKeywords(text, LOCALES[locale]?.keywords?.[type]).length > 0);
+    const quoteMarks = LOCALES[analysis.locale]?.quoteMarks ?? LOCALES.en.quoteMarks;
     
-    if (title.includes('agenda') || body.includes('agenda')) return 'agenda';
-    if (title.includes('quote') || body.match(/["'']/)) return 'quote';
-    if (title.includes('section') || title.includes('chapter')) return 'section';
+    if (has(title, 'agenda') || has(body, 'agenda')) return 'agenda';
+    if (has(title, 'quote') || [...quoteMarks].some(mark => body.includes(mark))) return 'quote';
+    if (has(title, 'section')) return 'section';
     if (analysis.hasImage && !analysis.hasBody) return 'image-focused';
     if (analysis.hasBullets && analysis.bulletCount > 5) return 'list-heavy';
-    if (content.comparison || title.includes('vs') || title.includes('versus')) return 'comparison';
-    if (title.includes('thank') || title.includes('conclusion')) return 'closing';
+    if (content.comparison || has(title, 'comparison')) return 'comparison';
+    if (has(title, 'closing')) return 'closing';
     
     return 'general';
   }
 
-  static calculateLayoutScore(contentAnalysis, layout) {
-    let score = 0;
+  // Bullets are strings (leading tabs nest them) or { text, children }
+  static getBulletItems(bullets = [], level = 0) {
+    return (bullets || []).flatMap(item => {
+      if (item && typeof item === 'object') {
+        return [{ text: String(item.text ?? ''), level }, ...this.getBulletItems(item.children, level + 1)];
+      }
+      const text = String(item ?? '');
+      const tabs = text.match(/^\t*/)[0].length;
+      return [{ text: text.slice(tabs), level: level + tabs }];
+    });
+  }
+
+  // content.locale when known ('fr-FR' -> 'fr'), else detected from the text
+  static resolveLocale(content) {
+    const hint = String(content.locale || '').toLowerCase().split(/[-_]/)[0];
+    if (hint && LOCALES[hint]) return hint;
+
+    const text = [content.title, content.subtitle, content.body, ...this.getBulletItems(content.bullets).map(item => item.text)]
+      .filter(value => typeof value === 'string').join(' ').toLowerCase();
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    let best = { locale: 'en', hits: 0 };
+    Object.entries(LOCALES).forEach(([locale, dictionary]) => {
+      const hits = words.filter(word => (dictionary.stopwords || []).includes(word)).length +
+        Object.values(dictionary.keywords || {}).reduce((sum, keywords) => sum + this.findKeywords(text, keywords).length, 0) +
+        [...(dictionary.letters || '')].filter(letter => text.includes(letter)).length;
+      if (hits > best.hits) best = { locale, hits };
+    });
+    return best.locale;
+  }
+
+  // Keywords starting a word ("thank" matches "Thanks", "vs" not "canvas")
+  static findKeywords(text, keywords = []) {
+    return keywords.filter(keyword => {
+      const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}`, 'u').test(text);
+    });
+  }
+
+  // Returns { total, unclamped, rules: [{ rule, points, reason }] }, rules named after profile weights
+  static calculateLayoutScore(contentAnalysis, layout, fit = null, profile = DEFAULT_SCORING_PROFILE) {
+    const { bonuses, penalties } = profile;
+    const rules = [];
+    const apply = (rule, points, reason) => rules.push({ rule, points, reason });
     const placeholderTypes = layout.placeholders.map(p => p.type);
     const category = this.getLayoutCategory(layout);
 
-    const categoryScores = this.getCategoryScores(contentAnalysis, category);
-    score += categoryScores;
+    const categoryScores = this.getCategoryScores(contentAnalysis, category, profile);
+    if (categoryScores !== 0) {
+      apply('categoryScores', categoryScores, `Content type '${contentAnalysis.contentType}' suits ${category} layout`);
+    }
 
     if (contentAnalysis.hasTitle && placeholderTypes.includes('TITLE')) {
-      score += 20;
+      apply('titlePlaceholder', bonuses.titlePlaceholder, 'Layout has title placeholder for provided title');
     }
     if (contentAnalysis.hasBody && placeholderTypes.includes('BODY')) {
-      score += 15;
+      apply('bodyPlaceholder', bonuses.bodyPlaceholder, 'Layout has body placeholder for provided content');
     }
     if (contentAnalysis.hasImage && placeholderTypes.includes('PICTURE')) {
-      score += 10;
+      apply('picturePlaceholder', bonuses.picturePlaceholder, 'Layout has picture placeholder for provided image');
+    }
+    // One picture placeholder per image; images beyond them go in a grid
+    const pictureCount = placeholderTypes.filter(type => type === 'PICTURE').length;
+    const imageCount = contentAnalysis.imageCount || 0;
+    const gridImages = imageCount - Math.max(pictureCount, 1);
+    if (imageCount > 1 && pictureCount === imageCount) {
+      apply('pictureCount', bonuses.pictureCount, `Layout has a picture placeholder for each of the ${imageCount} images`);
+    }
+    if (gridImages > 0) {
+      apply('gridImage', -Math.min(penalties.maxGridImages, penalties.gridImage * gridImages),
+        `${gridImages} image(s) without a picture placeholder go in a grid`);
+    }
+    if (pictureCount > imageCount) {
+      apply('unusedPicturePlaceholder', -penalties.unusedPicturePlaceholder * (pictureCount - imageCount),
+        `${pictureCount - imageCount} picture placeholder(s) left empty`);
+    }
+    const coveredSlots = this.getCoveredSlots(contentAnalysis, layout);
+    if (coveredSlots.length > 0) {
+      apply('slot', Math.min(bonuses.maxSlots, bonuses.slot * coveredSlots.length), `Layout has slots for: ${coveredSlots.join(', ')}`);
     }
 
     if (!contentAnalysis.hasTitle && placeholderTypes.includes('TITLE')) {
-      score -= 5;
+      apply('unusedTitlePlaceholder', -penalties.unusedTitlePlaceholder, 'Title placeholder left empty');
     }
     if (!contentAnalysis.hasBody && placeholderTypes.includes('BODY')) {
-      score -= 5;
+      apply('unusedBodyPlaceholder', -penalties.unusedBodyPlaceholder, 'Body placeholder left empty');
     }
 
     if (contentAnalysis.contentLength === 'long' && category === 'titleOnly') {
-      score -= 15;
+      apply('longContentTitleOnly', -penalties.longContentTitleOnly, 'Long content on a title-only layout');
     }
     if (contentAnalysis.contentLength === 'short' && category === 'titleAndTwoColumns') {
-      score -= 10;
-    }
-
-    return Math.max(0, Math.min(100, score));
-  }
-
-  static getCategoryScores(contentAnalysis, category) {
-    const { contentType } = contentAnalysis;
-
-    const scoreMatrix = {
-      'section': {
-        'sectionHeader': 40, 'titleOnly': 30, 'titleAndBody': 20
-      },
-      'quote': {
-        'sectionHeader': 35, 'titleOnly': 30, 'titleAndBody': 25
-      },
-      'image-focused': {
-        'blank': 40, 'titleOnly': 35, 'titleAndBody': 20
-      },
-      'comparison': {
-        'titleAndTwoColumns': 40, 'titleAndBody': 25, 'blank': 20
-      },
-      'list-heavy': {
-        'titleAndBody': 35, 'titleAndTwoColumns': 30, 'blank': 20
-      },
-      'general': {
-        'titleAndBody': 35, 'titleOnly': 25, 'sectionHeader': 20,
-        'titleAndTwoColumns': 15, 'blank': 10
+      apply('shortContentTwoColumns', -penalties.shortContentTwoColumns, 'Short content on a two-column layout');
+    }
+
+    if (fit) {
+      if (fit.unplaced.length > 0) {
+        apply('unplacedText', -penalties.unplacedText * fit.unplaced.length, `No placeholder for: ${fit.unplaced.join(', ')}`);
+      }
+      if (fit.overflowRisk === 'high' && fit.suggestSplit) {
+        apply('overflow',
+          -Math.min(penalties.maxOverflow, penalties.overflow + Math.round((fit.fillRatio - 1) * penalties.overflowPerExtraFill)),
+          `Text overflows; split across ${fit.estimatedSlides} slides`);
+      } else if (fit.overflowRisk === 'high') {
+        apply('overflowFixedByFont', -penalties.overflowFixedByFont, `Text overflows; reduce font size to ${fit.suggestedFontSize}pt`);
+      } else if (fit.overflowRisk === 'low') {
+        apply('nearlyFull', -penalties.nearlyFull, 'Text nearly fills its placeholders');
+      }
+    }
+
+    const unclamped = rules.reduce((sum, { points }) => sum + points, 0);
+    return { total: Math.max(0, Math.min(100, unclamped)), unclamped, rules };
+  }
+
+  static getCategoryScores(contentAnalysis, category, profile = DEFAULT_SCORING_PROFILE) {
+    const scoreMatrix = profile.categoryScores;
+    return scoreMatrix[contentAnalysis.contentType]?.[category] ?? scoreMatrix['general']?.[category] ?? 0;
+  }
+
+  // Overlay partial weights on the defaults (same shape and checks as the service's profiles)
+  static createScoringProfile(overrides = {}) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkWeight = (path, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Scoring weight ${path} must be a number`);
       }
     };
 
-    return scoreMatrix[contentType]?.[category] || scoreMatrix['general'][category] || 0;
+    if (!isObject(overrides)) throw new Error('A scoring profile must be an object');
+    const profile = {
+      categoryScores: Object.fromEntries(
+        Object.entries(DEFAULT_SCORING_PROFILE.categoryScores).map(([contentType, scores]) => [contentType, { ...scores }])
+      ),
+      bonuses: { ...DEFAULT_SCORING_PROFILE.bonuses },
+      penalties: { ...DEFAULT_SCORING_PROFILE.penalties }
+    };
+    Object.entries(overrides).forEach(([section, values]) => {
+      if (!profile[section]) throw new Error(`Unknown scoring section: ${section}`);
+      if (!isObject(values)) throw new Error(`Scoring section ${section} must be an object`);
+      Object.entries(values).forEach(([key, value]) => {
+        if (section === 'categoryScores') {
+          if (!isObject(value)) throw new Error(`categoryScores.${key} must map layout categories to scores`);
+          Object.entries(value).forEach(([category, score]) => checkWeight(`categoryScores.${key}.${category}`, score));
+          profile.categoryScores[key] = { ...profile.categoryScores[key], ...value };
+        } else if (key in profile[section]) {
+          checkWeight(`${section}.${key}`, value);
+          profile[section][key] = value;
+        } else {
+          throw new Error(`Unknown scoring weight: ${section}.${key}`);
+        }
+      });
+    });
+    return profile;
   }
 
   static getLayoutCategory(layout) {
     const placeholderTypes = layout.placeholders.map(p => p.type);
     const displayName = layout.displayName?.toUpperCase() || '';
     
-    if (displayName.includes('TITLE_ONLY')) return 'titleOnly';
-    if (displayName.includes('SECTION_HEADER')) return 'sectionHeader';
-    if (displayName.includes('TWO_COLUMNS')) return 'titleAndTwoColumns';
-    if (displayName.includes('BLANK')) return 'blank';
+    // Layout names in any known language, as whole words
+    const named = ['titleOnly', 'sectionHeader', 'titleAndTwoColumns', 'blank'].find(category =>
+      Object.values(LOCALES).some(({ layoutNames = {} }) => (layoutNames[category] || []).some(name => {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(displayName);
+      }))
+    );
+    if (named) return named;
 
     const hasTitle = placeholderTypes.includes('TITLE');
     const hasBody = placeholderTypes.includes('BODY');
@@ -181,41 +405,177 @@ class ContentMatcher {
     return 'other';
   }
 
+  // Reasoning is the score breakdown in words
   static generateReasoning(contentAnalysis, selectedLayout) {
-    const reasons = [];
-    const category = this.getLayoutCategory(selectedLayout);
-    
-    if (contentAnalysis.contentType !== 'general') {
-      reasons.push(`Content type '${contentAnalysis.contentType}' best matches ${category} layout`);
+    const { rules, total, unclamped } = selectedLayout.scoreBreakdown;
+    const reasons = rules.map(({ reason }) => reason);
+    reasons.push(unclamped === total ? `Score: ${total}/100` : `Score: ${total}/100 (${unclamped} before clamping)`);
+    return reasons.join('; ');
+  }
+
+  // Capacity estimate from placeholder bounds (EMU) and font size (pt), as in get-layouts output
+  static assessFit(content, layout) {
+    const placeholders = [];
+    const unplaced = [];
+
+    this.getTextTargets(content, layout).forEach(({ role, placeholder, paragraphs }) => {
+      if (!placeholder) {
+        unplaced.push(role);
+        return;
+      }
+      if (!paragraphs) return;
+      const capacity = this.estimateCapacity(placeholder);
+      if (!capacity) return;
+
+      const linesNeeded = this.countLines(paragraphs, capacity.charsPerLine);
+      const entry = {
+        role,
+        objectId: placeholder.objectId,
+        type: placeholder.type || placeholder.placeholderType || null,
+        fontSize: capacity.fontSize,
+        charsPerLine: capacity.charsPerLine,
+        linesAvailable: capacity.lines,
+        linesNeeded,
+        fillRatio: Math.round(linesNeeded / capacity.lines * 100) / 100,
+        suggestedFontSize: null,
+        slidesNeeded: 1
+      };
+      if (linesNeeded > capacity.lines) {
+        entry.suggestedFontSize = this.findFittingFontSize(paragraphs, placeholder, capacity.fontSize);
+        if (!entry.suggestedFontSize) entry.slidesNeeded = Math.ceil(linesNeeded / capacity.lines);
+      }
+      placeholders.push(entry);
+    });
+
+    if (placeholders.length === 0) {
+      return {
+        fits: null, overflowRisk: 'unknown', fillRatio: null, placeholders, unplaced,
+        suggestedFontSize: null, suggestSplit: false, estimatedSlides: 1
+      };
     }
-    
-    if (contentAnalysis.hasTitle && selectedLayout.placeholders.some(p => p.type === 'TITLE')) {
-      reasons.push('Layout has title placeholder for provided title');
+
+    const fillRatio = Math.max(...placeholders.map(entry => entry.fillRatio));
+    const overflowing = placeholders.filter(entry => entry.linesNeeded > entry.linesAvailable);
+    const fontSizes = overflowing.map(entry => entry.suggestedFontSize).filter(Boolean);
+    const splitBody = overflowing.find(entry => entry.role === 'body' && !entry.suggestedFontSize);
+    const nearlyFull = placeholders.some(entry => entry.linesNeeded > 1 && entry.fillRatio > 0.85);
+
+    return {
+      fits: overflowing.length === 0,
+      overflowRisk: overflowing.length > 0 ? 'high' : nearlyFull ? 'low' : 'none',
+      fillRatio,
+      placeholders,
+      unplaced,
+      suggestedFontSize: fontSizes.length > 0 ? Math.min(...fontSizes) : null,
+      suggestSplit: Boolean(splitBody),
+      estimatedSlides: splitBody ? splitBody.slidesNeeded : 1
+    };
+  }
+
+  static getTextTargets(content, layout) {
+    const byType = {};
+    layout.placeholders.forEach(placeholder => {
+      (byType[placeholder.type] = byType[placeholder.type] || []).push(placeholder);
+    });
+
+    const targets = [];
+    const first = placeholders => (placeholders ? placeholders[0] : null);
+    const lines = text => String(text).split('\n');
+
+    if (content.title) {
+      targets.push({ role: 'title', placeholder: first(byType.TITLE || byType.CENTERED_TITLE), paragraphs: lines(content.title) });
     }
-    
-    if (contentAnalysis.hasBody && selectedLayout.placeholders.some(p => p.type === 'BODY')) {
-      reasons.push('Layout has body placeholder for provided content');
+    if (content.subtitle) {
+      targets.push({ role: 'subtitle', placeholder: first(byType.SUBTITLE), paragraphs: lines(content.subtitle) });
     }
-    
-    if (contentAnalysis.hasImage) {
-      reasons.push('Layout can accommodate image content');
+
+    const hasBullets = Boolean(content.bullets?.length);
+    if (content.body || hasBullets) {
+      // Body text and bullets share the body placeholder, bullets indented by level
+      const paragraphs = [
+        ...(content.body ? lines(content.body) : []),
+        ...this.getBulletItems(content.bullets).map(({ text, level }) => `${'    '.repeat(level)}• ${text}`)
+      ];
+      targets.push({ role: 'body', placeholder: first(byType.BODY), paragraphs });
     }
-    
-    reasons.push(`Score: ${selectedLayout.score}/100`);
-    
-    return reasons.join('; ');
+
+    const columnPlaceholders = byType.CONTENT ||
+      (!content.body && !hasBullets && byType.BODY?.length > 1 ? byType.BODY : []);
+    (content.columns || []).forEach((column, index) => {
+      targets.push({ role: `column${index + 1}`, placeholder: columnPlaceholders[index] || null, paragraphs: lines(column) });
+    });
+
+    // Named `slot:<key>` shapes (image slots are not measured)
+    this.getSlotKeys(content).forEach(key => {
+      const slot = (layout.slots || []).find(candidate => candidate.key === key) || null;
+      targets.push({ role: `slot:${key}`, placeholder: slot, paragraphs: slot?.kind === 'image' ? null : lines(content.slots[key]) });
+    });
+
+    return targets;
+  }
+
+  static estimateCapacity(placeholder, fontSize = this.getFontSize(placeholder)) {
+    const { bounds } = placeholder;
+    if (!bounds || !bounds.width || !bounds.height) return null;
+
+    // 12700 EMU per point, minus the default 0.1in (7.2pt) text inset on each side
+    const widthPt = bounds.width / 12700 - 14.4;
+    const heightPt = bounds.height / 12700 - 14.4;
+    return {
+      fontSize,
+      charsPerLine: Math.max(1, Math.floor(widthPt / (fontSize * 0.5))),
+      lines: Math.max(1, Math.floor(heightPt / (fontSize * 1.2)))
+    };
+  }
+
+  static getFontSize(placeholder) {
+    const defaults = { TITLE: 28, CENTERED_TITLE: 36, SUBTITLE: 18, BODY: 18 };
+    const fontSize = placeholder.textStyle?.fontSize || defaults[placeholder.type || placeholder.placeholderType] || defaults.BODY;
+    return fontSize * (placeholder.autofit?.fontScale || 1);
+  }
+
+  static countLines(paragraphs, charsPerLine) {
+    return paragraphs.reduce((total, paragraph) => {
+      let lines = 1;
+      let length = 0;
+      paragraph.replace(/\t/g, '    ').split(/\s+/).filter(Boolean).forEach(word => {
+        if (length > 0 && length + 1 + word.length <= charsPerLine) {
+          length += 1 + word.length;
+          return;
+        }
+        if (length > 0) lines++;
+        lines += Math.floor((word.length - 1) / charsPerLine);
+        length = (word.length - 1) % charsPerLine + 1;
+      });
+      return total + lines;
+    }, 0);
+  }
+
+  static findFittingFontSize(paragraphs, placeholder, fontSize) {
+    for (let size = Math.ceil(fontSize) - 1; size >= 12; size--) {
+      const capacity = this.estimateCapacity(placeholder, size);
+      if (this.countLines(paragraphs, capacity.charsPerLine) <= capacity.lines) return size;
+    }
+    return null;
   }
 }
 
 // Main execution
 try {
-  const result = ContentMatcher.findBestLayout(content, layouts);
+  if (typeof options.scoringProfile === 'string') {
+    throw new Error('Named scoring profiles are only available in the external service; pass the weights instead');
+  }
+  const profile = ContentMatcher.createScoringProfile(options.scoringProfile);
+  const result = ContentMatcher.findBestLayout(content, layouts, profile, content.layout ?? options.layout);
   
   return {
     success: true,
     selectedLayout: result.bestLayout,
     alternatives: result.alternatives,
+    ranking: result.ranking,
     contentAnalysis: result.contentAnalysis,
+    fit: result.fit,
+    selection: result.selection,
     reasoning: result.reasoning,
     confidence: result.bestLayout.score > 70 ? 'high' : 
                 result.bestLayout.score > 40 ? 'medium' : 'low',